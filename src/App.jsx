@@ -1,12 +1,47 @@
-import React, { useEffect, useRef, useState, useMemo } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion } from "framer-motion";
 import * as PIXI from "pixi.js"; // PixiJS (v7/v8 compatible usage)
-import { Music2, Play, Pause, Upload, Drum, Guitar, Settings2, AudioLines, Clock, Sparkles } from "lucide-react"; // SAFE icons
+import { Music2, Play, Pause, Upload, Drum, Guitar, Piano, Settings2, AudioLines, Clock, Sparkles, Mic, Plus, Trash2, ArrowUp, ArrowDown, Users, Film, MonitorUp, ListMusic, SkipForward, SkipBack, AudioWaveform, Repeat, Grid3x3, SlidersHorizontal, Headphones } from "lucide-react"; // SAFE icons
+import { clamp, formatMs, formatTime, shouldHit } from "./util.js";
+import { detectTempo, detectPhase, beatMapFromEnvelope } from "./analysis.js";
+import { analyzeInWorker } from "./trackAnalysis.js";
+import { createBeatScheduler, tickTime, beatAt, audibleTime, ticksBetween, snapToBar, METERS, PHRASE_BARS, stepsPerBeatFor } from "./scheduler.js";
+import { timeAtBeat, beatAtTime, tempoAt, gridBeatMap, mergeTaps, serializeBeatMap, parseBeatMap } from "./beatmap.js";
+import { createTapTempo, tempoFromTaps } from "./tapTempo.js";
+import { listAudioInputs, startLiveInput } from "./liveInput.js";
+import { analyzeBands, createBandCursor, createBandMeter, emptyLevels } from "./bands.js";
+import { MIDI, createClockFollower, createClockSender, mapNote, mapControl, openMidi, perfToCtxTime, ctxToPerfTime } from "./midi.js";
+import { INSTRUMENTS, SPECIES, PATTERNS, DEFAULT_ROSTER, createMember, memberHitsOn, membersForBand, membersForInstrument, moveMember } from "./roster.js";
+import { buildCharacter } from "./characters.js";
+import { CLIPS, sampleClip, createRigPlayer } from "./rig.js";
+import { ASSET_PACK_FORMAT, DEFAULT_PACK_URL, parseAssetPack, loadAssetPack } from "./assetPack.js";
+import { EXPORT_SIZES, exportPerformance } from "./exportVideo.js";
+import { createTrack, moveTrack, nextTrack, inheritSettings, describeSettings, crossfadeCurves } from "./setlist.js";
+import { createProjectStore, hashBlob, exportBundle, importBundle, liftTyped, restoreTyped } from "./projectStore.js";
+import { OUTPUT_SIZES, OUTPUT_BACKGROUNDS, DEFAULT_OUTPUT, wallClock, toWallTime, createOutputLink, listenOutput } from "./outputFeed.js";
+import { vint } from "./webm.js";
+import { RATE_RANGE, waveformPeaks, loopRegion } from "./transport.js";
+import { PATTERN_BARS, GENRES, PAD_LABELS, GHOST_VEL, makeStep, parseSteps, emptySteps, resizeSteps, refitSteps, presetSteps, stepIndex, stepHit } from "./sequencer.js";
+import { PHRASE_MOVES, CAMERA_STYLES, createStageMoves, tickMove } from "./stageMoves.js";
+import { SCENES, buildScene, spotAlpha, bubbleRise } from "./scenes.js";
+import { createParticles, burstSize, particleAt, hitSeed, EMITTERS } from "./particles.js";
+import { QUALITY_TIERS, GOVERNOR_STEPS, qualityTier, effectiveQuality } from "./quality.js";
+import { TARGET_FPS, frameStats, spreadMs, createFrameMonitor, createGovernor, countDrawCalls, textureMB, formatStats, createBenchmark } from "./perf.js";
+import { POST_LOOKS, createPostChain, postInputs, bindUniform, makeFilter, parsePostLook } from "./postFx.js";
+import { MIX_CHANNELS, DEFAULT_MIX, channelGains, createMixBus, renderMix } from "./mixer.js";
+import { NOTE_NAMES, createBandSynth, noteFor, midiToHz } from "./synth.js";
+import { FX_PARAMS, DEFAULT_FX, clampFx, scaleFx, filterSetting, duckGainAt, createFxChain } from "./effects.js";
+import { canPickOutput, listAudioOutputs, createCuePlayer } from "./cue.js";
 
-// ====== Helpers ======
-const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
-const formatMs = (ms) => `${ms.toFixed(0)} ms`;
-const shouldHit = (beatIndex, subdivision = 1) => beatIndex % subdivision === 0; // 1=every beat, 2=every 2 beats, etc.
+// Synthetic click track shaped like an AudioBuffer (for the runtime tests below)
+const makeClickBuffer = (bpm, { sampleRate = 8000, seconds = 8, offset = 0 } = {}) => {
+  const data = new Float32Array(sampleRate * seconds);
+  for (let t = offset; t < seconds; t += 60 / bpm) {
+    const i = Math.floor(t * sampleRate);
+    for (let k = 0; k < 120 && i + k < data.length; k++) data[i + k] = Math.sin(k * 0.9) * Math.exp(-k / 30);
+  }
+  return { sampleRate, numberOfChannels: 1, length: data.length, duration: seconds, getChannelData: () => data };
+};
 
 // ====== Tiny runtime tests (non-breaking) ======
 (function runTests(){
@@ -34,6 +69,131 @@ const shouldHit = (beatIndex, subdivision = 1) => beatIndex % subdivision === 0;
   assertEq("hit-every-4-true", shouldHit(8,4), true);
   // NEW: guard math
   assertEq("guard-negative-bpm", clamp(-20, 40, 240), 40);
+  // tempo detection on a synthetic click track
+  const tempo128 = detectTempo(makeClickBuffer(128));
+  assertEq("detect-bpm-128", Math.round(tempo128.bpm), 128);
+  assertEq("detect-bpm-half", tempo128.candidates.find((c)=>c.relation==="half")?.bpm, 64);
+  const phase120 = detectPhase(makeClickBuffer(120, { offset: 0.3 }), 120);
+  assertEq("detect-phase-first-beat", Math.abs(phase120.firstBeatMs - 300) <= 10, true);
+  // scheduler grid math (ctx-time based)
+  const grid = { anchorTime: 10, anchorBeat: 0, beatSec: 0.5, tpb: 2, swing: 0.5 };
+  assertEq("tick-time-on-beat", tickTime(grid, 4), 11);
+  assertEq("tick-time-swung", tickTime(grid, 3), 10.8125);
+  assertEq("beat-at", beatAt(grid, 12), 4);
+  // tap tempo (outlier taps dropped)
+  assertEq("tap-tempo-120", tempoFromTaps([0, 500, 1000, 1500, 2000]), 120);
+  assertEq("tap-tempo-outlier", tempoFromTaps([0, 500, 1000, 1900, 2400, 2900]), 120);
+  assertEq("tap-tempo-single", tempoFromTaps([0]), null);
+  // band cursor (offline per-part analysis)
+  const cursor = createBandCursor({ rate: 10, bands: { kick: { env: Float32Array.from([0, 1, 0.5]), onsets: [{ time: 0.1, strength: 1 }] } } });
+  const frame1 = cursor.advance(0.15);
+  assertEq("band-cursor-level", frame1.levels.kick, 1);
+  assertEq("band-cursor-hit", frame1.hits.length, 1);
+  assertEq("band-cursor-no-repeat", cursor.advance(0.2).hits.length, 0);
+  // MIDI clock follower (mock messages, 120 BPM = 20.833 ms per clock)
+  const midiBeats = [];
+  const follower = createClockFollower({ onBeat: (b)=> midiBeats.push(b) });
+  follower.handle([MIDI.START], 0);
+  for (let i = 0; i < 48; i++) follower.handle([MIDI.CLOCK], i * 500 / 24);
+  assertEq("midi-clock-beats", midiBeats.map((b)=>b.beat).join(), "0,1");
+  assertEq("midi-clock-bpm", Math.round(follower.bpm()), 120);
+  follower.handle([MIDI.SPP, 16, 0], 1000); // 16 sixteenths = beat 4
+  assertEq("midi-spp", follower.beat(), 4);
+  assertEq("midi-note-kick", mapNote(36)?.pad, 2);
+  // beat maps (variable tempo)
+  const map = { beats: [1, 1.5, 2.1, 2.8] };
+  assertEq("beatmap-time-mid", timeAtBeat(map, 1.5), 1.8);
+  assertEq("beatmap-time-extrapolate", Math.round(timeAtBeat(map, -1)*100)/100, 0.4);
+  assertEq("beatmap-beat-at", Math.round(beatAtTime(map, 2.45)*1000)/1000, 2.5);
+  assertEq("beatmap-roundtrip", parseBeatMap(serializeBeatMap(map)).beats.join(), "1,1.5,2.1,2.8");
+  assertEq("beatmap-taps-replace", mergeTaps(map, [1.45, 2.0]).beats.join(), "1,1.45,2,2.8");
+  // band roster (per-member subdivision + pattern)
+  assertEq("roster-sub2", memberHitsOn({ subdivision: 2, pattern: "every" }, 3), false);
+  assertEq("roster-backbeat", [0,1,2,3].map((i)=> memberHitsOn({ subdivision: 1, pattern: "backbeat" }, i)).join(), "false,true,false,true");
+  assertEq("roster-for-band", membersForBand(DEFAULT_ROSTER, "kick").join(), "octo");
+  // step sequencer: sixteenth ticks against the bar, velocity scales the action
+  const seqTicks = ticksBetween({ bpm: 120, quantize: "1/2", stepsPerBeat: 4 }, 0, 0.5);
+  assertEq("seq-ticks", seqTicks.map((e)=> `${e.index}/${e.step}`).join(), "0/0,null/1,1/2,null/3");
+  const seqMember = { id: "octo", rhythm: "steps", steps: parseSteps("K...o...S...x...") };
+  assertEq("seq-hits", seqTicks.map((e)=> stepHit(seqMember, e)?.pad ?? "-").join(), "2,-,-,-");
+  assertEq("seq-ghost", stepHit(seqMember, { bar: 1, stepInBar: 4, stepsPerBar: 16, step: 20 })?.vel, GHOST_VEL);
+  assertEq("seq-two-bars", stepIndex(32, { bar: 3, stepInBar: 1, stepsPerBar: 16 }), 17);
+  assertEq("seq-refit-6-8", refitSteps(parseSteps("x...x...x...x..."), 16, 12).map((st)=> (st ? "x" : ".")).join(""), "x...x...x...");
+  // meters, triplets, phrases, swing per subdivision
+  assertEq("meter-phrases", ticksBetween({ bpm: 120, beatsPerBar: 3, phraseBars: 2 }, 0, 6.1).filter((e)=> e.isPhraseStart).map((e)=> e.time).join(), "0,3,6");
+  assertEq("triplet-ticks", ticksBetween({ bpm: 120, quantize: "1/3" }, 0, 0.45).map((e)=> Math.round(e.time * 1000)).join(), "0,167,333");
+  assertEq("triplet-steps-lcm", ticksBetween({ bpm: 120, quantize: "1/3", stepsPerBeat: 4 }, 0, 0.49).filter((e)=> e.index != null || e.step != null).length, 6);
+  const swingGrid = { anchorTime: 0, anchorBeat: 0, beatSec: 1, tpb: 4, qtpb: 4, swing: 0.5, swingUnit: 0.5 };
+  assertEq("swing-half-beats", [1, 2, 3].map((n)=> tickTime(swingGrid, n)).join(), "0.3125,0.625,0.8125");
+  assertEq("phrase-move", JSON.stringify(tickMove({ index: 8, isPhraseStart: true, isDownbeat: true, phrase: 2 }, { phrase: "lights", camera: "fixed" })), JSON.stringify({ key: 8, light: 2 }));
+  assertEq("fixed-camera-beat-only", JSON.stringify(tickMove({ index: 4, isBeat: true, isDownbeat: true, phrase: 1 }, { phrase: "both", camera: "fixed" })), JSON.stringify({ key: 4, beat: "bar" }));
+  const moves = createStageMoves(); moves.queue(1, { key: 0, punch: 0.12 });
+  assertEq("phrase-punch", [0.9, 1.06].map((t)=> Math.round(moves.at(t).zoom * 100) / 100).join(), "1,1.12");
+  assertEq("roster-move", moveMember(DEFAULT_ROSTER, "seal", -1).map((m)=> m.id).join(), "octo,seal,seahorse");
+  // rig clips: contact pose exactly on the scheduled time, re-queued beats replace pending clips
+  assertEq("rig-contact-pose", sampleClip(CLIPS.strike, 0).reach, 1);
+  const rig = createRigPlayer(); rig.schedule("strike", 1, { key: 2 }); rig.schedule("strike", 1.01, { key: 2 });
+  assertEq("rig-requeue", rig.pending(), 1);
+  assertEq("rig-anticipation", rig.pose(0.95).contacts.length, 0);
+  assertEq("rig-contact-frame", rig.pose(1.005, 1/60).pose.reach, 1);
+  const ghostRig = createRigPlayer(); ghostRig.schedule("strike", 1, { vel: 0.5 });
+  assertEq("rig-velocity", ghostRig.pose(1, 1/60).pose.reach, 0.5);
+  // asset pack manifests
+  const packErr = (m)=> { try { parseAssetPack(m); return ""; } catch (e) { return e.message; } };
+  assertEq("pack-valid", packErr({ format: ASSET_PACK_FORMAT, version: 1, characters: { octopus: { texture: "o.png", animations: { strike: ["a.png", "b.png"] } } } }), "");
+  assertEq("pack-unknown-clip", packErr({ format: ASSET_PACK_FORMAT, characters: { seal: { texture: "s.png", animations: { dance: ["a.png"] } } } }).includes("animations.dance"), true);
+  assertEq("pack-no-texture", packErr({ format: ASSET_PACK_FORMAT, characters: { crab: {} } }).includes('needs a "texture"'), true);
+  // offline ticks (video export) + WebM sizes
+  assertEq("ticks-between", ticksBetween({ bpm: 120, offsetSec: 0.25 }, 0, 1.5).map((e)=> e.time).join(), "0.25,0.75,1.25");
+  assertEq("webm-vint", Array.from(vint(127)).join(), "64,127");
+  // setlist
+  const fades = crossfadeCurves(5);
+  assertEq("crossfade-equal-power", Math.round((fades.fadeIn[2] ** 2 + fades.fadeOut[2] ** 2) * 1000) / 1000, 1);
+  assertEq("setlist-next", nextTrack([{ id: "a" }, { id: "b" }], "a")?.id + "," + nextTrack([{ id: "a" }, { id: "b" }], "b"), "b,null");
+  assertEq("setlist-inherit", JSON.stringify(inheritSettings({ bpm: 128, swing: 20, useBeatMap: true })), JSON.stringify({ bpm: null, swing: 20, useBeatMap: false, tempoInfo: null, phaseInfo: null, beatMap: null }));
+  // project bundle: typed arrays leave the JSON and come back
+  const liftChunks = []; const lifted = liftTyped({ env: Float32Array.from([0.5, 1]), onsets: [{ time: 1 }] }, liftChunks);
+  assertEq("bundle-lift", JSON.stringify(lifted), '{"env":{"$f32":0},"onsets":[{"time":1}]}');
+  assertEq("bundle-restore", Array.from(restoreTyped(JSON.parse(JSON.stringify(lifted)), liftChunks).env).join(), "0.5,1");
+  assertEq("output-wall-time", toWallTime(10.5, 10, 1000), 1000.5);
+  assertEq("beatmap-map-grid", tickTime({ anchorTime: 5, anchorBeat: 0, beatSec: 0.5, tpb: 1, swing: 0, map }, 2), 7.1);
+  // transport: loop points on bar lines (120 BPM, first beat at 0.1 s → bars every 2 s), waveform peaks
+  assertEq("snap-to-bar", snapToBar({ bpm: 120, offsetSec: 0.1 }, 2.9), 2.1);
+  assertEq("loop-region-min-bar", JSON.stringify(loopRegion({ bpm: 120, offsetSec: 0.1 }, 2.3, 2.5, 60)), '{"start":2.1,"end":4.1}');
+  assertEq("waveform-peaks", Array.from(waveformPeaks({ numberOfChannels: 1, length: 4, getChannelData: ()=> Float32Array.from([0.5, -0.25, 1, -1]) }, 2)).join(), "-0.25,0.5,-1,1");
+  // mix bus + synth notes
+  assertEq("mix-solo", JSON.stringify(channelGains({ master: 1, channels: { bass: { gain: 0.5, solo: true }, drums: { gain: 1, solo: true, mute: true } } })),
+    JSON.stringify({ song: 0, drums: 0, violin: 0, bass: 0.5, keys: 0, vocals: 0 }));
+  assertEq("synth-bass-root", Math.round(midiToHz(noteFor("bass", { beat: 4 }, 9))), 55);
+  assertEq("synth-drums-no-note", noteFor("drums", { beat: 0 }), null);
+  // effects
+  assertEq("fx-filter-open", filterSetting(0).frequency, 20000);
+  assertEq("fx-filter-closed", [filterSetting(-1), filterSetting(1)].map((f)=> `${f.type}:${Math.round(f.frequency)}`).join(), "lowpass:80,highpass:8000");
+  assertEq("fx-cc-centre", scaleFx("filter", 64 / 127), 0);
+  assertEq("fx-duck-recovers", [0, 1].map((t)=> Math.round(duckGainAt(t, 0.5, 0.25) * 100) / 100).join(), "0.5,1");
+  // camera moves + scenes
+  const panMoves = createStageMoves(); panMoves.queue(1, { key: 0, punch: 0.1, pan: [20, 0], shake: 4 });
+  assertEq("camera-pan-settles", JSON.stringify((({ zoom, x, y })=> [zoom, x, y].map((v)=> +v.toFixed(2)))(panMoves.at(5))), "[1,20,0]");
+  assertEq("spot-flash-decays", [0, 2].map((dt)=> +spotAlpha(dt, { base: 0.1, flash: 0.4 }).toFixed(2)).join(), "0.5,0.1");
+  assertEq("bubble-wraps", bubbleRise(10, 0, 50, 100) >= 0 && bubbleRise(10, 0, 50, 100) < 100, true);
+  // post-processing bindings
+  assertEq("post-bind", bindUniform({ base: 1, beat: 2, kick: 4 }, { beat: 0.5, kick: 0.25 }), 3);
+  assertEq("post-downbeat-pulse", [0, 2].map((dt)=> +postInputs(10, { since: dt, sinceBar: dt, len: 0.5 }).downbeat.toFixed(2)).join(), "1,0");
+  const lookProblems = []; parsePostLook({ passes: [{ pass: "bloom", amount: { wobble: 1 } }, { pass: "grain" }] }, "postFx.x", lookProblems);
+  assertEq("post-look-validates", lookProblems.length, 1);
+  // particles
+  assertEq("particle-burst-scales", [burstSize(EMITTERS.drums, 0.3, 1), burstSize(EMITTERS.drums, 1, 0), burstSize(EMITTERS.drums, 2, 2)].join(), "3,5,23");
+  assertEq("particle-fades", +particleAt({ x: 0, y: 0, vx: 0, vy: -10, gravity: 0, size: 1, grow: 0, alpha: 1, life: 1, kind: "spark" }, 0.5).alpha.toFixed(2), 0.5);
+  assertEq("particle-seeded", hitSeed("octo", 12.5) === hitSeed("octo", 12.5) && hitSeed("octo", 12.5) !== hitSeed("seal", 12.5), true);
+  assertEq("quality-tier-clamps", [qualityTier(-1), qualityTier(1.2), qualityTier(5)].map((t)=> QUALITY_TIERS.indexOf(t)).join(), "0,1,2");
+  // performance governor + stats
+  assertEq("frame-stats", (({ fps, p95Ms })=> [fps, p95Ms].join())(frameStats([20, 20, 40])), "37.5,40");
+  const gov = createGovernor(); [0, 1, 2].forEach((t)=> gov.update(30, 60, t));
+  assertEq("governor-steps-back-slowly", [gov.step, (gov.update(60, 60, 3), gov.update(60, 60, 10), gov.step), (gov.update(60, 60, 19), gov.step)].join(), "1,1,0");
+  assertEq("governor-caps-tier", (({ label, postPasses, shadows })=> [label, postPasses, shadows].join())(effectiveQuality(QUALITY_TIERS[2], GOVERNOR_STEPS[3])), "High -3,1,false");
+  assertEq("tick-jitter", (({ mean, sd })=> [mean, sd].map((v)=> +v.toFixed(2)).join())(spreadMs([0.001, 0.003])), "2,1");
+  assertEq("formatTime-minute-carry", formatTime(59.96), "1:00.0");
+  assertEq("formatTime", formatTime(125.04), "2:05.0");
   console.table(results);
 })();
 
@@ -72,10 +232,134 @@ function MeterBars({ active }){
   );
 }
 
+// Output peak meter: read() → 0..1+, polled every frame while `active` (no React state per frame)
+function LevelMeter({ read, active }){
+  const barRef = useRef(null);
+  useEffect(()=>{
+    const bar = barRef.current; if (!bar) return;
+    if (!active) { bar.style.width = "0%"; return; }
+    let raf = 0, held = 0;
+    const loop = () => {
+      held = Math.max(read() ?? 0, held * 0.92);
+      bar.style.width = `${Math.min(100, held * 100)}%`; bar.style.background = held > 0.98 ? "#f43f5e" : "#34d399";
+      raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+    return ()=> cancelAnimationFrame(raf);
+  },[active]);
+  return <div className="h-1.5 w-full rounded-full bg-slate-800 overflow-hidden"><div ref={barRef} className="h-full"/></div>;
+}
+
+// Playing-step ring on a row of step buttons: read() → last sixteenth heard | null, polled every frame while
+// `active`, so sequencer ticks never re-render the app
+function StepCursor({ read, length, active, className, children }){
+  const rowRef = useRef(null);
+  useEffect(()=>{
+    const row = rowRef.current; if (!row || !active) return;
+    let raf = 0, lit = null;
+    const mark = (el) => { if (lit && lit !== el) lit.classList.remove("ring-2", "ring-pink-400"); el?.classList.add("ring-2", "ring-pink-400"); lit = el; };
+    const loop = () => {
+      const ev = read();
+      mark(ev ? row.children[stepIndex(length, ev)] ?? null : null); // re-applied every frame: a re-render resets className
+      raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+    return ()=> { cancelAnimationFrame(raf); mark(null); };
+  },[active, length]);
+  return <div ref={rowRef} className={className}>{children}</div>;
+}
+
+const INSTRUMENT_ICONS = { drums: Drum, violin: Music2, bass: Guitar, keys: Piano, vocals: Mic };
+
+// ====== Transport timeline: waveform + beat/bar grid, playhead, A/B loop ======
+// Click seeks, Shift-drag marks a loop (onLoop snaps it to bars). getPlayhead() → source seconds | null, read every frame.
+function Waveform({ buffer, lines, loop, getPlayhead, onSeek, onLoop }){
+  const boxRef = useRef(null), baseRef = useRef(null), headRef = useRef(null), dragRef = useRef(null);
+  const [drag, setDrag] = useState(null); // { a, b } while Shift-dragging
+  const [width, setWidth] = useState(0);
+  const peaks = useMemo(()=> (buffer ? waveformPeaks(buffer, 1024) : null), [buffer]);
+  const getPlayheadRef = useRef(getPlayhead); getPlayheadRef.current = getPlayhead;
+  useEffect(()=>{
+    const ro = new ResizeObserver(([e])=> setWidth(Math.round(e.contentRect.width)));
+    ro.observe(boxRef.current);
+    return ()=> ro.disconnect();
+  },[]);
+  const fit = (c)=> { const dpr = window.devicePixelRatio || 1; c.width = c.clientWidth * dpr; c.height = c.clientHeight * dpr; return dpr; };
+
+  useEffect(()=>{
+    const c = baseRef.current; if (!c) return;
+    const dpr = fit(c); const w = c.width, h = c.height; const g = c.getContext("2d");
+    g.clearRect(0, 0, w, h);
+    if (!buffer || !peaks) return;
+    const x = (t)=> t / buffer.duration * w;
+    const region = drag ? { start: Math.min(drag.a, drag.b), end: Math.max(drag.a, drag.b) } : loop;
+    if (region) { g.fillStyle = "rgba(251,191,36,0.15)"; g.fillRect(x(region.start), 0, x(region.end) - x(region.start), h); }
+    const n = peaks.length / 2; g.fillStyle = "rgba(148,163,184,0.75)";
+    for (let i = 0; i < n; i++) {
+      const top = (1 - peaks[i * 2 + 1]) * h / 2, bottom = (1 - peaks[i * 2]) * h / 2;
+      g.fillRect(i / n * w, top, Math.max(1, w / n), Math.max(1, bottom - top));
+    }
+    // beats only when they are at least 4 px apart; bar numbers at least 32 px apart
+    const showBeats = lines.length < w / (4 * dpr);
+    const bars = lines.filter((l)=> l.beatInBar === 0).length;
+    const labelEvery = 2 ** Math.ceil(Math.log2(Math.max(1, bars * 32 * dpr / w)));
+    g.font = `${10 * dpr}px sans-serif`;
+    for (const l of lines) {
+      const isBar = l.beatInBar === 0; if (!isBar && !showBeats) continue;
+      g.fillStyle = l.isPhraseStart ? "rgba(244,114,182,0.85)" : isBar ? "rgba(129,140,248,0.7)" : "rgba(255,255,255,0.12)";
+      g.fillRect(x(l.time), 0, isBar ? dpr : 1, h);
+      if (isBar && l.bar >= 0 && l.bar % labelEvery === 0) { g.fillStyle = "rgba(199,210,254,0.8)"; g.fillText(String(l.bar + 1), x(l.time) + 3 * dpr, 11 * dpr); }
+    }
+    if (region) { g.fillStyle = "rgb(251,191,36)"; g.fillRect(x(region.start), 0, 2 * dpr, h); g.fillRect(x(region.end) - 2 * dpr, 0, 2 * dpr, h); }
+  },[peaks, lines, loop, drag, width]);
+
+  useEffect(()=>{
+    const c = headRef.current; if (!c) return;
+    const dpr = fit(c); const g = c.getContext("2d");
+    let raf = 0;
+    const draw = ()=>{
+      g.clearRect(0, 0, c.width, c.height);
+      const t = buffer ? getPlayheadRef.current() : null;
+      if (t != null) { g.fillStyle = "#f472b6"; g.fillRect(t / buffer.duration * c.width - dpr, 0, 2 * dpr, c.height); }
+      raf = requestAnimationFrame(draw);
+    };
+    raf = requestAnimationFrame(draw);
+    return ()=> cancelAnimationFrame(raf);
+  },[buffer, width]);
+
+  const timeAt = (e)=> { const r = e.currentTarget.getBoundingClientRect(); return clamp((e.clientX - r.left) / r.width, 0, 1) * buffer.duration; };
+  return (
+    <div ref={boxRef} className="relative h-24 rounded-lg bg-slate-950/60 border border-slate-800 cursor-pointer select-none touch-none"
+      onPointerDown={(e)=> {
+        if (!buffer) return;
+        if (!e.shiftKey) { onSeek(timeAt(e)); return; }
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { a: timeAt(e), b: timeAt(e) }; setDrag(dragRef.current);
+      }}
+      onPointerMove={(e)=> { if (!dragRef.current) return; dragRef.current = { ...dragRef.current, b: timeAt(e) }; setDrag(dragRef.current); }}
+      onPointerUp={()=> { const d = dragRef.current; if (!d) return; dragRef.current = null; setDrag(null); onLoop(d.a, d.b); }}>
+      <canvas ref={baseRef} className="absolute inset-0 w-full h-full"/>
+      <canvas ref={headRef} className="absolute inset-0 w-full h-full pointer-events-none"/>
+      {!buffer && <div className="absolute inset-0 grid place-items-center text-xs opacity-60">Load a song to see its waveform</div>}
+    </div>
+  );
+}
+
 // ====== PIXI RENDERER (WebGL realism) ======
-function PixiAnimals({ width=900, height=360, beatPulse, activeArm, hitDrums, hitViolin, hitBass, realism, debug=false }){
+// clean: no backing panel/noise (output window); resolution: [w, h] renders at exactly that many pixels
+function PixiAnimals({ width=900, height=360, beatPulse, roster, pack, scene="plain", post=POST_LOOKS.none.passes, actionsRef, clock, bandLevelsRef, realism, targetFps=0, getLateness, debug=false, clean=false, resolution=null, className="w-full h-[360px]", style }){
   const containerRef = useRef(null);
   const appRef = useRef(null);
+  const rosterRef = useRef(roster); rosterRef.current = roster;
+  const clockRef = useRef(clock); clockRef.current = clock;
+  const packRef = useRef(pack); packRef.current = pack;
+  const sceneRef = useRef(scene); sceneRef.current = scene;
+  const postRef = useRef(post); postRef.current = post;
+  const resolutionRef = useRef(resolution); resolutionRef.current = resolution;
+  const realismRef = useRef(realism); realismRef.current = realism;
+  const debugRef = useRef(debug); debugRef.current = debug;
+  const targetRef = useRef(targetFps); targetRef.current = targetFps;
+  const latenessRef = useRef(getLateness); latenessRef.current = getLateness;
 
   // Helpers
   const getTicker = (app) => (app && app.ticker && typeof app.ticker.add === 'function') ? app.ticker : (PIXI?.Ticker?.shared || null);
@@ -92,39 +376,30 @@ function PixiAnimals({ width=900, height=360, beatPulse, activeArm, hitDrums, hi
     setTimeout(fn, 16);
   };
 
+  // Scale & center the logical stage in a w×h renderer
+  const fitStage = (app, w, h) => {
+    const s = Math.max(0.01, Math.min(w/width, h/height));
+    app.stage.scale.set(s, s);
+    app.stage.position.set((w - width*s)/2, (h - height*s)/2);
+  };
+
   // Fit canvas to container & keep aspect
   const applyLayout = (app) => {
     if (!containerRef.current || !app) return;
     const canvasEl = app.canvas ?? app.view;
+    if (canvasEl) { canvasEl.style.width = '100%'; canvasEl.style.height = '100%'; canvasEl.style.display = 'block'; }
+    // Fixed output resolution: exact pixels, the container only scales the canvas
+    const res = resolutionRef.current;
+    if (res) { try { app.renderer?.resize?.(res[0], res[1]); } catch {} fitStage(app, res[0], res[1]); return; }
     let cw = containerRef.current.clientWidth;
     let ch = containerRef.current.clientHeight;
     // If layout not ready yet, fall back to logical size
     if (!cw || !ch) { cw = width; ch = height; }
-    // CSS size
-    if (canvasEl) { canvasEl.style.width = '100%'; canvasEl.style.height = '100%'; canvasEl.style.display = 'block'; }
-    // Renderer size (pixel ratio aware)
-    const dpr = Math.min(window.devicePixelRatio || 1, 2);
-    try { app.renderer?.resize?.(Math.max(1, Math.floor(cw*dpr)), Math.max(1, Math.floor(ch*dpr))); } catch {}
-    // Stage scale & center
-    const sx = cw / width; const sy = ch / height; const s = Math.max(0.01, Math.min(sx, sy));
-    app.stage.scale.set(s, s);
-    app.stage.position.set((cw - width*s)/2, (ch - height*s)/2);
-  };
-
-  // Load assets (optional) then render; always render vector placeholders if any asset fails
-  const loadAssets = async () => {
-    // Map your assets here (place files in /public or reachable URLs)
-    const ASSETS = {
-      // example: octopus: '/assets/octopus.png', seahorse: '/assets/seahorse.png', seal: '/assets/seal.png'
-    };
-    const keys = Object.keys(ASSETS);
-    if (!keys.length) return {}; // nothing to load
-    const out = {};
-    for (const k of keys){
-      try { out[k] = await PIXI.Assets.load(ASSETS[k]); }
-      catch (e) { console.warn('[assets] failed to load', k, ASSETS[k], e); out[k] = null; }
-    }
-    return out;
+    // Renderer size (pixel ratio aware, times the quality tier's resolution scale)
+    const dpr = Math.min(window.devicePixelRatio || 1, 2) * (app.__renderScale ?? 1);
+    const pw = Math.max(1, Math.floor(cw*dpr)), ph = Math.max(1, Math.floor(ch*dpr));
+    try { app.renderer?.resize?.(pw, ph); } catch {}
+    fitStage(app, pw, ph);
   };
 
   useEffect(()=>{
@@ -157,49 +432,29 @@ function PixiAnimals({ width=900, height=360, beatPulse, activeArm, hitDrums, hi
         containerRef.current.appendChild(canvasEl);
       }
 
-      // DEBUG overlay
+      // Stats overlay (shown while `debug` is on; perf.js)
       let debugText = null;
-      if (debug){
-        try {
-          debugText = new PIXI.Text({ text: 'Pixi: init...', style: { fill: 0x66ff99, fontSize: 14 } });
-        } catch {
-          // v7 style fallback
-          // @ts-ignore
-          debugText = new PIXI.Text('Pixi: init...', { fill: 0x66ff99, fontSize: 14 });
-        }
-        debugText.position.set(8, 6);
-        app.stage.addChild(debugText);
+      try {
+        debugText = new PIXI.Text({ text: 'Pixi: init...', style: { fill: 0x66ff99, fontSize: 14 } });
+      } catch {
+        // v7 style fallback
+        // @ts-ignore
+        debugText = new PIXI.Text('Pixi: init...', { fill: 0x66ff99, fontSize: 14 });
       }
+      debugText.position.set(8, 6); debugText.zIndex = 10; debugText.visible = debugRef.current;
+      app.stage.addChild(debugText);
 
       // Basic BG so you always see something
       const bg = new PIXI.Graphics();
       bg.beginFill(0x0b1220, 0.5).drawRoundedRect(0, 0, width, height, 12).endFill();
-      app.stage.addChild(bg); bg.zIndex = 0;
+      app.stage.addChild(bg); bg.zIndex = 0; bg.visible = !clean;
 
-      // After init: layout, then assets, then scene
+      // After init: layout, then scene (asset packs are loaded by the parent and passed in as `pack`)
       applyLayout(app);
 
-      let textures = {};
-      try {
-        textures = await loadAssets();
-        if (debug && debugText) debugText.text = 'Pixi: assets loaded';
-      } catch (e) {
-        console.warn('[assets] load error', e);
-        if (debug && debugText) debugText.text = 'Pixi: asset load error (using placeholders)';
-      }
-
       // Layers & stage
       const stage = app.stage; stage.sortableChildren = true;
 
-      // Helpers
-      const makeShadow = (x,y,w,h) => {
-        const g = new PIXI.Graphics();
-        g.beginFill(0x000000, 0.35).drawEllipse(0,0,w,h).endFill();
-        g.position.set(x,y);
-        try { g.filters = [new PIXI.filters.BlurFilter(8)]; } catch {}
-        return g;
-      };
-
       // Displacement
       const noiseGfx = new PIXI.Graphics();
       for (let i=0;i<120;i++){
@@ -209,104 +464,273 @@ function PixiAnimals({ width=900, height=360, beatPulse, activeArm, hitDrums, hi
       }
       let noiseTex = null; try { noiseTex = app.renderer?.generateTexture?.(noiseGfx) || null; } catch {}
       const noiseSpr = noiseTex ? new PIXI.Sprite(noiseTex) : new PIXI.Container();
-      if (noiseSpr instanceof PIXI.Sprite) noiseSpr.alpha = 0.25;
-      let displacement = null; try { displacement = new PIXI.filters.DisplacementFilter(noiseSpr); displacement.scale.set(0,0); } catch {}
+      if (noiseSpr instanceof PIXI.Sprite) { noiseSpr.alpha = 0.25; noiseSpr.visible = !clean; }
+      const displacement = makeFilter("DisplacementFilter", noiseSpr); displacement?.scale.set(0,0);
       stage.addChild(noiseSpr);
 
-      // === Animals — use textures if present, else vector placeholders ===
-      const octo = new PIXI.Container(); octo.zIndex = 5; stage.addChild(octo);
-      if (textures.octopus) {
-        const spr = new PIXI.Sprite(textures.octopus);
-        spr.anchor.set(0.5); spr.position.set(160,180); spr.scale.set(0.5);
-        octo.addChild(spr);
-      } else {
-        const body = new PIXI.Graphics(); body.beginFill(0x25E2C4).lineStyle(2,0x93fff1,0.9).drawEllipse(0,0,70,60).endFill(); body.position.set(160,180);
-        const eyeL = new PIXI.Graphics(); eyeL.beginFill(0x0f172a).drawCircle(0,0,6).endFill(); eyeL.position.set(140,170);
-        const eyeR = new PIXI.Graphics(); eyeR.beginFill(0x0f172a).drawCircle(0,0,6).endFill(); eyeR.position.set(180,170);
-        stage.addChild(body, eyeL, eyeR);
-      }
-      const pads = []; const arms = [];
-      for (let i=0;i<8;i++){
-        const angle = (i/8)*Math.PI*2;
-        const pad = new PIXI.Graphics(); pad.beginFill(0xe5e7eb).lineStyle(1,0x94a3b8,0.8).drawEllipse(0,0,22,14).endFill();
-        pad.position.set(160+Math.cos(angle)*120, 180+Math.sin(angle)*85); pad.zIndex = 4; stage.addChild(pad); pads.push(pad);
-        const a = (i/8)*Math.PI*2; const arm = new PIXI.Graphics(); arm.lineStyle(8, 0x10b981).moveTo(160+Math.cos(a)*48, 180+Math.sin(a)*44).quadraticCurveTo(160+Math.cos(a)*70 + Math.sin(a)*20,180+Math.sin(a)*60 - Math.cos(a)*18,160+Math.cos(a)*105,180+Math.sin(a)*76); arm.zIndex = 3; stage.addChild(arm); arms.push(arm);
-      }
+      // Post-processing (postFx.js): the look's shader passes over everything the camera sees
+      const postLayer = new PIXI.Container(); postLayer.zIndex = 1; postLayer.filterArea = new PIXI.Rectangle(0, 0, width, height); stage.addChild(postLayer);
+      const chain = createPostChain();
+      let quality = effectiveQuality(qualityTier(realismRef.current));
+      const applyPost = () => { const f = chain.filters.slice(0, quality.postPasses); postLayer.filters = f.length ? f : null; };
+      const setPost = (passes) => { chain.set(passes); applyPost(); };
+      setPost(postRef.current);
 
-      // Seahorse
-      if (textures.seahorse){
-        const sh = new PIXI.Sprite(textures.seahorse); sh.anchor.set(0.5); sh.position.set(450,190); sh.zIndex = 5; stage.addChild(sh);
-      } else {
-        const seahorse = new PIXI.Graphics(); seahorse.beginFill(0x60a5fa).lineStyle(2,0xbfdbfe,0.9).drawEllipse(0,0,40,58).endFill(); seahorse.position.set(450, 190); seahorse.zIndex = 5; stage.addChild(seahorse);
-        const bow = new PIXI.Graphics(); bow.lineStyle(6, 0x0f172a).moveTo(390,170).lineTo(510,190); stage.addChild(bow); appRef.current && (appRef.current._bow = bow);
-      }
+      // Camera: scene, backdrop + band, zoomed about the stage centre; stage moves punch in, pan, shake and re-light it
+      const camera = new PIXI.Container(); camera.sortableChildren = true; postLayer.addChild(camera);
+      camera.pivot.set(width/2, height/2); camera.position.set(width/2, height/2);
+      const lights = makeFilter("ColorMatrixFilter");
+      const moves = createStageMoves(); let lit = false;
+      let scenery = null;
+      const applyMoves = (now, levels) => {
+        const { zoom, tint, x, y, beat } = moves.at(now);
+        camera.scale.set(zoom, zoom); camera.pivot.set(width/2 + x, height/2 + y);
+        scenery?.update(now, { x, y }, Math.min(1, Math.max(0, ...Object.values(levels ?? {}))));
+        chain.update(postInputs(now, beat, levels, realismRef.current));
+        const on = tint.some((v)=> Math.abs(v - 1) > 0.005);
+        if (lights && on) lights.matrix = [tint[0],0,0,0,0, 0,tint[1],0,0,0, 0,0,tint[2],0,0, 0,0,0,1,0];
+        if (lights && on !== lit) { lit = on; camera.filters = on ? [lights] : null; }
+      };
 
-      // Seal
-      if (textures.seal){
-        const sl = new PIXI.Sprite(textures.seal); sl.anchor.set(0.5); sl.position.set(720,200); sl.zIndex = 5; stage.addChild(sl);
-      } else {
-        const seal = new PIXI.Graphics(); seal.beginFill(0x93c5fd).lineStyle(2,0xdbeafe,0.9).drawEllipse(0,0,60,36).endFill(); seal.position.set(720, 200); seal.zIndex = 5; stage.addChild(seal);
-        const bass = new PIXI.Graphics(); bass.beginFill(0x0b1220).drawRoundedRect(760,140,16,90,7).endFill(); stage.addChild(bass);
-      }
+      // Pack backdrop (optional), stretched to the logical stage
+      const backdrop = new PIXI.Sprite(); backdrop.zIndex = 1; backdrop.visible = false; camera.addChild(backdrop);
+      const setBackdrop = (tex) => { backdrop.visible = !!tex; if (tex) { backdrop.texture = tex; backdrop.width = width; backdrop.height = height; } };
+      setBackdrop(packRef.current?.background);
+
+      // === Band — one character per roster member (pack looks by species if present, else vector placeholders) ===
+      const bandLayer = new PIXI.Container(); bandLayer.zIndex = 5; bandLayer.sortableChildren = true; camera.addChild(bandLayer);
+      if (displacement) bandLayer.filters = [displacement];
+      let chars = [];
+      // Members keep their character (queued actions, idle phase) through moves, renames and reorders; a new
+      // species or instrument, a new member or `rebuild` (pack swap) builds a fresh one
+      const buildRoster = (list, rebuild = false) => {
+        const old = new Map(chars.map((c)=> [c.id, c]));
+        chars = list.map((m)=> {
+          const c = old.get(m.id);
+          if (!c || rebuild || c.species !== m.species || c.instrument !== m.instrument) return buildCharacter(m, packRef.current?.looks);
+          old.delete(m.id); c.root.position.set(m.x, m.y); return c;
+        });
+        old.forEach((c)=> c.destroy());
+        chars.forEach((c, i)=> { c.root.zIndex = i; bandLayer.addChild(c.root); }); // roster order = back to front
+        app._chars = chars; applyShadows();
+        scenery?.setMembers(chars.map((c)=> ({ id: c.id, x: c.root.position.x, y: c.root.position.y })));
+      };
+      const applyShadows = () => chars.forEach((c)=> c.parts.shadow?.filters?.forEach((f)=> { f.enabled = quality.shadows; }));
+      buildRoster(rosterRef.current);
+
+      // Hit particles (particles.js) over the band, capped by the realism budget
+      const particles = createParticles(app.renderer, { realism: realismRef.current });
+      particles.node.zIndex = 6; camera.addChild(particles.node);
+
+      // Scene (scenes.js): layers behind the backdrop, spotlights under the band, foreground over it
+      const setScene = (id) => {
+        scenery?.destroy();
+        scenery = buildScene(SCENES[id] ?? SCENES.plain, { width, height });
+        scenery.back.zIndex = 0; scenery.spots.zIndex = 4; scenery.front.zIndex = 8;
+        camera.addChild(scenery.back, scenery.spots, scenery.front);
+        scenery.setMembers(chars.map((c)=> ({ id: c.id, x: c.root.position.x, y: c.root.position.y })));
+      };
+      setScene(sceneRef.current);
+      // Update every member's rig; a member that lands a contact fires its spotlight and a particle burst,
+      // and parts that keep sounding trail particles. Returns the contacts landed.
+      const updateBand = (now, levels, frameSec) => {
+        const emit = (e)=> e.hit ? particles.hit(e.instrument, e.x, e.y, e.vel, now, hitSeed(e.id, e.seed ?? now)) : particles.stream(e.id, e.instrument, e.x, e.y, e.level, now, frameSec);
+        const landed = chars.reduce((n, c)=> { const k = c.update(now, levels, frameSec, emit); if (k) scenery?.flash(c.id, now); return n + k; }, 0);
+        particles.update(now);
+        return landed;
+      };
 
-      // Shadows
-      const sh1 = makeShadow(160, 240, 70, 16); const sh2 = makeShadow(450, 248, 60, 14); const sh3 = makeShadow(720, 252, 74, 16);
-      sh1.zIndex = sh2.zIndex = sh3.zIndex = 1; stage.addChild(sh1); stage.addChild(sh2); stage.addChild(sh3);
+      // Quality (quality.js): the realism tier less the governor's step, applied live — resolution, shadows,
+      // post passes, particles
+      const monitor = createFrameMonitor(), governor = createGovernor(), draws = countDrawCalls(app.renderer?.gl);
+      const applyQuality = () => {
+        quality = effectiveQuality(qualityTier(realismRef.current), GOVERNOR_STEPS[governor.step]); app.__renderScale = quality.resolution;
+        particles.setBudget(quality.particles);
+        applyShadows(); applyPost();
+        if (!exporting) applyLayout(app);
+      };
+      const setRealism = (r) => { particles.setRealism(r); applyQuality(); };
+      const setTarget = () => { governor.reset(); monitor.reset(); applyQuality(); };
 
-      // Filters
-      let cmOcto, cmSea, cmSeal; try { cmOcto = new PIXI.filters.ColorMatrixFilter(); } catch {}
-      try { cmSea = new PIXI.filters.ColorMatrixFilter(); } catch {}
-      try { cmSeal = new PIXI.filters.ColorMatrixFilter(); } catch {}
-      if (cmOcto || displacement) octo.filters = [cmOcto, displacement].filter(Boolean);
+      // Every half second: frame stats → governor (when a target rate is set), overlay and any running benchmark
+      let statsAt = 0, frames = 0, bench = null;
+      const sampleStats = (wall) => {
+        const st = monitor.stats(), target = targetRef.current;
+        if (target && monitor.count() && governor.update(st.fps, target, wall)) applyQuality();
+        const late = latenessRef.current?.() ?? [];
+        const sample = { ...st, draws: Math.round(draws.take() / Math.max(1, frames)), texMB: textureMB(app.renderer), jitter: late.length ? spreadMs(late) : null, quality: quality.label };
+        frames = 0;
+        if (debugText.visible) debugText.text = formatStats(st, sample);
+        if (bench?.record(wall, { ...st, draws: sample.draws, texMB: sample.texMB, lateMs: sample.jitter?.mean, jitterMs: sample.jitter?.sd, quality: sample.quality })) bench = null;
+      };
+      const stopBenchmark = (why) => { bench?.cancel(why); bench = null; };
+      const benchmark = (seconds, info) => {
+        stopBenchmark("restarted");
+        bench = createBenchmark({ seconds, info: { ...info, targetFps: targetRef.current, realism: realismRef.current, pixels: `${app.canvas?.width}×${app.canvas?.height}` } });
+        monitor.reset(); statsAt = performance.now() / 1000; // first sample after a full interval of fresh frames
+        return bench.done;
+      };
 
       // Beat reaction
       const onBeat = () => {
         if (!app || !app.__isReady) return;
-        if (displacement) { const s = realism>0 ? (realism===1 ? 6 : 10) : 3; displacement.scale.set(s, s); addOnce(app, ()=> displacement.scale.set(0,0)); }
-        octo.scale.set(1.05, 1.05); addOnce(app, ()=> octo.scale.set(1,1));
-        try { cmOcto && cmOcto.brightness(1.15, true); cmSea && cmSea.brightness(1.12, true); cmSeal && cmSeal.brightness(1.10, true); setTimeout(()=>{ cmOcto?.reset?.(); cmSea?.reset?.(); cmSeal?.reset?.(); }, 120); } catch {}
+        if (displacement) { displacement.scale.set(quality.displacement, quality.displacement); addOnce(app, ()=> displacement.scale.set(0,0)); }
+        try { chars.forEach((c)=> c.cm?.brightness(1.12, true)); setTimeout(()=>{ chars.forEach((c)=> c.cm?.reset?.()); }, 120); } catch {}
+      };
+      appRef.current = app; appRef.current._onBeat = onBeat; appRef.current._buildRoster = buildRoster; appRef.current._setBackdrop = setBackdrop; appRef.current._setScene = setScene; appRef.current._setPost = setPost;
+      appRef.current._setRealism = setRealism; appRef.current._setTarget = setTarget; appRef.current._stopBenchmark = stopBenchmark; appRef.current._setDebug = (on)=> { debugText.visible = on; };
+
+      // Parent → rig: queue instrument actions so their contact frame lands on `contact` (clock() seconds)
+      if (actionsRef) actionsRef.current = {
+        strike: (ids, contact, params) => chars.forEach((c)=> { if (ids.includes(c.id)) c.strike(contact, params); }),
+        clear: () => { chars.forEach((c)=> c.rig.clear()); moves.reset(); particles.clear(); },
+        move: (contact, move) => moves.queue(contact, move),
+        benchmark: (seconds, info) => benchmark(seconds, info),
+        beginExport: (opts) => beginExport(opts),
+        renderAt: (now, levels, frameSec) => renderAt(now, levels, frameSec),
+        endExport: () => endExport(),
+      };
+
+      // Offline export: ticker stopped, the parent steps song time and reads the canvas back after each render.
+      // Pulses last a fixed song-time window instead of a timer; alpha hides everything behind the band.
+      let exporting = null;
+      const beginExport = ({ width: w, height: h, alpha }) => {
+        stopBenchmark("video export started");
+        exporting = { pulseUntil: -Infinity, hidden: [debugText, ...(alpha ? [bg, backdrop, noiseSpr, scenery?.back, scenery?.spots] : [])].filter(Boolean).map((n)=> [n, n.visible]) };
+        exporting.hidden.forEach(([n])=> { n.visible = false; });
+        getTicker(app)?.stop?.();
+        app.renderer.resize(w, h); fitStage(app, w, h);
+        chars.forEach((c)=> c.rig.clear()); moves.reset(); particles.clear();
+        return app.canvas ?? app.view;
+      };
+      const renderAt = (now, levels, frameSec) => {
+        if (updateBand(now, levels, frameSec)) exporting.pulseUntil = now + 0.12;
+        const on = now < exporting.pulseUntil;
+        if (displacement) displacement.scale.set(on ? quality.displacement : 0, on ? quality.displacement : 0);
+        try { chars.forEach((c)=> on ? c.cm?.brightness(1.12, true) : c.cm?.reset?.()); } catch {}
+        applyMoves(now, levels);
+        app.renderer.render(app.stage);
+        return app.canvas ?? app.view;
+      };
+      const endExport = () => {
+        if (!exporting) return;
+        exporting.hidden.forEach(([n, v])=> { n.visible = v; });
+        exporting = null;
+        chars.forEach((c)=> { c.rig.clear(); c.cm?.reset?.(); }); moves.reset(); particles.clear(); monitor.reset();
+        getTicker(app)?.start?.(); applyLayout(app);
       };
-      appRef.current = app; appRef.current._onBeat = onBeat; appRef.current._pads = pads; appRef.current._arms = arms;
 
-      // Idle motion
-      let t = 0; addTick(app, (delta)=>{ t += (delta || 1)/60; const b = 1 + 0.02*Math.sin(t*2); octo.scale.set(b,b); });
+      // Rig poses (idle sway, queued actions) + continuous band energy; the stage pulses on contact frames
+      // and follows queued stage moves
+      addTick(app, (delta)=>{
+        if (exporting) return;
+        const frameSec = typeof delta === 'number' ? delta/60 : (delta?.deltaMS ?? 1000/60)/1000; // v8 passes the Ticker
+        const now = clockRef.current?.() ?? performance.now()/1000;
+        const lv = bandLevelsRef?.current?.levels;
+        if (updateBand(now, lv, frameSec)) onBeat();
+        applyMoves(now, lv);
+        monitor.push(frameSec * 1000); frames++;
+        const wall = performance.now() / 1000;
+        if (wall - statsAt >= 0.5) { statsAt = wall; sampleStats(wall); }
+      });
 
       // Initial layout + resize (defer to next frames in case container width is 0 at mount)
       const kickLayout = () => applyLayout(app);
       requestAnimationFrame(kickLayout);
       requestAnimationFrame(kickLayout);
       setTimeout(kickLayout, 50);
-      const onResize = () => applyLayout(app);
+      const onResize = () => { if (!exporting) applyLayout(app); };
       window.addEventListener('resize', onResize);
       app.__onResize = onResize;
 
-      if (debug && debugText){
-        debugText.text = `Pixi ready. stageChildren=${stage.children?.length || 0}`;
-      }
+      debugText.text = `Pixi ready. stageChildren=${stage.children?.length || 0}`;
+      setRealism(realismRef.current);
     };
 
     mount();
 
+    // StrictMode mounts twice: an app still in init() is destroyed by mount() once it resolves
     return ()=>{
-      const app = appRef.current; if (!app) return;
+      destroyed = true;
+      if (!app?.__isReady) return;
       try { (app.__fallbackIntervals || []).forEach(clearInterval); } catch {}
       try { window.removeEventListener('resize', app.__onResize); } catch {}
+      app._stopBenchmark?.("stage closed");
       try { app.destroy(true); } catch { try { app.destroy?.(); } catch {} }
-      appRef.current = null;
+      if (appRef.current === app) { appRef.current = null; if (actionsRef) actionsRef.current = null; }
       if (containerRef.current) containerRef.current.innerHTML = "";
     };
-  }, [width, height, realism, debug]);
+  }, [width, height, clean]);
+
+  // Realism, roster edits and pack swaps apply to the running stage (no remount)
+  useEffect(()=>{ appRef.current?._setRealism?.(realism); },[realism]);
+  useEffect(()=>{ appRef.current?._setTarget?.(targetFps); },[targetFps]);
+  useEffect(()=>{ appRef.current?._setDebug?.(debug); },[debug]);
+  useEffect(()=>{ appRef.current?._buildRoster?.(roster); },[roster]);
+  useEffect(()=>{ appRef.current?._buildRoster?.(rosterRef.current, true); appRef.current?._setBackdrop?.(pack?.background); },[pack]);
+  useEffect(()=>{ appRef.current?._setScene?.(scene); },[scene]);
+  useEffect(()=>{ appRef.current?._setPost?.(post); },[post]);
+  useEffect(()=>{ if (appRef.current?.__isReady) applyLayout(appRef.current); },[resolution?.join("x")]);
+
+  return <div ref={containerRef} className={className} style={style}/>;
+}
+
+// ====== Output window (?output): the stage alone, driven by the control window ======
+export function OutputFeed(){
+  const [state, setState] = useState(null); // last "state" message: { roster, packUrl, realism, scene, post, output }
+  const [pack, setPack] = useState(null);
+  const actionsRef = useRef(null);
+  const bandLevelsRef = useRef({ levels: emptyLevels() });
+  useEffect(()=> listenOutput({
+    onState: setState,
+    onStrike: (ids, at, params)=> actionsRef.current?.strike(ids, at, params), // `at` is already on the wall clock
+    onClear: ()=> actionsRef.current?.clear(),
+    onMove: (at, move)=> actionsRef.current?.move(at, move),
+    onLevels: (levels)=> { bandLevelsRef.current.levels = levels; },
+  }),[]);
 
-  // React to beat/hits from parent — guard until ready
+  const packUrl = state?.packUrl;
   useEffect(()=>{
-    const app = appRef.current; if (!app || !app.__isReady) return;
-    if (typeof activeArm === 'number' && app._pads){ app._pads.forEach((p,i)=>{ p.tint = (i===activeArm && (hitDrums)) ? 0xfde68a : 0xffffff; }); }
-    if (app._bow && hitViolin){ app._bow.rotation = -0.15; setTimeout(()=>{ if(app._bow) app._bow.rotation = 0.15; }, 80); }
-    if (hitBass){ /* TODO: nudge bass */ }
-    if (hitDrums || hitViolin || hitBass){ app._onBeat && app._onBeat(); }
-  }, [activeArm, hitDrums, hitViolin, hitBass]);
-
-  return <div ref={containerRef} className="w-full h-[360px]"/>;
+    let live = true; setPack(null);
+    if (packUrl) loadAssetPack(packUrl).then((p)=> { if (live) setPack(p); }).catch((e)=> console.warn("[output]", e.message));
+    return ()=> { live = false; };
+  },[packUrl]);
+
+  const output = state?.output ?? DEFAULT_OUTPUT;
+  const shownPack = useMemo(()=> (pack && !output.backdrop ? { ...pack, background: null } : pack), [pack, output.backdrop]);
+  // Every state message is a fresh copy: keep the passes' identity until they change, so filters are not rebuilt
+  const postJson = JSON.stringify(state?.post ?? []);
+  const post = useMemo(()=> JSON.parse(postJson), [postJson]);
+  const color = OUTPUT_BACKGROUNDS[output.background] ?? null;
+  useEffect(()=>{
+    document.title = "Animal Band – Output";
+    document.body.style.background = color ?? "transparent"; document.documentElement.style.background = color ?? "transparent";
+  },[color]);
+
+  if (!state) return <div className="h-full grid place-items-center text-sm text-slate-400">Waiting for the control window…</div>;
+  const size = OUTPUT_SIZES.find((x)=> x.id === output.size) ?? OUTPUT_SIZES[0];
+  const fixed = size.width ? [size.width, size.height] : null;
+  return (
+    <div className="h-full w-full overflow-hidden flex items-center justify-center">
+      <PixiAnimals
+        width={860}
+        height={360}
+        roster={state.roster}
+        pack={shownPack}
+        scene={output.backdrop ? state.scene : "plain"}
+        post={post}
+        actionsRef={actionsRef}
+        clock={wallClock}
+        bandLevelsRef={bandLevelsRef}
+        realism={state.realism}
+        targetFps={state.targetFps ?? 0}
+        clean
+        resolution={fixed}
+        className={fixed ? "max-w-full max-h-full" : "w-full h-full"}
+        style={fixed ? { aspectRatio: `${fixed[0]} / ${fixed[1]}`, width: `min(100vw, ${(100*fixed[0]/fixed[1]).toFixed(3)}vh)` } : undefined}
+      />
+    </div>
+  );
 }
 
 export default function AnimalBand(){
@@ -314,108 +738,870 @@ export default function AnimalBand(){
   const [debug, setDebug] = useState(true);
   // ====== Player & Audio ======
   const [audioFile, setAudioFile] = useState(null);
-  const [audioUrl, setAudioUrl] = useState(null);
   const [isPlaying, setIsPlaying] = useState(false);
 
   // ====== Tempo ======
   const [bpm, setBpm] = useState(null);
+  const [tempoInfo, setTempoInfo] = useState(null); // { confidence, candidates } from the detector
+  const [analyzing, setAnalyzing] = useState(false);
   const [manualBpm, setManualBpm] = useState(120);
   const [offsetMs, setOffsetMs] = useState(0);
-  const [quantize, setQuantize] = useState("1/1"); // "1/1" | "1/2" | "1/4"
+  const [phaseInfo, setPhaseInfo] = useState(null); // { firstBeatMs, downbeatMs, confidence } from the detector
+  const [downbeatIndex, setDownbeatIndex] = useState(0); // which beat after the first one starts the bar
+  const [beatMap, setBeatMap] = useState(null); // { beats: [sec…], downbeatIndex, beatsPerBar, source }
+  const [useBeatMap, setUseBeatMap] = useState(false);
+  const [beatMapError, setBeatMapError] = useState(null);
+  const [tapTimes, setTapTimes] = useState([]); // tap-edit marks (source seconds) waiting to be merged
+  const [quantize, setQuantize] = useState("1/1"); // "1/1" | "1/2" | "1/4" | "1/3" | "1/6" (triplets)
   const [swing, setSwing] = useState(0); // %
+  const [swingUnit, setSwingUnit] = useState("1/2"); // the subdivision swing delays: "1/2" | "1/4" of a beat
+  const [timeSig, setTimeSig] = useState("4/4"); // METERS key; in x/8 the tempo counts eighths
+  const [phraseBars, setPhraseBars] = useState(8); // bars per phrase (phrase moves, counters)
+  const meter = METERS[timeSig] ?? METERS["4/4"];
+  const stepsPerBar = meter.beatsPerBar * stepsPerBeatFor(timeSig);
 
   // ====== Band ======
-  const band = useMemo(() => ([
-    { id: "octo", name: "Octopus – Drums", instrument: "drums", subdivision: 1 },
-    { id: "seahorse", name: "Seahorse – Violin", instrument: "violin", subdivision: 1 },
-    { id: "seal", name: "Seal – Bass", instrument: "bass", subdivision: 2 },
-  ]), []);
+  const [roster, setRoster] = useState(DEFAULT_ROSTER); // [{ id, name, species, instrument, subdivision, pattern, rhythm, steps, x, y }]
+  const usesSteps = roster.some((m)=> m.rhythm === "steps"); // the scheduler then ticks every sixteenth
+  const updateMember = (id, patch) => setRoster((r)=> r.map((m)=> m.id === id ? { ...m, ...patch } : m));
+  const addMember = () => setRoster((r)=> [...r, createMember({ x: 120 + (r.length * 150) % 640 })]);
+  const removeMember = (id) => setRoster((r)=> r.filter((m)=> m.id !== id));
+
+  // ====== Step sequencer (members with rhythm "steps" play their pattern in beat grid mode) ======
+  const [genre, setGenre] = useState("rock");
+  const seqTickRef = useRef(null); // last sixteenth heard, read by the playing-step highlight (not state: 16 ticks a bar)
+  const [seqSelected, setSeqSelected] = useState(null); // { id, i }: step open in the inspector
+  const editStep = (m, i, fn) => updateMember(m.id, { steps: m.steps.map((s, j)=> (j === i ? fn(s) : s)) });
+  const setMemberRhythm = (m, on) => updateMember(m.id, on ? { rhythm: "steps", steps: m.steps ?? presetSteps(genre, m.instrument, stepsPerBar) } : { rhythm: "grid" });
+  // A genre fills every member's pattern by instrument and switches the band to the beat grid
+  const applyGenre = () => { setRoster((r)=> r.map((m)=> ({ ...m, rhythm: "steps", steps: presetSteps(genre, m.instrument, stepsPerBar) }))); setReactMode("grid"); };
+  // A new meter changes the bar length: patterns keep their bar count, the downbeat stays inside the bar
+  const changeMeter = (sig) => {
+    const next = METERS[sig]; if (!next) return;
+    const to = next.beatsPerBar * stepsPerBeatFor(sig);
+    setRoster((r)=> r.map((m)=> (m.steps ? { ...m, steps: refitSteps(m.steps, stepsPerBar, to) } : m)));
+    setDownbeatIndex((d)=> d % next.beatsPerBar); setTimeSig(sig);
+  };
+  // Click toggles a step, Shift-click toggles its accent, Alt-click makes it a ghost note
+  const clickStep = (m, i, e) => {
+    const had = m.steps[i];
+    if (e.shiftKey) editStep(m, i, (x)=> (x ? { ...x, accent: !x.accent, vel: x.accent ? 0.8 : 1 } : makeStep({ accent: true, vel: 1 })));
+    else if (e.altKey) editStep(m, i, (x)=> makeStep({ ...x, accent: false, vel: x?.vel === GHOST_VEL ? 0.8 : GHOST_VEL }));
+    else editStep(m, i, (x)=> (x ? null : makeStep()));
+    setSeqSelected(had && !e.shiftKey && !e.altKey ? null : { id: m.id, i });
+  };
+
+  // ====== Asset pack (textures / frames per species; vector placeholders otherwise) ======
+  const [assetPack, setAssetPack] = useState(null); // loadAssetPack() result
+  const [packUrl, setPackUrl] = useState(DEFAULT_PACK_URL);
+  const [packStatus, setPackStatus] = useState(null); // { loading, loaded, total } | { error } | { warnings }
+  const loadPack = async (url, { quiet = false, layout = true } = {}) => {
+    setPackStatus({ loading: true, loaded: 0, total: 0 });
+    try {
+      const res = await loadAssetPack(url, { onProgress: ({ loaded, total })=> setPackStatus({ loading: true, loaded, total }) });
+      setAssetPack({ ...res, url }); // the URL lets an output window load the same pack
+      // per-pack stage layout: positions by member id, else by species
+      if (layout) setRoster((r)=> r.map((m)=> { const p = res.layout[m.id] ?? res.layout[m.species]; return p ? { ...m, x: p[0], y: p[1] } : m; }));
+      setPackStatus({ warnings: res.errors });
+      res.errors.forEach((e)=> console.warn("[assets]", e.key, e.message));
+    } catch (e) { setPackStatus(quiet ? null : { error: e.message }); }
+  };
 
   // ====== Beat state ======
   const [beatCount, setBeatCount] = useState(0);
+  const [position, setPosition] = useState(null); // { songTime, bar, beatInBar, phrase, barInPhrase } as of the last tick
   const [hitPulse, setHitPulse] = useState(false);
-  const [activeArm, setActiveArm] = useState(0);
+
+  // ====== Band parts (each animal follows its own frequency band) ======
+  const [reactMode, setReactMode] = useState("bands"); // "bands" | "grid"
+  const [phraseMoves, setPhraseMoves] = useState("both"); // PHRASE_MOVES key: stage moves on phrase starts
+  const [cameraStyle, setCameraStyle] = useState("gentle"); // CAMERA_STYLES key; "fixed" for VJ software
+  const [scene, setScene] = useState("reef"); // SCENES key
+  const [postLook, setPostLook] = useState("none"); // POST_LOOKS key or a look from the asset pack
+  const [partHits, setPartHits] = useState({}); // { [memberId]: true } while a member's part hits
+  const [bandsAnalyzed, setBandsAnalyzed] = useState(false);
+  const bandAnalysisRef = useRef(null); // offline analyzeBands() result for the loaded track
+  const bandLevelsRef = useRef({ levels: emptyLevels() }); // read by the Pixi ticker every frame
+  const stageActionsRef = useRef(null); // { strike(ids, contact, params), clear() } once the Pixi stage is up
 
   // Visual realism controls
   const [realism, setRealism] = useState(1); // 0..2
+  const [perfTarget, setPerfTarget] = useState("off"); // TARGET_FPS key: the governor trades quality to hold this rate
+  const [benchmarks, setBenchmarks] = useState([]); // benchmark reports, newest first
+  const [benchRunning, setBenchRunning] = useState(false);
 
   // Web Audio
   const audioCtxRef = useRef(null);
   const audioBufferRef = useRef(null);
   const sourceRef = useRef(null);
-  const nextBeatTimeRef = useRef(0);
-  const schedulerTimerRef = useRef(null);
+  const gainRef = useRef(null); // per-source gain, so tracks can crossfade
+  const fadingRef = useRef([]); // [{ src, gain }] outgoing tracks still fading out
+  const schedulerRef = useRef(null);
   const beatIndexRef = useRef(0);
+  const envelopeRef = useRef(null); // cached onset envelope of the loaded track
+  const getAudioCtx = () => (audioCtxRef.current = audioCtxRef.current ?? new (window.AudioContext || window.webkitAudioContext)());
 
-  // File selection (no Pixi touch here)
-  const onAudioPick = async (file) => {
-    if (!file) return;
-    setAudioFile(file);
-    const url = URL.createObjectURL(file);
-    setAudioUrl(url);
+  // ====== Band sound (synth voices + mix bus → effects → speakers; the song plays through the bus too) ======
+  const [synthOn, setSynthOn] = useState(false);
+  const [synthRoot, setSynthRoot] = useState(9); // NOTE_NAMES index (A)
+  const [mix, setMix] = useState(DEFAULT_MIX);
+  const [fx, setFx] = useState(DEFAULT_FX); // EQ, DJ filter, beat ducking
+  const mixRef = useRef(null);
+  const fxRef = useRef(null);
+  const synthRef = useRef(null);
+  const getMixBus = () => {
+    if (!mixRef.current) {
+      const ctx = getAudioCtx();
+      fxRef.current = createFxChain(ctx); fxRef.current.set(fx);
+      mixRef.current = createMixBus(ctx, fxRef.current.input); mixRef.current.set(mix);
+      synthRef.current = createBandSynth(ctx, mixRef.current);
+    }
+    return mixRef.current;
+  };
+  const setChannel = (id, patch) => setMix((m)=> ({ ...m, channels: { ...m.channels, [id]: { ...m.channels[id], ...patch } } }));
+  // Sliders, MIDI CC and keys all land here (clamped to the parameter's range)
+  const setFxParam = (id, value) => setFx((f)=> ({ ...f, [id]: clampFx(id, value) }));
+  const nudgeFx = (id, by) => setFx((f)=> ({ ...f, [id]: clampFx(id, Math.round(((f[id] ?? 0) + by) * 100) / 100) }));
+  useEffect(()=>{ mixRef.current?.set(mix); },[mix]);
+  useEffect(()=>{ fxRef.current?.set(fx); },[fx]);
+
+  // Cue: preview a setlist track on another output (headphones) while the room hears the main mix
+  const [cueOutput, setCueOutput] = useState(""); // sinkId; "" = default output
+  const [cueOutputs, setCueOutputs] = useState([]);
+  const [cueVolume, setCueVolume] = useState(0.8);
+  const [cueTrackId, setCueTrackId] = useState(null);
+  const [cueError, setCueError] = useState(null);
+  const cuePlayerRef = useRef(null);
+  useEffect(()=>{
+    const player = createCuePlayer({ onEnd: ()=> setCueTrackId(null) });
+    cuePlayerRef.current = player;
+    return ()=> { player.close(); cuePlayerRef.current = null; };
+  },[]);
+  useEffect(()=>{
+    setCueError(null);
+    cuePlayerRef.current?.setOutput(cueOutput).catch((e)=> setCueError(e?.message || String(e)));
+  },[cueOutput]);
+  useEffect(()=>{ cuePlayerRef.current?.setVolume(cueVolume); },[cueVolume]);
+  const refreshCueOutputs = () => listAudioOutputs().then(setCueOutputs).catch(()=>{});
+
+  // ====== Transport (seek, pause/resume, A/B loop, playback rate) ======
+  const [rate, setRate] = useState(1); // the beat grid scales with it
+  const [abLoop, setAbLoop] = useState(null); // { start, end } source seconds, on bar lines
+  const [loopOn, setLoopOn] = useState(false);
+  const [cue, setCue] = useState(null); // { songTime, beat } where Play starts (paused / seeked while stopped); beat null = from the grid
+  const activeLoop = loopOn && abLoop ? abLoop : null;
+
+  // ====== Live input (mic / line-in) ======
+  const [inputMode, setInputMode] = useState("file"); // "file" | "live"
+  const [inputDevices, setInputDevices] = useState([]);
+  const [inputDeviceId, setInputDeviceId] = useState("");
+  const [liveStatus, setLiveStatus] = useState(null); // { bpm, confidence, level, holding } from the worklet
+  const [liveError, setLiveError] = useState(null);
+  const liveRef = useRef(null);
+  const liveBpmRef = useRef(null); // last tempo the tracker locked to
+
+  // ====== MIDI (clock in/out, note triggers) ======
+  const [midiDevices, setMidiDevices] = useState(null); // { inputs, outputs } once enabled
+  const [midiError, setMidiError] = useState(null);
+  const [midiInputId, setMidiInputId] = useState("");
+  const [midiOutputId, setMidiOutputId] = useState("");
+  const [midiClockBpm, setMidiClockBpm] = useState(null);
+  const midiRef = useRef(null);
+  const midiBpmRef = useRef(null); // last tempo measured from incoming clock
+  const clockOutRef = useRef(null);
 
-    const ctx = audioCtxRef.current ?? new (window.AudioContext || window.webkitAudioContext)();
-    audioCtxRef.current = ctx;
-    const arrayBuffer = await file.arrayBuffer();
-    const buffer = await ctx.decodeAudioData(arrayBuffer);
-    audioBufferRef.current = buffer;
+  // ====== Setlist (show mode): each track keeps its own settings; the current and next track stay decoded ======
+  const [setlist, setSetlist] = useState([]); // [{ id, name, file, hash, settings }]
+  const [currentTrackId, setCurrentTrackId] = useState(null);
+  const [setlistError, setSetlistError] = useState(null);
+  const [autoAdvance, setAutoAdvance] = useState(true);
+  const [crossfadeSec, setCrossfadeSec] = useState(4); // 0 = gapless cut
+  const decodedRef = useRef(new Map()); // track id → Promise<{ buffer, bands, envelope }>
+  const currentEntryRef = useRef(null); // decoded entry of the loaded track; its analysis is kept on it
+  const playbackRef = useRef(null); // { duration } of the playing track; its ctx-time end comes from the scheduler
+  const advanceTimerRef = useRef(0);
+
+  // Project store (IndexedDB): writes are debounced per key; nothing is saved until the last session is restored
+  const storeRef = useRef(null);
+  const store = (storeRef.current = storeRef.current ?? createProjectStore());
+  const [projectReady, setProjectReady] = useState(false);
+  const [projectStatus, setProjectStatus] = useState(null); // { busy } | { saved } | { error }
+  const pendingSavesRef = useRef({}); // key → { timer, write }
+  const flushSave = (key) => {
+    const job = pendingSavesRef.current[key]; if (!job) return Promise.resolve();
+    clearTimeout(job.timer); delete pendingSavesRef.current[key];
+    return job.write().then(()=> setProjectStatus({ saved: true })).catch((e)=> setProjectStatus({ error: `Could not save: ${e?.message || e}` }));
+  };
+  const flushSaves = () => Promise.all(Object.keys(pendingSavesRef.current).map(flushSave));
+  const saveLater = (key, write) => {
+    clearTimeout(pendingSavesRef.current[key]?.timer);
+    pendingSavesRef.current[key] = { write, timer: setTimeout(()=> flushSave(key), 400) };
+  };
+
+  const captureSettings = () => ({ bpm, manualBpm, tempoInfo, phaseInfo, offsetMs, downbeatIndex, beatMap, useBeatMap, quantize, swing, swingUnit, timeSig, phraseBars, realism, roster });
+  const applySettings = (s) => {
+    setBpm(s.bpm); setManualBpm(s.manualBpm); setTempoInfo(s.tempoInfo); setPhaseInfo(s.phaseInfo);
+    setOffsetMs(s.offsetMs); setDownbeatIndex(s.downbeatIndex); setBeatMap(s.beatMap); setUseBeatMap(s.useBeatMap);
+    setQuantize(s.quantize); setSwing(s.swing); setRealism(s.realism); setRoster(s.roster);
+    setSwingUnit(s.swingUnit ?? "1/2"); setTimeSig(s.timeSig ?? "4/4"); setPhraseBars(s.phraseBars ?? 8); // older saves: 4/4, eighth swing
+  };
+  // The loaded track follows every edit, so switching away and back restores it; the store keeps it
+  // (with the band analysis) under the file's hash, so re-opening the same file later is instant
+  useEffect(()=>{
+    if (!currentTrackId) return;
+    const settings = captureSettings();
+    setSetlist((l)=> l.map((t)=> t.id === currentTrackId ? { ...t, settings } : t));
+    const hash = setlist.find((t)=> t.id === currentTrackId)?.hash;
+    if (projectReady && hash) {
+      const rec = { hash, settings, bands: bandAnalysisRef.current, envelope: envelopeRef.current };
+      saveLater(`analysis:${hash}`, ()=> store.putAnalysis(rec));
+    }
+  },[currentTrackId, bpm, manualBpm, tempoInfo, phaseInfo, offsetMs, downbeatIndex, beatMap, useBeatMap, quantize, swing, swingUnit, timeSig, phraseBars, realism, roster, bandsAnalyzed]);
+
+  const decodeTrack = (track) => {
+    const cache = decodedRef.current;
+    if (!cache.has(track.id)) cache.set(track.id, Promise.all([
+      track.file.arrayBuffer().then((data)=> getAudioCtx().decodeAudioData(data)),
+      track.hash ? store.getAnalysis(track.hash).catch(()=> null) : null,
+    ]).then(([buffer, stored])=> ({ buffer, bands: stored?.bands ?? null, envelope: stored?.envelope ?? null }))
+      .catch((e)=> { cache.delete(track.id); throw e; }));
+    return cache.get(track.id);
+  };
+  // Pre-decode the next track so the handover is instant; other tracks are released (a whole set of PCM would not fit)
+  const nextTrackId = nextTrack(setlist, currentTrackId)?.id ?? null;
+  useEffect(()=>{
+    const cache = decodedRef.current;
+    for (const id of [...cache.keys()]) if (id !== currentTrackId && id !== nextTrackId) cache.delete(id);
+    const next = setlist.find((t)=> t.id === nextTrackId);
+    if (next) decodeTrack(next).catch((e)=> console.warn("[setlist] pre-decode failed", e));
+  },[currentTrackId, nextTrackId]);
+
+  // Load a track with its saved settings (inherited ones the first time). With `play` it starts at ctx time `at`,
+  // and a playing track fades out over `fade` seconds while this one fades in.
+  const loadTrack = async (track, { play: start = false, at = 0, fade = 0 } = {}) => {
+    let entry;
+    try { entry = await decodeTrack(track); }
+    catch (e) { setSetlistError(`${track.name}: ${e?.message || "could not decode"}`); return; }
+    const prev = currentEntryRef.current;
+    if (prev) { prev.bands = bandAnalysisRef.current; prev.envelope = envelopeRef.current; }
+    currentEntryRef.current = entry;
+    audioBufferRef.current = entry.buffer; envelopeRef.current = entry.envelope;
+    bandAnalysisRef.current = entry.bands; setBandsAnalyzed(!!entry.bands);
+    const settings = track.settings ?? inheritSettings(captureSettings());
+    applySettings(settings); setTapTimes([]); setBeatMapError(null); setSetlistError(null);
+    setCurrentTrackId(track.id); setAudioFile(track.file); setAbLoop(null); setLoopOn(false); setCue(null);
+    if (start) play(entry.buffer, { at, fade, params: schedulerParams(settings), loop: null });
+  };
+  // Picking files queues them; the first one is loaded right away unless something is playing.
+  // Files are hashed: one analyzed before comes back with its tempo, beat map and hand-tuned offsets.
+  const addTracks = async (files) => {
+    const picked = [...(files ?? [])]; if (!picked.length) return;
+    const tracks = await Promise.all(picked.map(async (file)=> {
+      let hash = null, settings = null;
+      try {
+        hash = await hashBlob(file);
+        settings = (await store.getAnalysis(hash))?.settings ?? null;
+        if (!(await store.hasAudio(hash))) await store.putAudio({ hash, name: file.name, type: file.type, blob: file });
+      } catch (e) { console.warn("[project] could not store", file.name, e); }
+      return createTrack(file, { hash, settings });
+    }));
+    setSetlist((l)=> [...l, ...tracks]);
+    if (!isPlaying) loadTrack(tracks[0]);
+  };
+  const removeTrack = (id) => { if (id !== currentTrackId) setSetlist((l)=> l.filter((t)=> t.id !== id)); };
+  // Headphone preview of a track (the same button stops it)
+  const cueTrack = async (track) => {
+    const player = cuePlayerRef.current; if (!player) return;
+    if (cueTrackId === track.id) { player.stop(); setCueTrackId(null); return; }
+    setCueError(null);
+    try { const { buffer } = await decodeTrack(track); await player.play(buffer); setCueTrackId(track.id); }
+    catch (e) { setCueError(e?.message || String(e)); }
+  };
+  // Clicking a track loads it, or crossfades to it while a song is playing
+  const goToTrack = (track) => {
+    const live = isPlaying && inputMode === "file";
+    loadTrack(track, { play: live, fade: live ? crossfadeSec : 0 });
   };
 
-  // Play/Stop
-  const play = (buffer) => {
+  // Auto-advance: just before the handover (end of track minus the crossfade) the next track is loaded and queued on the ctx clock.
+  // The end follows seeks and the playback rate; a looping track never ends.
+  const HANDOVER_LEAD = 0.3;
+  const scheduleAdvance = () => {
+    clearTimeout(advanceTimerRef.current);
+    const pb = playbackRef.current; const ctx = audioCtxRef.current;
+    const end = pb ? schedulerRef.current?.timeAtSong(pb.duration) : null;
+    if (end == null || !ctx || !autoAdvance || activeLoop) return;
+    const fade = Math.min(crossfadeSec, pb.duration / 2);
+    const handover = end - fade;
+    advanceTimerRef.current = setTimeout(()=> advanceRef.current(handover, fade), Math.max(0, (handover - HANDOVER_LEAD - ctx.currentTime) * 1000));
+  };
+  const advance = (handover, fade) => {
+    const next = nextTrack(setlist, currentTrackId);
+    if (next && inputMode === "file") loadTrack(next, { play: true, at: handover, fade });
+  };
+  const advanceRef = useRef(advance); advanceRef.current = advance;
+  const replanAdvance = () => { if (isPlaying) scheduleAdvance(); };
+  const replanAdvanceRef = useRef(replanAdvance); replanAdvanceRef.current = replanAdvance;
+  useEffect(()=>{ replanAdvanceRef.current(); },[autoAdvance, crossfadeSec]);
+
+  // Play/Stop. from: source seconds to start at; anchorBeat: grid beat there (resume keeps the phase); loop: A/B region
+  const play = async (buffer, { at = 0, fade = 0, params, from: songFrom = 0, anchorBeat = null, loop = activeLoop } = {}) => {
     const buf = buffer ?? audioBufferRef.current; if (!buf) return;
+    const from = loop && songFrom >= loop.end ? loop.start : songFrom; // past B: start at A
+    const prev = fade > 0 && sourceRef.current ? { src: sourceRef.current, gain: gainRef.current } : null;
+    if (prev) sourceRef.current = null; else stop();
+    const ctx = getAudioCtx();
+    if (ctx.state === "suspended") { try { await ctx.resume(); } catch {} }
+    const src = ctx.createBufferSource(); const gain = ctx.createGain();
+    const startAt = Math.max(at, ctx.currentTime + 0.05); // small lead so the beat grid and the source share an exact start time
+    src.buffer = buf; src.playbackRate.value = rate;
+    if (loop) { src.loop = true; src.loopStart = loop.start; src.loopEnd = loop.end; }
+    src.connect(gain).connect(getMixBus().input("song")); src.start(startAt, from);
+    if (prev) crossfade(prev, gain, startAt, fade);
+    sourceRef.current = src; gainRef.current = gain; setIsPlaying(true);
+    playbackRef.current = { duration: buf.duration };
+    if (!prev) startClockOut(); // before the grid queues its first beats; MIDI clock out keeps running through a crossfade
+    scheduleBeats(startAt, params, { songFrom: from, anchorBeat: from === songFrom ? anchorBeat : null, rate, loop });
+    scheduleAdvance();
+    src.onended = () => { if (sourceRef.current !== src) return; setIsPlaying(false); clearScheduler(); };
+  };
+  // Equal-power crossfade; the outgoing source stops itself when its fade ends
+  const crossfade = (prev, gain, at, fade) => {
+    const { fadeIn, fadeOut } = crossfadeCurves();
+    try {
+      prev.gain.gain.cancelScheduledValues(0);
+      gain.gain.setValueCurveAtTime(fadeIn, at, fade); prev.gain.gain.setValueCurveAtTime(fadeOut, at, fade);
+    } catch {}
+    try { prev.src.stop(at + fade); } catch {}
+    fadingRef.current.push(prev);
+    prev.src.onended = () => { prev.src.disconnect(); prev.gain.disconnect(); fadingRef.current = fadingRef.current.filter((p)=> p !== prev); };
+  };
+  const stop = () => {
+    clearTimeout(advanceTimerRef.current); playbackRef.current = null;
+    fadingRef.current.forEach(({ src, gain })=> { try { src.stop(); } catch {} src.disconnect(); gain.disconnect(); }); fadingRef.current = [];
+    if (sourceRef.current) { const src = sourceRef.current; sourceRef.current=null; try{src.stop();}catch{} src.disconnect(); gainRef.current?.disconnect(); }
+    if (liveRef.current) { liveRef.current.stop(); liveRef.current = null; }
+    if (clockOutRef.current) { try { clockOutRef.current.stop(); } catch {} clockOutRef.current = null; }
+    setIsPlaying(false); setCue(null); clearScheduler(); seqTickRef.current = null; stageActionsRef.current?.clear(); outputRef.current?.clear();
+    synthRef.current?.silence(); mixRef.current?.resetDuck();
+  };
+  // Pause keeps the song position and the beat phase; Play resumes from there
+  const pause = () => {
+    if (!isPlaying || inputMode !== "file") return;
+    const p = schedulerRef.current?.pause(); stop();
+    if (p) setCue(p);
+  };
+  // Seek restarts the playing track at `time`, or moves where Play starts
+  const seek = (time) => {
+    const buf = audioBufferRef.current; if (!buf) return;
+    const t = clamp(time, 0, Math.max(0, buf.duration - 0.05));
+    if (isPlaying && inputMode === "file") play(buf, { from: t }); else setCue({ songTime: t, beat: null });
+  };
+  const playheadTime = () => (isPlaying ? schedulerRef.current?.getPosition()?.songTime : cue?.songTime) ?? 0;
+  // A/B loop from two picked times (snapped to bars); "Loop n bars" starts at the bar nearest the playhead
+  const setLoopFrom = (a, b) => {
+    const buf = audioBufferRef.current; if (!buf) return;
+    const region = loopRegion(schedulerParams(), a, b, buf.duration);
+    setAbLoop(region); setLoopOn(!!region);
+  };
+  const loopBars = (bars) => { const t = playheadTime(); setLoopFrom(t, snapToBar(schedulerParams(), t, bars)); };
+
+  // Live: no file, no playback — the worklet's beats re-anchor the scheduler, so quantize/swing/offset still apply
+  const startLive = async () => {
+    stop();
+    const ctx = getAudioCtx();
+    if (ctx.state === "suspended") { try { await ctx.resume(); } catch {} }
+    setLiveError(null); setLiveStatus(null); liveBpmRef.current = null; getMixBus();
+    try {
+      liveRef.current = await startLiveInput(ctx, {
+        deviceId: inputDeviceId || null,
+        onBeat: (m) => { liveBpmRef.current = m.bpm; schedulerRef.current?.lock({ time: m.time, bpm: m.bpm }); },
+        onStatus: setLiveStatus,
+      });
+      setIsPlaying(true);
+      startClockOut();
+      scheduleBeats(ctx.currentTime);
+      listAudioInputs().then(setInputDevices).catch(()=>{}); // labels are only exposed after permission
+    } catch (e) { setLiveError(e?.message || String(e)); }
+  };
+
+  // No song loaded: the band plays the beat grid on its own — a metronome with character once the synth is on
+  const startSolo = async () => {
+    stop();
+    const ctx = getAudioCtx();
+    if (ctx.state === "suspended") { try { await ctx.resume(); } catch {} }
+    getMixBus(); setIsPlaying(true);
+    startClockOut();
+    scheduleBeats(ctx.currentTime + 0.05);
+  };
+
+  // MIDI clock source: Start/Continue start the visual scheduler, each clock beat re-anchors it.
+  // Continue passes { time, beat } to resume from the song position instead of bar 1.
+  const startExternal = async (from = null) => {
     stop();
-    const ctx = audioCtxRef.current ?? new (window.AudioContext || window.webkitAudioContext)();
-    audioCtxRef.current = ctx;
-    const src = ctx.createBufferSource();
-    src.buffer = buf; src.connect(ctx.destination); src.start();
-    sourceRef.current = src; setIsPlaying(true);
-    scheduleBeats(bpm ?? manualBpm);
-    src.onended = () => { setIsPlaying(false); clearScheduler(); };
-  };
-  const stop = () => { if (sourceRef.current) { try{sourceRef.current.stop();}catch{} sourceRef.current.disconnect(); sourceRef.current=null; } setIsPlaying(false); clearScheduler(); };
-  const clearScheduler = () => { if (schedulerTimerRef.current){ window.clearInterval(schedulerTimerRef.current); schedulerTimerRef.current=null; }};
-
-  // Scheduler
-  const scheduleBeats = (tempo) => {
-    const beatMs = 60000 / clamp(tempo, 40, 240);
-    const q = quantize === "1/1" ? 1 : quantize === "1/2" ? 0.5 : 0.25;
-    const interval = beatMs * q; const swingAmt = swing / 100;
-    nextBeatTimeRef.current = performance.now() + offsetMs;
-    clearScheduler();
-    schedulerTimerRef.current = window.setInterval(() => {
-      const now = performance.now();
-      if (now >= nextBeatTimeRef.current) {
-        triggerBeat();
-        const isOffBeat = (beatIndexRef.current % 2) === 1;
-        const swingDelta = isOffBeat ? interval * swingAmt * 0.5 : 0;
-        nextBeatTimeRef.current += interval + swingDelta;
+    const ctx = getAudioCtx();
+    if (ctx.state === "suspended") { try { await ctx.resume(); } catch {} }
+    getMixBus(); setIsPlaying(true);
+    scheduleBeats(ctx.currentTime);
+    if (from) schedulerRef.current?.lock({ time: perfToCtxTime(ctx, from.time), beat: from.beat });
+  };
+  const midiEventsRef = useRef(null);
+  midiEventsRef.current = {
+    start: () => { if (inputMode === "midi") startExternal(); },
+    continue: ({ time, beat }) => { if (inputMode === "midi") startExternal({ time, beat }); },
+    // Song position pointer: moves a running grid now; while stopped the follower keeps it for Continue
+    position: ({ time, beat }) => {
+      const ctx = audioCtxRef.current; const sch = schedulerRef.current;
+      if (inputMode === "midi" && ctx && sch?.isRunning()) sch.lock({ time: perfToCtxTime(ctx, time), beat });
+    },
+    stop: () => { if (inputMode === "midi") stop(); },
+    beat: ({ time, beat, bpm: clockBpm }) => {
+      if (clockBpm) { midiBpmRef.current = clockBpm; setMidiClockBpm(Math.round(clockBpm * 10) / 10); }
+      const ctx = audioCtxRef.current; const sch = schedulerRef.current;
+      if (inputMode !== "midi" || !ctx || !sch?.isRunning()) return;
+      sch.lock({ time: perfToCtxTime(ctx, time), bpm: midiBpmRef.current ?? undefined, beat });
+    },
+    note: ({ note, velocity }) => { const r = mapNote(note); if (r) strikeMembers(membersForInstrument(roster, r.instrument), rigClock(), { pad: r.pad, vel: velocity }); },
+    control: ({ cc, value }) => {
+      const p = mapControl(cc); if (!p) return;
+      if (p === "master") setMix((m)=> ({ ...m, master: Math.round(value * 1.2 * 100) / 100 })); else setFxParam(p, scaleFx(p, value));
+    },
+  };
+  const enableMidi = async () => {
+    setMidiError(null);
+    try {
+      const ev = (k) => (arg) => midiEventsRef.current[k](arg);
+      const follower = createClockFollower({ onStart: ev("start"), onContinue: ev("continue"), onPosition: ev("position"), onStop: ev("stop"), onBeat: ev("beat"), onNote: ev("note"), onControl: ev("control") });
+      midiRef.current?.close();
+      midiRef.current = await openMidi({ onMessage: follower.handle, onDevices: setMidiDevices });
+      midiRef.current.setInput(midiInputId);
+    } catch (e) { setMidiError(e?.message || String(e)); }
+  };
+  // Clock out follows our own scheduler (not while we are slaved to incoming clock)
+  const startClockOut = () => {
+    const out = inputMode !== "midi" ? midiRef.current?.output(midiOutputId) : null;
+    if (!out) return;
+    clockOutRef.current = createClockSender(out);
+    try { clockOutRef.current.start(); } catch (e) { console.warn("[midi] clock out failed", e); clockOutRef.current = null; }
+  };
+  useEffect(()=>{ midiRef.current?.setInput(midiInputId); },[midiInputId]);
+  useEffect(()=>()=> midiRef.current?.close(),[]);
+
+  // Rig clock: what is heard now (ctx seconds) — scheduler tick times live on the same clock
+  const rigClock = () => {
+    const ctx = audioCtxRef.current;
+    return ctx && ctx.state === "running" ? audibleTime(ctx) : performance.now() / 1000;
+  };
+
+  // ====== Output window (clean feed over BroadcastChannel) ======
+  const [outputOpts, setOutputOpts] = useState(DEFAULT_OUTPUT);
+  const [outputLive, setOutputLive] = useState(false);
+  const outputRef = useRef(null);
+  const outputStateRef = useRef(null);
+  const postLooks = useMemo(()=> ({ ...POST_LOOKS, ...assetPack?.postFx }), [assetPack]);
+  const postPasses = (postLooks[postLook] ?? POST_LOOKS.none).passes;
+  outputStateRef.current = { roster, packUrl: assetPack?.url ?? null, realism, targetFps: TARGET_FPS[perfTarget] ?? 0, scene, post: postPasses, output: outputOpts };
+  useEffect(()=>{
+    const link = createOutputLink({ clock: rigClock, getState: ()=> outputStateRef.current, onStatus: setOutputLive });
+    outputRef.current = link;
+    return ()=> { link.close(); outputRef.current = null; };
+  },[]);
+  useEffect(()=>{ outputRef.current?.state(outputStateRef.current); },[roster, assetPack, realism, perfTarget, scene, postPasses, outputOpts]);
+  // Every rig action goes to the stage and to any open output window
+  const stageStrike = (ids, contact, params) => { stageActionsRef.current?.strike(ids, contact, params); outputRef.current?.strike(ids, contact, params); };
+  const stageMove = (contact, move) => { stageActionsRef.current?.move(contact, move); outputRef.current?.move(contact, move); };
+
+  // Per-member hits (band onsets, MIDI notes): the rig plays each member's action with its
+  // contact frame on `contact`; `pad` picks the drum pad. The cards' meters flash at contact too.
+  const strikeMembers = (list, contact, params = {}) => {
+    if (!list.length) return;
+    stageStrike(list, contact, { seed: contact, ...params }); // seed: particle bursts match in the output window
+    const members = Object.fromEntries(list.map((m)=> [m, true]));
+    setTimeout(()=> {
+      setPartHits((p)=> ({ ...p, ...members }));
+      setTimeout(()=> setPartHits((p)=> { const next = { ...p }; Object.keys(members).forEach((m)=> { next[m] = false; }); return next; }), 100);
+    }, Math.max(0, (contact - rigClock()) * 1000));
+  };
+
+  // Per-part onsets → per-animal hits (kick pads low, snare pads high)
+  const KICK_PADS = [2, 1, 3], SNARE_PADS = [6, 5, 7];
+  const padCycleRef = useRef({ kick: 0, snare: 0 });
+  const nextPad = (band) => {
+    if (band !== "kick" && band !== "snare") return null;
+    const pads = band === "kick" ? KICK_PADS : SNARE_PADS; const c = padCycleRef.current;
+    return pads[c[band]++ % pads.length];
+  };
+  const onPartHits = (hits) => {
+    if (reactMode !== "bands") return;
+    for (const h of hits) strikeMembers(membersForBand(roster, h.band), h.contact ?? rigClock(), { pad: nextPad(h.band) });
+  };
+  const onPartHitsRef = useRef(onPartHits); onPartHitsRef.current = onPartHits;
+
+  // Band feed while playing: offline analysis follows the song position, otherwise a live spectrum tap.
+  // Offline onsets are known in advance, so a second cursor reads them RIG_LEAD early for the anticipation.
+  const RIG_LEAD = 0.12;
+  useEffect(()=>{
+    if (!isPlaying) return;
+    const ctx = audioCtxRef.current;
+    const tap = liveRef.current?.source ?? sourceRef.current;
+    const cursor = !liveRef.current && bandAnalysisRef.current ? createBandCursor(bandAnalysisRef.current) : null;
+    const ahead = cursor ? createBandCursor(bandAnalysisRef.current) : null;
+    const meter = !cursor && ctx && tap ? createBandMeter(ctx, tap) : null;
+    let raf = 0;
+    const loop = () => {
+      const pos = schedulerRef.current?.getPosition();
+      const frame = cursor ? (pos ? cursor.advance(pos.songTime) : null) : meter?.read();
+      if (frame) {
+        bandLevelsRef.current.levels = frame.levels; outputRef.current?.levels(frame.levels);
+        const hits = ahead ? ahead.advance(pos.songTime + RIG_LEAD * rate).hits.map((h)=> ({ ...h, contact: rigClock() + (h.time - pos.songTime) / rate })) : frame.hits;
+        if (hits.length) onPartHitsRef.current(hits);
       }
-    }, Math.max(4, Math.min(16, interval/8)));
+      raf = requestAnimationFrame(loop);
+    };
+    raf = requestAnimationFrame(loop);
+    return ()=> { cancelAnimationFrame(raf); meter?.disconnect(); bandLevelsRef.current.levels = emptyLevels(); outputRef.current?.levels(emptyLevels()); };
+  },[isPlaying, currentTrackId, rate, bandsAnalyzed]); // a Detect BPM mid-song switches to the new analysis
+
+  const togglePlay = () => (isPlaying ? stop() : inputMode === "live" ? startLive() : inputMode === "midi" ? startExternal()
+    : !audioBufferRef.current ? startSolo() : play(undefined, { from: cue?.songTime ?? 0, anchorBeat: cue?.beat ?? null }));
+  const pauseResume = () => (isPlaying && inputMode === "file" && sourceRef.current ? pause() : togglePlay());
+  const clearScheduler = () => { schedulerRef.current?.stop(); };
+
+  // Scheduler (AudioContext clock, look-ahead); a setlist handover passes the incoming track's settings
+  const schedulerParams = ({ bpm, manualBpm, quantize, swing, swingUnit = "1/2", timeSig = "4/4", phraseBars = 8, offsetMs, downbeatIndex, beatMap, useBeatMap, roster: band = roster } = captureSettings()) => {
+    const external = inputMode !== "file"; // live input / MIDI clock drive the tempo
+    const externalBpm = inputMode === "live" ? liveBpmRef.current : inputMode === "midi" ? midiBpmRef.current : null;
+    return { bpm: externalBpm || (bpm ?? manualBpm), quantize, swing, swingUnit, offsetSec: offsetMs / 1000, beatsPerBar: (METERS[timeSig] ?? METERS["4/4"]).beatsPerBar,
+      downbeatIndex, phraseBars, beatMap: !external && useBeatMap && beatMap ? beatMap : null, stepsPerBeat: band.some((m)=> m.rhythm === "steps") ? stepsPerBeatFor(timeSig) : 1 };
+  };
+  // transport = { songFrom, anchorBeat, rate, loop } for file playback
+  const scheduleBeats = (startTime, params = schedulerParams(), transport = {}) => {
+    const ctx = audioCtxRef.current; if (!ctx) return;
+    if (!schedulerRef.current) schedulerRef.current = createBeatScheduler({ ctx, onTick: (ev) => triggerBeatRef.current(ev), onQueue: (ev) => queueBeatRef.current(ev) });
+    schedulerRef.current.start({ startTime, ...params, ...transport });
   };
-  const triggerBeat = () => {
-    beatIndexRef.current += 1;
-    setBeatCount((c)=>c+1);
+  const triggerBeat = (ev) => {
+    if (usesSteps && ev.step != null) seqTickRef.current = ev;
+    if (ev.index == null) return; // sixteenth between Quantize ticks: only step patterns act on it
+    beatIndexRef.current = ev.index;
+    setBeatCount(ev.index);
+    const pos = schedulerRef.current?.getPosition();
+    if (pos) setPosition(pos);
     setHitPulse(true); setTimeout(()=>setHitPulse(false), 100);
-    setActiveArm((a)=>(a+1)%8);
   };
+  const triggerBeatRef = useRef(triggerBeat); triggerBeatRef.current = triggerBeat;
+  // Who plays on a tick → [{ ids, params }]. key = beat position, so a re-queued tick (tempo/offset change)
+  // replaces its pending action. Step-pattern members play their own step (velocity, pad); the others
+  // follow subdivision + pattern.
+  const tickHits = (ev) => {
+    const key = ev.tick / ev.tpb; const pad = ((ev.tick % 8) + 8) % 8; const hits = [];
+    const ids = ev.index == null ? [] : roster.filter((m)=> m.rhythm !== "steps" && memberHitsOn(m, ev.index)).map((m)=> m.id);
+    if (ids.length) hits.push({ ids, params: { key, pad } });
+    for (const m of roster) {
+      const hit = stepHit(m, ev);
+      if (hit) hits.push({ ids: [m.id], params: { key, pad: hit.pad ?? pad, vel: hit.vel, accent: hit.accent } });
+    }
+    return hits;
+  };
+  // Beat grid mode: ticks are queued ahead, so each member's action is scheduled to contact on the tick itself
+  const strikeTick = (ev, strike = strikeMembers) => tickHits(ev).forEach((h)=> strike(h.ids, ev.time, h.params));
+  // Synth voices for a tick's hits, on the tick's ctx time (held voices last most of a beat)
+  const playSynth = (hits, ev, synth = synthRef.current) => {
+    if (!synth) return;
+    for (const { ids, params } of hits) for (const id of ids) {
+      const m = roster.find((x)=> x.id === id); if (!m) continue;
+      synth.play({ instrument: m.instrument, time: ev.time, vel: params.vel ?? 0.8, pad: params.pad, note: noteFor(m.instrument, ev, synthRoot),
+        len: ev.beatSec * 0.85, key: `${id}:${params.key}` });
+    }
+  };
+  // With no song the band always plays the grid; the synth plays the grid whatever the animals follow.
+  // Phrase starts (every phraseBars bars) also queue a stage move; MIDI clock out is sent ahead from here.
+  const queueBeat = (ev) => {
+    const ctx = audioCtxRef.current;
+    if (ev.isBeat && clockOutRef.current && ctx) { try { clockOutRef.current.beat(ctxToPerfTime(ctx, ev.time), ev.beatSec * 1000); } catch {} }
+    const solo = inputMode === "file" && !sourceRef.current;
+    if (reactMode === "grid" || solo || synthOn) {
+      const hits = tickHits(ev);
+      if (reactMode === "grid" || solo) hits.forEach((h)=> strikeMembers(h.ids, ev.time, h.params));
+      if (synthOn) playSynth(hits, ev);
+    }
+    if (fx.duck > 0 && ev.isBeat) mixRef.current?.duck(ev.time, fx.duck, fx.release);
+    const move = tickMove(ev, { phrase: phraseMoves, camera: cameraStyle }); if (move) stageMove(ev.time, move);
+  };
+  const queueBeatRef = useRef(queueBeat); queueBeatRef.current = queueBeat;
 
-  // BPM detection placeholder
+  // BPM detection (offline, over the decoded buffer, in a worker so playback keeps running)
   const detectBpm = async () => {
-    alert("Automatic BPM detection isn't available here – set BPM manually.");
+    const buf = audioBufferRef.current; if (!buf) return;
+    setAnalyzing(true);
+    try {
+      const { track: res, bands } = await analyzeInWorker(buf, { beatsPerBar: meter.beatsPerBar });
+      if (audioBufferRef.current !== buf) return; // another track was loaded meanwhile
+      envelopeRef.current = res.envelope;
+      if (res.bpm) { setBpm(res.bpm); setTempoInfo({ confidence: res.confidence, candidates: res.candidates }); }
+      if (res.phase) applyPhase(res.phase);
+      if (res.beatMap) applyBeatMap(res.beatMap);
+      bandAnalysisRef.current = bands; setBandsAnalyzed(true);
+    } catch (e) { console.warn("[bpm] detection failed", e); }
+    finally { setAnalyzing(false); }
+  };
+
+  // Phase (first beat + downbeat) → Start Offset
+  const applyPhase = (ph) => { setPhaseInfo(ph); setOffsetMs(ph.firstBeatMs); setDownbeatIndex(ph.downbeatIndex); };
+  const pickTempoCandidate = (value) => {
+    setBpm(value);
+    const buf = audioBufferRef.current; if (!buf) return;
+    try {
+      applyPhase(detectPhase(buf, value, { beatsPerBar: meter.beatsPerBar, envelope: envelopeRef.current ?? undefined }));
+      if (envelopeRef.current) { const m = beatMapFromEnvelope(envelopeRef.current, value, { beatsPerBar: meter.beatsPerBar }); if (m) applyBeatMap(m); }
+    } catch (e) { console.warn("[phase] detection failed", e); }
+  };
+
+  // Beat map: the scheduler follows it instead of the fixed tempo; Start Offset stays "first beat lands here"
+  const applyBeatMap = (m) => {
+    setBeatMap(m); setUseBeatMap(true); setBeatMapError(null);
+    setOffsetMs(Math.round(m.beats[0] * 1000)); setDownbeatIndex(m.downbeatIndex ?? 0);
+  };
+  const tapBeat = () => {
+    const pos = schedulerRef.current?.getPosition(); if (!pos) return;
+    setTapTimes((t)=> [...t, Math.round(pos.songTime * 1e4) / 1e4]);
+  };
+  const applyTaps = () => {
+    const buf = audioBufferRef.current;
+    const base = beatMap ?? (buf ? gridBeatMap({ bpm: tempo, offsetSec: offsetMs / 1000, duration: buf.duration, downbeatIndex, beatsPerBar: meter.beatsPerBar }) : null);
+    const merged = mergeTaps(base, tapTimes);
+    if (merged) applyBeatMap({ ...merged, downbeatIndex });
+    setTapTimes([]);
+  };
+  const exportBeatMap = () => {
+    if (!beatMap) return;
+    const name = audioFile?.name ?? "track";
+    const blob = new Blob([serializeBeatMap({ ...beatMap, downbeatIndex }, name)], { type: "application/json" });
+    const a = document.createElement("a"); a.href = URL.createObjectURL(blob); a.download = `${name.replace(/\.[^.]+$/, "")}.beatmap.json`;
+    a.click(); setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+  };
+  const importBeatMap = async (file) => {
+    if (!file) return;
+    try { applyBeatMap(parseBeatMap(await file.text())); }
+    catch (e) { setBeatMapError(e.message); }
+  };
+  // Video export: the stage is stepped on song time (beat grid / beat map / analyzed onsets), never the wall clock
+  const [exportOpts, setExportOpts] = useState({ size: "720p", fps: 30, alpha: false });
+  const [exportState, setExportState] = useState(null); // { progress } | { error } | { done }
+  const exportAbortRef = useRef(null);
+  const runExport = async () => {
+    const buf = audioBufferRef.current; const stageApi = stageActionsRef.current; if (!buf || !stageApi) return;
+    stop();
+    const { width: w, height: h } = EXPORT_SIZES.find((x)=> x.id === exportOpts.size) ?? EXPORT_SIZES[0];
+    const params = schedulerParams(); const followGrid = reactMode === "grid";
+    if (!bandAnalysisRef.current) { bandAnalysisRef.current = analyzeBands(buf); setBandsAnalyzed(true); }
+    const cursor = createBandCursor(bandAnalysisRef.current), ahead = createBandCursor(bandAnalysisRef.current);
+    let queuedUntil = 0;
+    const abort = new AbortController(); exportAbortRef.current = abort;
+    setExportState({ progress: 0 });
+    stageApi.beginExport({ width: w, height: h, alpha: exportOpts.alpha });
+    try {
+      // the soundtrack goes through the mix bus and effects, with the synth band when it is on
+      const audio = await renderMix(buf, { mix, fx }, (ctx, bus)=> {
+        if (!synthOn && !(fx.duck > 0)) return;
+        const synth = synthOn ? createBandSynth(ctx, bus) : null;
+        ticksBetween(params, 0, buf.duration).forEach((ev)=> {
+          if (synth) playSynth(tickHits(ev), ev, synth);
+          if (fx.duck > 0 && ev.isBeat) bus.duck(ev.time, fx.duck, fx.release);
+        });
+      });
+      const blob = await exportPerformance({
+        buffer: audio, fps: exportOpts.fps, width: w, height: h, alpha: exportOpts.alpha, signal: abort.signal,
+        onProgress: (p)=> setExportState({ progress: p }),
+        renderFrame: (t, frameSec) => {
+          const until = t + RIG_LEAD; // queue actions ahead so anticipation frames are rendered too
+          ticksBetween(params, queuedUntil, until).forEach((ev)=> {
+            if (followGrid) strikeTick(ev, stageApi.strike);
+            const move = tickMove(ev, { phrase: phraseMoves, camera: cameraStyle }); if (move) stageApi.move(ev.time, move);
+          });
+          if (!followGrid) ahead.advance(until).hits.forEach((hit)=> stageApi.strike(membersForBand(roster, hit.band), hit.time, { pad: nextPad(hit.band) }));
+          queuedUntil = until;
+          return stageApi.renderAt(t, cursor.advance(t).levels, frameSec);
+        },
+      });
+      const name = `${(audioFile?.name ?? "performance").replace(/\.[^.]+$/, "")}${exportOpts.alpha ? ".alpha" : ""}.webm`;
+      const a = document.createElement("a"); a.href = URL.createObjectURL(blob); a.download = name;
+      a.click(); setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+      setExportState({ done: name });
+    } catch (e) { setExportState(e?.name === "AbortError" ? null : { error: e?.message || String(e) }); }
+    finally { stageApi.endExport(); exportAbortRef.current = null; }
+  };
+
+  // Project: restored on load (UI, band, setlist with audio from the store, then the loaded track), saved on every change
+  const restoreProject = async (project) => {
+    const ui = project?.ui ?? {};
+    loadPack(ui.packUrl ?? DEFAULT_PACK_URL, { quiet: true, layout: !project }); // a pack shipped in /public/assets is picked up automatically
+    if (ui.packUrl) setPackUrl(ui.packUrl);
+    if (project) {
+      setAutoAdvance(ui.autoAdvance ?? true); setCrossfadeSec(ui.crossfadeSec ?? 4); setReactMode(ui.reactMode ?? "bands"); setPhraseMoves(ui.phraseMoves ?? "both");
+      setCameraStyle(ui.cameraStyle ?? "gentle"); setScene(ui.scene ?? "reef"); setPostLook(ui.postLook ?? "none"); setPerfTarget(ui.perfTarget ?? "off");
+      setSynthOn(ui.synthOn ?? false); setSynthRoot(ui.synthRoot ?? 9); setMix(ui.mix ?? DEFAULT_MIX); setFx({ ...DEFAULT_FX, ...ui.fx }); setCueOutput(ui.cueOutput ?? "");
+      setOutputOpts({ ...DEFAULT_OUTPUT, ...ui.outputOpts }); setExportOpts((o)=> ({ ...o, ...ui.exportOpts })); setRate(ui.rate ?? 1);
+      if (project.settings) applySettings(project.settings);
+    }
+    const tracks = [];
+    for (const { hash, name } of project?.setlist ?? []) {
+      const [audio, analysis] = await Promise.all([store.getAudio(hash), store.getAnalysis(hash)]).catch(()=> []);
+      if (audio) tracks.push(createTrack(new File([audio.blob], name, { type: audio.type }), { hash, settings: analysis?.settings ?? null }));
+    }
+    stop(); decodedRef.current.clear(); currentEntryRef.current = null;
+    setSetlist(tracks); setCurrentTrackId(null);
+    const current = tracks.find((t)=> t.hash === project?.currentHash) ?? tracks[0];
+    if (current) await loadTrack(current);
+    setProjectReady(true);
+  };
+  useEffect(()=>{
+    let cancelled = false;
+    store.getProject()
+      .catch((e)=> { setProjectStatus({ error: `Saved project unavailable: ${e?.message || e}` }); return null; })
+      .then((project)=> { if (!cancelled) restoreProject(project); });
+    return ()=> { cancelled = true; };
+  },[]);
+  useEffect(()=>{
+    if (!projectReady) return;
+    const project = {
+      setlist: setlist.filter((t)=> t.hash).map(({ hash, name })=> ({ hash, name })),
+      currentHash: setlist.find((t)=> t.id === currentTrackId)?.hash ?? null,
+      settings: captureSettings(),
+      ui: { autoAdvance, crossfadeSec, reactMode, phraseMoves, cameraStyle, scene, postLook, perfTarget, synthOn, synthRoot, mix, fx, cueOutput, packUrl: assetPack?.url ?? null, outputOpts, exportOpts, rate },
+    };
+    saveLater("project", ()=> store.putProject(project));
+  },[projectReady, setlist, currentTrackId, autoAdvance, crossfadeSec, reactMode, phraseMoves, cameraStyle, scene, postLook, perfTarget, synthOn, synthRoot, mix, fx, cueOutput, assetPack, outputOpts, exportOpts, rate,
+    bpm, manualBpm, tempoInfo, phaseInfo, offsetMs, downbeatIndex, beatMap, useBeatMap, quantize, swing, swingUnit, timeSig, phraseBars, realism, roster]);
+
+  // Benchmark: the stage records frame rate, draw calls, texture memory and tick jitter for a fixed time
+  const runBenchmark = async () => {
+    const api = stageActionsRef.current; if (!api || benchRunning) return;
+    setBenchRunning(true);
+    try {
+      const report = await api.benchmark(20, { scene, look: postLook, members: roster.length, playing: isPlaying });
+      setBenchmarks((list)=> [report, ...list].slice(0, 10));
+    } catch (e) { console.warn("[benchmark]", e.message); }
+    finally { setBenchRunning(false); }
+  };
+  const saveBenchmarks = () => {
+    const blob = new Blob([JSON.stringify(benchmarks, null, 2)], { type: "application/json" });
+    const a = document.createElement("a"); a.href = URL.createObjectURL(blob); a.download = "animal-band.benchmark.json";
+    a.click(); setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+  };
+
+  // One-file bundle: project + every track's audio and analysis
+  const exportProject = async () => {
+    setProjectStatus({ busy: "Exporting…" });
+    try {
+      await flushSaves();
+      const blob = await exportBundle(store);
+      const a = document.createElement("a"); a.href = URL.createObjectURL(blob); a.download = "animal-band.abproject";
+      a.click(); setTimeout(()=> URL.revokeObjectURL(a.href), 1000);
+      setProjectStatus({ saved: true });
+    } catch (e) { setProjectStatus({ error: e?.message || String(e) }); }
+  };
+  const importProject = async (file) => {
+    if (!file) return;
+    setProjectStatus({ busy: "Importing…" });
+    try { await flushSaves(); await restoreProject(await importBundle(store, file)); setProjectStatus({ saved: true }); }
+    catch (e) { setProjectStatus({ error: e?.message || String(e) }); }
+  };
+  const forgetProject = async () => {
+    if (!window.confirm("Forget the saved project, audio and analysis in this browser?")) return;
+    setProjectReady(false); // no autosave until the setlist is reset: it would save tracks whose audio is gone
+    Object.values(pendingSavesRef.current).forEach((j)=> clearTimeout(j.timer)); pendingSavesRef.current = {};
+    try { await store.clear(); setProjectStatus(null); } catch (e) { setProjectStatus({ error: e?.message || String(e) }); }
+    await restoreProject(null); // empty setlist, as on a first visit; the current settings stay
+  };
+
+  const nudgeOffset = (ms) => setOffsetMs((o)=> o + ms);
+  const shiftDownbeat = (dir) => setDownbeatIndex((d)=> (d + dir + meter.beatsPerBar) % meter.beatsPerBar);
+
+  // Performer controls — all adjust the running scheduler in place (no playback restart)
+  const tapperRef = useRef(null);
+  const [tapCount, setTapCount] = useState(0);
+  const tapTempo = (now) => {
+    tapperRef.current = tapperRef.current ?? createTapTempo();
+    const value = tapperRef.current.tap(now);
+    setTapCount(tapperRef.current.count());
+    if (value) { setBpm(null); setManualBpm(value); setUseBeatMap(false); }
+  };
+  const resyncDownbeat = () => {
+    const shift = schedulerRef.current?.downbeatShift() ?? 0;
+    if (shift) setOffsetMs((o)=> Math.round(o + shift * 1000));
+  };
+
+  // Keyboard: Space pause/resume, T tap tempo, [ / ] nudge 10 ms (Shift = 1 ms), D downbeat now, B tap-edit beat,
+  // , / . sweep the DJ filter (Shift = fine), / opens it
+  const keyActionsRef = useRef(null);
+  keyActionsRef.current = { tapTempo, nudgeOffset, resyncDownbeat, tapBeat, pauseResume, nudgeFx, resetFilter: ()=> setFxParam("filter", 0) };
+  useEffect(()=>{
+    const onKey = (e) => {
+      if (e.repeat || e.metaKey || e.ctrlKey || e.altKey) return;
+      if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target?.tagName ?? "")) return;
+      const k = keyActionsRef.current; const step = e.shiftKey ? 1 : 10;
+      switch (e.code) {
+        case "KeyT": k.tapTempo(e.timeStamp); break;
+        case "BracketLeft": k.nudgeOffset(-step); break;
+        case "BracketRight": k.nudgeOffset(step); break;
+        case "KeyD": k.resyncDownbeat(); break;
+        case "KeyB": k.tapBeat(); break;
+        case "Space": k.pauseResume(); break;
+        case "Comma": k.nudgeFx("filter", e.shiftKey ? -0.02 : -0.1); break; // filter towards low-pass
+        case "Period": k.nudgeFx("filter", e.shiftKey ? 0.02 : 0.1); break; // … towards high-pass
+        case "Slash": k.resetFilter(); break;
+        default: return;
+      }
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return ()=> window.removeEventListener("keydown", onKey);
+  },[]);
+
+  const stageMoveNowRef = useRef(null); stageMoveNowRef.current = (move) => stageMove(rigClock(), move);
+  // Lights off: the stage goes back to its own colours
+  useEffect(()=>{ if (phraseMoves === "off" || phraseMoves === "punch") stageMoveNowRef.current({ light: null }); },[phraseMoves]);
+  // Fixed camera (or no phrase moves): glide back to the home framing
+  useEffect(()=>{ if (cameraStyle === "fixed" || phraseMoves === "off") stageMoveNowRef.current({ pan: [0, 0] }); },[cameraStyle, phraseMoves]);
+
+  const updateScheduler = () => { if (isPlaying) schedulerRef.current?.update(schedulerParams()); };
+  const updateSchedulerRef = useRef(updateScheduler); updateSchedulerRef.current = updateScheduler;
+  useEffect(()=>{ updateSchedulerRef.current(); },[bpm, manualBpm, quantize, swing, swingUnit, timeSig, phraseBars, offsetMs, downbeatIndex, beatMap, useBeatMap, usesSteps]);
+
+  // Rate / loop changes while playing apply in place: the source and the scheduler re-anchor at the current position
+  const applyRateLoop = () => {
+    const src = sourceRef.current; const sch = schedulerRef.current; const ctx = audioCtxRef.current;
+    if (!isPlaying || inputMode !== "file" || !src || !ctx || !sch?.isRunning()) return;
+    const pos = sch.getPosition();
+    if (activeLoop && pos && pos.songTime >= activeLoop.end) { seek(activeLoop.start); return; } // already past B: jump to A
+    try { src.playbackRate.setValueAtTime(rate, ctx.currentTime); } catch {}
+    src.loop = !!activeLoop;
+    if (activeLoop) { src.loopStart = activeLoop.start; src.loopEnd = activeLoop.end; }
+    sch.update({ rate, loop: activeLoop });
+    scheduleAdvance();
   };
+  const applyRateLoopRef = useRef(applyRateLoop); applyRateLoopRef.current = applyRateLoop;
+  useEffect(()=>{ applyRateLoopRef.current(); },[rate, activeLoop]);
+
+  // Timeline grid: every beat of the loaded track (beat map or fixed tempo), bars marked by beatInBar 0
+  const timelineLines = useMemo(()=>{
+    const buf = audioBufferRef.current; if (!buf || !audioFile || inputMode !== "file") return [];
+    const grid = { bpm: bpm ?? manualBpm, offsetSec: offsetMs / 1000, downbeatIndex, beatsPerBar: meter.beatsPerBar, phraseBars, beatMap: useBeatMap && beatMap ? beatMap : null };
+    return ticksBetween({ ...grid, quantize: "1/1", swing: 0, stepsPerBeat: 1 }, 0, buf.duration);
+  },[audioFile, inputMode, bpm, manualBpm, offsetMs, downbeatIndex, beatMap, useBeatMap, meter, phraseBars]);
 
-  useEffect(()=>{ if (!isPlaying) return; scheduleBeats(bpm ?? manualBpm); // eslint-disable-next-line
-  },[bpm, manualBpm, quantize, swing, offsetMs]);
+  useEffect(()=>{ listAudioInputs().then(setInputDevices).catch(()=>{}); },[]);
 
-  useEffect(()=>()=>{ stop(); if (audioUrl) URL.revokeObjectURL(audioUrl); audioCtxRef.current?.close?.(); },[]);
+  useEffect(()=>()=>{ stop(); audioCtxRef.current?.close?.(); },[]);
 
-  const tempo = bpm ?? manualBpm; const intervalMs = 60000 / clamp(tempo, 40, 240);
+  const tempo = bpm ?? manualBpm;
+  const localTempo = useBeatMap && beatMap ? (tempoAt(beatMap, position?.songTime ?? beatMap.beats[0]) ?? tempo) : tempo;
+  const intervalMs = 60000 / clamp(localTempo, 40, 240);
 
-  // Per-member hit flags (subdivisions)
-  const hitDrums = shouldHit(beatCount, band[0].subdivision) && hitPulse;
-  const hitViolin = shouldHit(beatCount, band[1].subdivision) && hitPulse;
-  const hitBass = shouldHit(beatCount, band[2].subdivision) && hitPulse;
+  // Per-member hit flags: set at contact by strikeMembers (band onsets, beat grid, step patterns, MIDI notes)
+  const followParts = reactMode === "bands";
+  const memberHits = Object.fromEntries(roster.map((m)=> [m.id, !!partHits[m.id]]));
 
   return (
     <div className="min-h-screen bg-slate-950 text-slate-100 p-6">
@@ -428,8 +1614,8 @@ export default function AnimalBand(){
           </div>
           <div className="flex items-center gap-2">
             <button title="Play / Stop" className="px-4 py-2 rounded-xl bg-slate-800 hover:bg-slate-700 border border-slate-700 flex items-center gap-2"
-              onClick={()=> (isPlaying? stop(): play())}>
-              {isPlaying ? (<><Pause className="w-4 h-4"/> Stop</>) : (<><Play className="w-4 h-4"/> Play</>)}
+              onClick={togglePlay}>
+              {isPlaying ? (<><Pause className="w-4 h-4"/> Stop</>) : inputMode === "live" ? (<><Mic className="w-4 h-4"/> Listen</>) : (<><Play className="w-4 h-4"/> Play</>)}
             </button>
           </div>
         </header>
@@ -438,106 +1624,554 @@ export default function AnimalBand(){
         <div className="rounded-2xl border border-slate-800 bg-slate-900/60">
           <div className="p-4 border-b border-slate-800 flex items-center gap-2"><Upload className="w-4 h-4"/> <span className="text-base">Load a song</span></div>
           <div className="p-4 grid md:grid-cols-4 gap-4 items-end">
+            <div className="md:col-span-4 flex flex-wrap items-center gap-2 text-sm">
+              <label className="text-xs opacity-80">Source</label>
+              <select className="rounded-lg bg-slate-800 border border-slate-700 p-2" value={inputMode} disabled={isPlaying}
+                onChange={(e)=> setInputMode(e.target.value)}>
+                <option value="file">Audio file</option>
+                <option value="live">Live input (mic / line-in)</option>
+                <option value="midi">MIDI clock</option>
+              </select>
+              {inputMode === "live" && (
+                <>
+                  <select className="rounded-lg bg-slate-800 border border-slate-700 p-2 max-w-xs" value={inputDeviceId} disabled={isPlaying}
+                    onChange={(e)=> setInputDeviceId(e.target.value)}>
+                    <option value="">Default input</option>
+                    {inputDevices.map((d, i)=> <option key={d.deviceId || i} value={d.deviceId}>{d.label || `Input ${i + 1}`}</option>)}
+                  </select>
+                  {liveStatus && (
+                    <span className="text-xs opacity-80">
+                      {liveStatus.bpm ? `${liveStatus.bpm.toFixed(1)} BPM · ${Math.round(liveStatus.confidence*100)}%` : "listening…"}
+                      {" · "}{liveStatus.level > -120 ? `${liveStatus.level.toFixed(0)} dB` : "–"}
+                      {liveStatus.holding && <span className="text-amber-300"> · no signal, holding last tempo</span>}
+                    </span>
+                  )}
+                  {liveError && <span className="text-xs text-rose-400">{liveError}</span>}
+                </>
+              )}
+              <span className="mx-1 opacity-30">|</span>
+              {!midiDevices ? (
+                <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 text-xs" onClick={enableMidi}>Enable MIDI</button>
+              ) : (
+                <>
+                  <label className="text-xs opacity-80">MIDI in</label>
+                  <select className="rounded-lg bg-slate-800 border border-slate-700 p-1 text-xs" value={midiInputId} onChange={(e)=> setMidiInputId(e.target.value)}>
+                    <option value="">All inputs</option>
+                    {midiDevices.inputs.map((d)=> <option key={d.id} value={d.id}>{d.name}</option>)}
+                  </select>
+                  <label className="text-xs opacity-80">Clock out</label>
+                  <select className="rounded-lg bg-slate-800 border border-slate-700 p-1 text-xs" value={midiOutputId} disabled={isPlaying} onChange={(e)=> setMidiOutputId(e.target.value)}>
+                    <option value="">Off</option>
+                    {midiDevices.outputs.map((d)=> <option key={d.id} value={d.id}>{d.name}</option>)}
+                  </select>
+                  {midiClockBpm && <span className="text-xs opacity-80">clock {midiClockBpm} BPM</span>}
+                </>
+              )}
+              {midiError && <span className="text-xs text-rose-400">{midiError}</span>}
+            </div>
             <div className="md:col-span-2">
-              <label className="block text-xs opacity-80 mb-1">Pick an audio file</label>
-              <input type="file" accept="audio/*" onChange={(e)=> onAudioPick(e.target.files?.[0] ?? null)} className="w-full rounded-lg bg-slate-800 border border-slate-700 p-2"/>
+              <label className="block text-xs opacity-80 mb-1">Pick audio files (added to the setlist)</label>
+              <input type="file" accept="audio/*" multiple onChange={(e)=> { addTracks(e.target.files); e.target.value = ""; }} className="w-full rounded-lg bg-slate-800 border border-slate-700 p-2"/>
               {audioFile && <p className="text-sm mt-2 opacity-80">Loaded: {audioFile.name}</p>}
             </div>
             <div className="flex gap-2 items-end md:col-span-2">
               <button className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 border border-indigo-400 flex items-center gap-2 disabled:opacity-50"
-                onClick={detectBpm} disabled={!audioFile}><AudioLines className="w-4 h-4"/> Detect BPM</button>
+                onClick={detectBpm} disabled={!audioFile || analyzing}><AudioLines className="w-4 h-4"/> {analyzing ? "Analyzing…" : "Detect BPM"}</button>
+              <button title="Tap tempo (T)" className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 border border-slate-700"
+                onClick={(e)=> tapTempo(e.timeStamp)}>Tap{tapCount > 1 ? ` ×${tapCount}` : ""}</button>
+              <button title="Resync: the nearest bar starts now (D)" className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 border border-slate-700 disabled:opacity-50"
+                disabled={!isPlaying} onClick={resyncDownbeat}>Downbeat now</button>
               <div className="flex items-center gap-2">
                 <label htmlFor="bpm" className="text-xs opacity-80">Manual BPM</label>
                 <input id="bpm" type="number" className="w-24 rounded-lg bg-slate-800 border border-slate-700 p-2" value={tempo}
-                  onChange={(e)=> setManualBpm(parseInt(e.target.value || "120",10))}/>
+                  onChange={(e)=> { setBpm(null); setManualBpm(parseInt(e.target.value || "120",10)); }}/>
+              </div>
+            </div>
+            {tempoInfo && (
+              <div className="md:col-span-4 flex flex-wrap items-center gap-2 text-xs">
+                <span className="opacity-80">Detected {bpm ?? "–"} BPM · confidence {Math.round(tempoInfo.confidence*100)}%</span>
+                {tempoInfo.candidates.map((c)=> (
+                  <button key={c.relation} title={`score ${c.score}`} onClick={()=> pickTempoCandidate(c.bpm)}
+                    className={`px-2 py-1 rounded-md border ${bpm===c.bpm ? "bg-indigo-600/40 border-indigo-400" : "bg-slate-800 border-slate-700 hover:bg-slate-700"}`}>
+                    {c.relation}: {c.bpm}
+                  </button>
+                ))}
               </div>
+            )}
+            <div className="md:col-span-4 flex flex-wrap items-center gap-2 text-xs">
+              <label className="flex items-center gap-1 opacity-90">
+                <input type="checkbox" checked={useBeatMap} disabled={!beatMap} onChange={(e)=> setUseBeatMap(e.target.checked)}/>
+                Follow beat map
+              </label>
+              <span className="opacity-70">{beatMap ? `${beatMap.beats.length} beats (${beatMap.source})` : "none — detect, tap or import one"}</span>
+              <button title="Mark a beat at the current position (B)" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={!isPlaying} onClick={tapBeat}>Tap beat</button>
+              <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={tapTimes.length < 2} onClick={applyTaps}>Apply taps ({tapTimes.length})</button>
+              <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={!beatMap} onClick={exportBeatMap}>Export JSON</button>
+              <label className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 cursor-pointer">
+                Import JSON<input type="file" accept="application/json,.json" className="hidden" onChange={(e)=> { importBeatMap(e.target.files?.[0] ?? null); e.target.value = ""; }}/>
+              </label>
+              {beatMapError && <span className="text-rose-400">{beatMapError}</span>}
             </div>
             <div className="md:col-span-4 grid md:grid-cols-4 gap-4">
               <div className="space-y-2">
                 <label className="block">Quantize</label>
                 <select className="w-full rounded-lg bg-slate-800 border border-slate-700 p-2" value={quantize} onChange={(e)=> setQuantize(e.target.value)}>
-                  <option value="1/1">Quarter (1/1)</option>
-                  <option value="1/2">Eighth (1/2)</option>
-                  <option value="1/4">Sixteenth (1/4)</option>
+                  <option value="1/1">Beat (1/1)</option>
+                  <option value="1/2">Half beat (1/2)</option>
+                  <option value="1/4">Quarter beat (1/4)</option>
+                  <option value="1/3">Triplets (1/3)</option>
+                  <option value="1/6">Sextuplets (1/6)</option>
                 </select>
+                <div className="flex items-center gap-2 text-xs">
+                  <label className="flex items-center gap-1">Time
+                    <select className="rounded-md bg-slate-800 border border-slate-700 p-1" value={timeSig} onChange={(e)=> changeMeter(e.target.value)}>
+                      {Object.keys(METERS).map((sig)=> <option key={sig} value={sig}>{sig}</option>)}
+                    </select></label>
+                  <label className="flex items-center gap-1">Phrase
+                    <select className="rounded-md bg-slate-800 border border-slate-700 p-1" value={phraseBars} onChange={(e)=> setPhraseBars(parseInt(e.target.value,10))}>
+                      {PHRASE_BARS.map((n)=> <option key={n} value={n}>{n} bars</option>)}
+                    </select></label>
+                </div>
+                {meter.unit === 8 && <p className="text-xs opacity-70">In {timeSig} a beat is an eighth: set the tempo in eighths per minute.</p>}
               </div>
               <div className="space-y-2">
                 <label className="block">Swing: {swing}%</label>
                 <input type="range" min={0} max={60} step={1} value={swing} onChange={(e)=> setSwing(parseInt(e.target.value,10))}
-                  className="w-full" />
+                  className="w-full" disabled={quantize === "1/3" || quantize === "1/6"} />
+                <select className="w-full rounded-lg bg-slate-800 border border-slate-700 p-1 text-xs" value={swingUnit} onChange={(e)=> setSwingUnit(e.target.value)}>
+                  <option value="1/2">Swing half beats</option>
+                  <option value="1/4">Swing quarter beats</option>
+                </select>
+                {(quantize === "1/3" || quantize === "1/6") && <p className="text-xs opacity-70">Triplet grids are not swung.</p>}
               </div>
               <div className="space-y-2">
                 <label className="block">Start Offset (ms)</label>
                 <input type="number" value={offsetMs} onChange={(e)=> setOffsetMs(parseInt(e.target.value || "0",10))}
                   className="w-full rounded-lg bg-slate-800 border border-slate-700 p-2" />
                 <p className="text-xs opacity-70">Beat interval ≈ {formatMs(60000 / clamp(tempo,40,240))}</p>
+                <div className="flex flex-wrap items-center gap-1 text-xs">
+                  <button title="Nudge earlier ( [ )" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={()=> nudgeOffset(-10)}>−10</button>
+                  <button title="Nudge later ( ] )" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={()=> nudgeOffset(10)}>+10</button>
+                  <button title="Downbeat one beat earlier" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={()=> shiftDownbeat(-1)}>◀ bar</button>
+                  <button title="Downbeat one beat later" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={()=> shiftDownbeat(1)}>bar ▶</button>
+                </div>
+                <p className="text-xs opacity-70">
+                  Downbeat: beat {downbeatIndex + 1} ({formatMs(offsetMs + downbeatIndex * 60000 / clamp(tempo,40,240))})
+                  {phaseInfo && <> · detected {formatMs(phaseInfo.firstBeatMs)}, {Math.round(phaseInfo.confidence*100)}%</>}
+                </p>
               </div>
               <div className="space-y-2">
                 <label className="block">Realism (0–2)</label>
                 <input type="range" min={0} max={2} step={1} value={realism} onChange={(e)=> setRealism(parseInt(e.target.value,10))} className="w-full" />
+                <div className="flex flex-wrap items-center gap-2 text-xs">
+                  <label className="opacity-80">Target FPS</label>
+                  <select className="rounded-lg bg-slate-800 border border-slate-700 p-1 text-xs" value={perfTarget} onChange={(e)=> setPerfTarget(e.target.value)}>
+                    {Object.keys(TARGET_FPS).map((k)=> <option key={k} value={k}>{k === "off" ? "Off (fixed quality)" : k}</option>)}
+                  </select>
+                  <label className="flex items-center gap-1 opacity-90">
+                    <input type="checkbox" checked={debug} onChange={(e)=> setDebug(e.target.checked)}/>
+                    Stats
+                  </label>
+                  <button title="Record frame rate, draw calls, texture memory and tick jitter for 20 s" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50"
+                    disabled={benchRunning} onClick={runBenchmark}>{benchRunning ? "Benchmarking…" : "Benchmark"}</button>
+                  {benchmarks.length > 0 && <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={saveBenchmarks}>Save results</button>}
+                </div>
+                {benchmarks[0] && <p className="text-xs opacity-70">
+                  Last run: {benchmarks[0].fps} fps (p95 {benchmarks[0].p95Ms} ms, worst {benchmarks[0].worstMs.toFixed(1)} ms) · {benchmarks[0].draws} draws · {benchmarks[0].texMB.toFixed(1)} MB
+                  {benchmarks[0].jitterMs != null && <> · ticks ±{benchmarks[0].jitterMs} ms</>} · quality {benchmarks[0].steps.join(" → ")}
+                </p>}
               </div>
             </div>
           </div>
         </div>
 
+        {/* Transport */}
+        <div className="rounded-2xl border border-slate-800 bg-slate-900/60">
+          <div className="p-4 border-b border-slate-800 flex flex-wrap items-center gap-3">
+            <AudioWaveform className="w-4 h-4"/> <span className="text-base">Transport</span>
+            <button title="Back to the start" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50"
+              disabled={inputMode !== "file" || !audioFile} onClick={()=> seek(activeLoop?.start ?? 0)}><SkipBack className="w-3 h-3"/></button>
+            <button title="Pause / resume (Space)" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 text-xs flex items-center gap-1 disabled:opacity-50"
+              disabled={inputMode !== "file" || !audioFile} onClick={pauseResume}>
+              {isPlaying ? (<><Pause className="w-3 h-3"/> Pause</>) : (<><Play className="w-3 h-3"/> {cue ? "Resume" : "Play"}</>)}
+            </button>
+            <span className="text-xs opacity-80 tabular-nums">
+              {formatTime(isPlaying ? position?.songTime ?? 0 : cue?.songTime ?? 0)} / {formatTime(audioBufferRef.current?.duration ?? 0)}
+            </span>
+            <label className="flex items-center gap-2 text-xs opacity-90">
+              Rate {rate.toFixed(2)}×
+              <input type="range" min={RATE_RANGE.min} max={RATE_RANGE.max} step={RATE_RANGE.step} value={rate} onChange={(e)=> setRate(parseFloat(e.target.value))}/>
+              <button className="px-2 py-0.5 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={rate === 1} onClick={()=> setRate(1)}>1×</button>
+            </label>
+            <span className="ml-auto flex flex-wrap items-center gap-2 text-xs">
+              <button title="Loop on / off" className={`px-2 py-1 rounded-md border flex items-center gap-1 disabled:opacity-50 ${activeLoop ? "bg-amber-500/30 border-amber-400" : "bg-slate-800 border-slate-700 hover:bg-slate-700"}`}
+                disabled={!abLoop} onClick={()=> setLoopOn((v)=> !v)}><Repeat className="w-3 h-3"/> Loop</button>
+              {[1, 2, 4, 8].map((n)=> (
+                <button key={n} title={`Loop ${n} bar${n > 1 ? "s" : ""} from the nearest bar`} className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50"
+                  disabled={inputMode !== "file" || !audioFile} onClick={()=> loopBars(n)}>{n}</button>
+              ))}
+              <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={!abLoop} onClick={()=> { setAbLoop(null); setLoopOn(false); }}>Clear</button>
+              {abLoop && <span className="opacity-70 tabular-nums">A {formatTime(abLoop.start)} · B {formatTime(abLoop.end)}</span>}
+            </span>
+          </div>
+          <div className="p-4 space-y-2">
+            <Waveform buffer={inputMode === "file" ? audioBufferRef.current : null} lines={timelineLines} loop={abLoop}
+              getPlayhead={()=> (inputMode === "file" ? playheadTime() : null)} onSeek={seek} onLoop={setLoopFrom}/>
+            <p className="text-xs opacity-60">Click to seek · Shift-drag to mark a loop (snaps to bars) · Space pauses and resumes on the beat.</p>
+          </div>
+        </div>
+
+        {/* Mixer: band sound, effects, cue */}
+        <div className="rounded-2xl border border-slate-800 bg-slate-900/60">
+          <div className="p-4 border-b border-slate-800 flex flex-wrap items-center gap-3">
+            <SlidersHorizontal className="w-4 h-4"/> <span className="text-base">Mixer</span>
+            <label className="flex items-center gap-1 text-xs opacity-90">
+              <input type="checkbox" checked={synthOn} onChange={(e)=> setSynthOn(e.target.checked)}/>
+              Synth band
+            </label>
+            <label className="flex items-center gap-1 text-xs opacity-90">Key
+              <select className="rounded-md bg-slate-800 border border-slate-700 p-1" value={synthRoot} onChange={(e)=> setSynthRoot(parseInt(e.target.value,10))}>
+                {NOTE_NAMES.map((n, i)=> <option key={n} value={i}>{n} minor</option>)}
+              </select>
+            </label>
+            <span className="text-xs opacity-60">{audioFile || inputMode !== "file" ? "Plays along on the beat grid" : "No song loaded: Play starts the band on its own"}</span>
+          </div>
+          <div className="p-4 grid sm:grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-2 text-xs">
+            <label className="flex items-center gap-2">
+              <span className="w-16">Master</span>
+              <input type="range" min={0} max={1.2} step={0.05} value={mix.master} onChange={(e)=> setMix((m)=> ({ ...m, master: parseFloat(e.target.value) }))} className="flex-1"/>
+              <span className="w-8 text-right tabular-nums">{Math.round(mix.master * 100)}</span>
+            </label>
+            {(()=> { const gains = channelGains(mix); return MIX_CHANNELS.map(({ id, label })=> {
+              const ch = { ...DEFAULT_MIX.channels[id], ...mix.channels[id] };
+              return (
+                <div key={id} className={`flex items-center gap-2 ${gains[id] ? "" : "opacity-50"}`}>
+                  <span className="w-16">{label}</span>
+                  <input type="range" min={0} max={1.5} step={0.05} value={ch.gain} onChange={(e)=> setChannel(id, { gain: parseFloat(e.target.value) })} className="flex-1"/>
+                  <button title="Mute" className={`px-1.5 py-0.5 rounded-md border ${ch.mute ? "bg-rose-500/30 border-rose-400" : "bg-slate-800 border-slate-700 hover:bg-slate-700"}`} onClick={()=> setChannel(id, { mute: !ch.mute })}>M</button>
+                  <button title="Solo" className={`px-1.5 py-0.5 rounded-md border ${ch.solo ? "bg-amber-500/30 border-amber-400" : "bg-slate-800 border-slate-700 hover:bg-slate-700"}`} onClick={()=> setChannel(id, { solo: !ch.solo })}>S</button>
+                </div>
+              );
+            }); })()}
+          </div>
+          <div className="px-4 pb-4 grid sm:grid-cols-2 md:grid-cols-3 gap-x-6 gap-y-2 text-xs border-t border-slate-800 pt-3">
+            {FX_PARAMS.map((p)=> {
+              const v = fx[p.id] ?? DEFAULT_FX[p.id]; const f = p.id === "filter" ? filterSetting(v) : null;
+              const shown = f ? (Math.abs(v) < 0.02 ? "open" : `${f.type === "lowpass" ? "LP" : "HP"} ${f.frequency >= 1000 ? `${(f.frequency / 1000).toFixed(1)}k` : Math.round(f.frequency)}`)
+                : p.id === "duck" ? (v ? `${Math.round(v * 100)}%` : "off") : `${v}${p.unit}`;
+              return (
+                <label key={p.id} className="flex items-center gap-2">
+                  <span className="w-16">{p.label}</span>
+                  <input type="range" min={p.min} max={p.max} step={p.step} value={v} onChange={(e)=> setFxParam(p.id, parseFloat(e.target.value))}
+                    onDoubleClick={()=> setFxParam(p.id, DEFAULT_FX[p.id])} className="flex-1"/>
+                  <span className="w-14 text-right tabular-nums">{shown}</span>
+                </label>
+              );
+            })}
+            <div className="sm:col-span-2 md:col-span-3 flex items-center gap-2">
+              <span className="w-16">Output</span>
+              <LevelMeter read={()=> fxRef.current?.level()} active={isPlaying}/>
+            </div>
+            <p className="sm:col-span-2 md:col-span-3 opacity-60">Duck dips the song on every beat (sidechain style). Keys: , and . sweep the filter, / opens it · MIDI CC 7 master, 1/74 filter, 71 duck, 20–22 EQ · double-click a slider to reset.</p>
+          </div>
+          <div className="px-4 pb-4 flex flex-wrap items-center gap-3 text-xs border-t border-slate-800 pt-3">
+            <Headphones className="w-4 h-4"/> <span>Cue</span>
+            <select className="rounded-md bg-slate-800 border border-slate-700 p-1 disabled:opacity-50" disabled={!canPickOutput()} value={cueOutput}
+              onFocus={refreshCueOutputs} onChange={(e)=> setCueOutput(e.target.value)}>
+              <option value="">Default output</option>
+              {cueOutputs.map((d)=> <option key={d.deviceId} value={d.deviceId}>{d.label || `Output ${d.deviceId.slice(0, 6)}`}</option>)}
+              {cueOutput && !cueOutputs.some((d)=> d.deviceId === cueOutput) && <option value={cueOutput}>Saved output</option>}
+            </select>
+            <label className="flex items-center gap-2">Volume
+              <input type="range" min={0} max={1} step={0.05} value={cueVolume} onChange={(e)=> setCueVolume(parseFloat(e.target.value))}/></label>
+            {cueTrackId && <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={()=> { cuePlayerRef.current?.stop(); setCueTrackId(null); }}>
+              Stop {setlist.find((t)=> t.id === cueTrackId)?.name ?? "cue"}</button>}
+            <span className="opacity-60">{canPickOutput() ? "Preview setlist tracks with their headphone buttons." : "This browser cannot pick an output: the cue plays on the main one."}</span>
+            {cueError && <span className="text-rose-400">{cueError}</span>}
+          </div>
+        </div>
+
+        {/* Setlist */}
+        <div className="rounded-2xl border border-slate-800 bg-slate-900/60">
+          <div className="p-4 border-b border-slate-800 flex flex-wrap items-center gap-3">
+            <ListMusic className="w-4 h-4"/> <span className="text-base">Setlist</span>
+            <label className="flex items-center gap-1 text-xs opacity-90">
+              <input type="checkbox" checked={autoAdvance} onChange={(e)=> setAutoAdvance(e.target.checked)}/>
+              Auto-advance
+            </label>
+            <label className="flex items-center gap-2 text-xs opacity-90">
+              Crossfade {crossfadeSec ? `${crossfadeSec} s` : "off (gapless)"}
+              <input type="range" min={0} max={12} step={1} value={crossfadeSec} onChange={(e)=> setCrossfadeSec(parseInt(e.target.value,10))}/>
+            </label>
+            <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 text-xs flex items-center gap-1 disabled:opacity-50"
+              disabled={!nextTrackId} onClick={()=> goToTrack(setlist.find((t)=> t.id === nextTrackId))}><SkipForward className="w-3 h-3"/> Next</button>
+            {setlistError && <span className="text-xs text-rose-400">{setlistError}</span>}
+            <span className="ml-auto flex flex-wrap items-center gap-2 text-xs">
+              {projectStatus?.busy && <span className="opacity-70">{projectStatus.busy}</span>}
+              {projectStatus?.saved && <span className="opacity-60">Saved in this browser</span>}
+              {projectStatus?.error && <span className="text-rose-400">{projectStatus.error}</span>}
+              <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={!projectReady || !!projectStatus?.busy} onClick={exportProject}>Export project</button>
+              <label className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 cursor-pointer">
+                Import project<input type="file" accept=".abproject" className="hidden" onChange={(e)=> { importProject(e.target.files?.[0] ?? null); e.target.value = ""; }}/>
+              </label>
+              <button title="Delete everything saved in this browser" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={forgetProject}>Forget saved</button>
+            </span>
+          </div>
+          <div className="p-4 text-sm">
+            {!setlist.length && <p className="text-xs opacity-70">Pick one or more audio files above. Tempo, beat map, offset, quantize, swing, realism and the band are saved per track.</p>}
+            <ol className="space-y-1">
+              {setlist.map((t, i)=> (
+                <li key={t.id} className={`flex items-center gap-2 rounded-lg px-2 py-1 border ${t.id === currentTrackId ? "bg-indigo-600/30 border-indigo-400" : "bg-slate-800/60 border-slate-700"}`}>
+                  <span className="w-6 text-xs opacity-60">{i + 1}.</span>
+                  <button title={cueTrackId === t.id ? "Stop the cue" : "Preview on the cue output"} className={`p-1 rounded-md hover:bg-slate-700 ${cueTrackId === t.id ? "text-amber-300" : "opacity-70"}`}
+                    onClick={()=> cueTrack(t)}><Headphones className="w-3 h-3"/></button>
+                  <button className="flex-1 text-left truncate hover:underline" title={isPlaying && inputMode === "file" ? "Crossfade to this track" : "Load this track"} onClick={()=> goToTrack(t)}>{t.name}</button>
+                  {t.id === nextTrackId && <span className="text-xs opacity-60">next</span>}
+                  <span className="text-xs opacity-70">{describeSettings(t.settings)}</span>
+                  <button title="Move up" className="p-1 rounded-md hover:bg-slate-700 disabled:opacity-30" disabled={i === 0} onClick={()=> setSetlist((l)=> moveTrack(l, t.id, -1))}><ArrowUp className="w-3 h-3"/></button>
+                  <button title="Move down" className="p-1 rounded-md hover:bg-slate-700 disabled:opacity-30" disabled={i === setlist.length - 1} onClick={()=> setSetlist((l)=> moveTrack(l, t.id, 1))}><ArrowDown className="w-3 h-3"/></button>
+                  <button title="Remove" className="p-1 rounded-md hover:bg-slate-700 disabled:opacity-30" disabled={t.id === currentTrackId} onClick={()=> removeTrack(t.id)}><Trash2 className="w-3 h-3"/></button>
+                </li>
+              ))}
+            </ol>
+          </div>
+        </div>
+
         {/* Stage – PIXI WebGL animals */}
         <StageChrome beatPulse={hitPulse} realism={realism}>
           <div className="space-y-4">
-            <div className="grid md:grid-cols-3 gap-4">
-              <div className="rounded-2xl bg-black/30 backdrop-blur border border-slate-800 shadow-xl">
-                <div className="py-3 px-4 border-b border-slate-800 flex items-center justify-between">
-                  <div className="text-sm flex items-center gap-2"><Drum className="w-4 h-4"/> Octopus – Drums</div>
-                  <MeterBars active={hitPulse}/>
-                </div>
-                <div className="p-4">
-                  <PixiAnimals
-                    width={860}
-                    height={360}
-                    beatPulse={hitPulse}
-                    activeArm={activeArm}
-                    hitDrums={hitDrums}
-                    hitViolin={hitViolin}
-                    hitBass={hitBass}
-                    realism={realism}
-                    debug={true}
-                  />
+            <div className="rounded-2xl bg-black/30 backdrop-blur border border-slate-800 shadow-xl">
+              <div className="py-3 px-4 border-b border-slate-800 flex flex-wrap items-center justify-between gap-2">
+                <div className="text-sm flex items-center gap-2"><Users className="w-4 h-4"/> Stage · {roster.length} members</div>
+                <div className="flex items-center gap-2 text-xs">
+                  <label className="opacity-80">Scene</label>
+                  <select className="rounded-md bg-slate-800 border border-slate-700 px-2 py-1" value={scene} onChange={(e)=> setScene(e.target.value)}>
+                    {Object.entries(SCENES).map(([id, sc])=> <option key={id} value={id}>{sc.label}</option>)}
+                  </select>
+                  <label className="opacity-80">Look</label>
+                  <select className="rounded-md bg-slate-800 border border-slate-700 px-2 py-1" value={postLook} onChange={(e)=> setPostLook(e.target.value)}>
+                    {Object.entries(postLooks).map(([id, look])=> <option key={id} value={id}>{look.label}</option>)}
+                  </select>
+                  <label className="opacity-80">Asset pack</label>
+                  <input className="w-48 rounded-md bg-slate-800 border border-slate-700 px-2 py-1" value={packUrl} onChange={(e)=> setPackUrl(e.target.value)}/>
+                  <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={packStatus?.loading} onClick={()=> loadPack(packUrl)}>Load</button>
+                  {assetPack && <button title="Back to vector placeholders" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={()=> { setAssetPack(null); setPackStatus(null); }}>Vector</button>}
+                  {packStatus?.loading && <span className="opacity-70">loading {packStatus.loaded}/{packStatus.total || "…"}</span>}
+                  {assetPack && !packStatus?.loading && <span className="opacity-70">{assetPack.name}</span>}
+                  {packStatus?.warnings?.length > 0 && <span className="text-amber-300" title={packStatus.warnings.map((w)=> `${w.key}: ${w.message}`).join("\n")}>{packStatus.warnings.length} fallback(s)</span>}
+                  {packStatus?.error && <span className="text-rose-400 whitespace-pre-line">{packStatus.error}</span>}
                 </div>
+                <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 text-xs flex items-center gap-1" onClick={addMember}><Plus className="w-3 h-3"/> Add member</button>
               </div>
-              {/* The seahorse and seal are rendered in the same Pixi canvas above for lighting consistency */}
-              <div className="rounded-2xl bg-black/30 backdrop-blur border border-slate-800 shadow-xl">
-                <div className="py-3 px-4 border-b border-slate-800 flex items-center justify-between">
-                  <div className="text-sm flex items-center gap-2"><Music2 className="w-4 h-4"/> Seahorse – Violin</div>
-                  <MeterBars active={hitPulse}/>
-                </div>
-                <div className="p-4 text-xs opacity-75">Rendered in the WebGL stage above for coherent lighting & post‑fx.</div>
+              <div className="p-4">
+                <PixiAnimals
+                  width={860}
+                  height={360}
+                  beatPulse={hitPulse}
+                  roster={roster}
+                  pack={assetPack}
+                  scene={scene}
+                  post={postPasses}
+                  actionsRef={stageActionsRef}
+                  clock={rigClock}
+                  bandLevelsRef={bandLevelsRef}
+                  realism={realism}
+                  targetFps={TARGET_FPS[perfTarget] ?? 0}
+                  getLateness={()=> schedulerRef.current?.lateness() ?? []}
+                  debug={debug}
+                />
               </div>
-              <div className="rounded-2xl bg-black/30 backdrop-blur border border-slate-800 shadow-xl">
-                <div className="py-3 px-4 border-b border-slate-800 flex items-center justify-between">
-                  <div className="text-sm flex items-center gap-2"><Guitar className="w-4 h-4"/> Seal – Bass</div>
-                  <MeterBars active={beatCount % 2 === 0 && hitPulse}/>
-                </div>
-                <div className="p-4 text-xs opacity-75">Rendered in the WebGL stage above for coherent lighting & post‑fx.</div>
+            </div>
+            {/* Every member is rendered in the same Pixi canvas above for lighting consistency; these cards configure them */}
+            <div className="grid md:grid-cols-3 gap-4">
+              {roster.map((m, i)=> {
+                const Icon = INSTRUMENT_ICONS[m.instrument] ?? Music2;
+                return (
+                  <div key={m.id} className="rounded-2xl bg-black/30 backdrop-blur border border-slate-800 shadow-xl">
+                    <div className="py-3 px-4 border-b border-slate-800 flex items-center justify-between gap-2">
+                      <div className="text-sm flex items-center gap-2 min-w-0"><Icon className="w-4 h-4 shrink-0"/>
+                        <input className="bg-transparent border-b border-transparent focus:border-slate-600 outline-none min-w-0" value={m.name} onChange={(e)=> updateMember(m.id, { name: e.target.value })}/>
+                      </div>
+                      <MeterBars active={memberHits[m.id]}/>
+                    </div>
+                    <div className="p-4 grid grid-cols-2 gap-2 text-xs">
+                      <select className="rounded-lg bg-slate-800 border border-slate-700 p-1" value={m.species} onChange={(e)=> updateMember(m.id, { species: e.target.value })}>
+                        {Object.entries(SPECIES).map(([id, sp])=> <option key={id} value={id}>{sp.label}</option>)}
+                      </select>
+                      <select className="rounded-lg bg-slate-800 border border-slate-700 p-1" value={m.instrument} onChange={(e)=> updateMember(m.id, { instrument: e.target.value })}>
+                        {Object.entries(INSTRUMENTS).map(([id, ins])=> <option key={id} value={id}>{ins.label}</option>)}
+                      </select>
+                      <select title="Which grid ticks this member plays on" className="rounded-lg bg-slate-800 border border-slate-700 p-1 disabled:opacity-50" disabled={m.rhythm === "steps"} value={m.subdivision} onChange={(e)=> updateMember(m.id, { subdivision: parseInt(e.target.value,10) })}>
+                        <option value={1}>Every tick</option>
+                        <option value={2}>Every 2nd tick</option>
+                        <option value={4}>Every 4th tick</option>
+                      </select>
+                      <select title="Pattern over the kept ticks (beat grid mode)" className="rounded-lg bg-slate-800 border border-slate-700 p-1 disabled:opacity-50" disabled={m.rhythm === "steps"} value={m.pattern} onChange={(e)=> updateMember(m.id, { pattern: e.target.value })}>
+                        {Object.entries(PATTERNS).map(([id, pat])=> <option key={id} value={id}>{id} ({pat})</option>)}
+                      </select>
+                      <label className="flex items-center gap-1">x<input type="range" min={40} max={820} value={m.x} onChange={(e)=> updateMember(m.id, { x: parseInt(e.target.value,10) })} className="w-full"/></label>
+                      <label className="flex items-center gap-1">y<input type="range" min={80} max={280} value={m.y} onChange={(e)=> updateMember(m.id, { y: parseInt(e.target.value,10) })} className="w-full"/></label>
+                      <div className="col-span-2 flex items-center justify-end gap-1">
+                        <button title="Move earlier" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={i === 0} onClick={()=> setRoster((r)=> moveMember(r, m.id, -1))}><ArrowUp className="w-3 h-3"/></button>
+                        <button title="Move later" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={i === roster.length - 1} onClick={()=> setRoster((r)=> moveMember(r, m.id, 1))}><ArrowDown className="w-3 h-3"/></button>
+                        <button title="Remove" className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-rose-900/60" onClick={()=> removeMember(m.id)}><Trash2 className="w-3 h-3"/></button>
+                      </div>
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+            {/* Step sequencer: one row per member; ticked members play their steps instead of subdivision + pattern */}
+            <div className="mt-4 rounded-2xl bg-black/30 border border-slate-800">
+              <div className="py-3 px-4 border-b border-slate-800 flex flex-wrap items-center gap-2 text-xs">
+                <Grid3x3 className="w-4 h-4"/> <span className="text-sm">Step sequencer</span>
+                <select className="rounded-lg bg-slate-800 border border-slate-700 p-1" value={genre} onChange={(e)=> setGenre(e.target.value)}>
+                  {Object.entries(GENRES).map(([id, g])=> <option key={id} value={id}>{g.label}</option>)}
+                </select>
+                <button className="px-2 py-1 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700" onClick={applyGenre}>Apply to band</button>
+                {reactMode !== "grid" && roster.some((m)=> m.rhythm === "steps") && <span className="text-amber-300">Patterns play when animals follow the beat grid</span>}
+                <span className="ml-auto opacity-60">Click: on/off · Shift: accent · Alt: ghost</span>
+              </div>
+              <div className="p-4 space-y-2 overflow-x-auto">
+                {roster.map((m)=> {
+                  const on = m.rhythm === "steps"; const steps = m.steps ?? emptySteps(stepsPerBar); const spb = stepsPerBeatFor(timeSig);
+                  return (
+                    <div key={m.id} className="flex items-center gap-2 text-xs">
+                      <label className="w-44 shrink-0 flex items-center gap-1 truncate" title="Play this step pattern">
+                        <input type="checkbox" checked={on} onChange={(e)=> setMemberRhythm(m, e.target.checked)}/> {m.name}
+                      </label>
+                      <select className="rounded-md bg-slate-800 border border-slate-700 p-0.5 disabled:opacity-50" disabled={!on} value={steps.length}
+                        onChange={(e)=> updateMember(m.id, { steps: resizeSteps(steps, parseInt(e.target.value,10)) })}>
+                        {PATTERN_BARS.map((n)=> <option key={n} value={n * stepsPerBar}>{n} bar{n > 1 ? "s" : ""}</option>)}
+                      </select>
+                      <button title={`${GENRES[genre].label} part for ${INSTRUMENTS[m.instrument]?.label ?? m.instrument}`} className="px-1.5 py-0.5 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={!on}
+                        onClick={()=> updateMember(m.id, { steps: presetSteps(genre, m.instrument, stepsPerBar) })}>Preset</button>
+                      <button className="px-1.5 py-0.5 rounded-md bg-slate-800 border border-slate-700 hover:bg-slate-700 disabled:opacity-50" disabled={!on}
+                        onClick={()=> updateMember(m.id, { steps: emptySteps(steps.length) })}>Clear</button>
+                      <StepCursor read={()=> seqTickRef.current} length={steps.length} active={on && isPlaying} className={`flex gap-0.5 ${on ? "" : "opacity-40 pointer-events-none"}`}>
+                        {steps.map((st, i)=> (
+                          <button key={i} title={st ? `vel ${Math.round(st.vel * 100)}%${st.prob < 1 ? ` · ${Math.round(st.prob * 100)}% chance` : ""}${st.pad != null ? ` · ${PAD_LABELS[st.pad]}` : ""}` : "rest"}
+                            onClick={(e)=> clickStep(m, i, e)}
+                            className={`w-5 h-6 rounded-sm border ${i % stepsPerBar === 0 ? "ml-2" : i % spb === 0 ? "ml-1" : ""} ${st?.accent ? "border-amber-300" : "border-slate-700"} ${seqSelected?.id === m.id && seqSelected.i === i ? "outline outline-1 outline-white" : ""} ${st ? "" : i % spb === 0 ? "bg-slate-700/60" : "bg-slate-800"}`}
+                            style={st ? { background: `rgba(52,211,153,${0.25 + 0.75 * st.vel})`, opacity: st.prob < 1 ? 0.6 : 1 } : undefined}/>
+                        ))}
+                      </StepCursor>
+                    </div>
+                  );
+                })}
+                {(()=> {
+                  const m = roster.find((m)=> m.id === seqSelected?.id); const st = m?.rhythm === "steps" ? m.steps?.[seqSelected.i] : null;
+                  if (!st) return null;
+                  return (
+                    <div className="flex flex-wrap items-center gap-3 text-xs pt-2 border-t border-slate-800">
+                      <span className="opacity-80">{m.name} · step {seqSelected.i + 1}</span>
+                      <label className="flex items-center gap-1">Velocity {Math.round(st.vel * 100)}%
+                        <input type="range" min={0.1} max={1} step={0.05} value={st.vel} onChange={(e)=> editStep(m, seqSelected.i, (x)=> ({ ...x, vel: parseFloat(e.target.value) }))}/></label>
+                      <label className="flex items-center gap-1">Chance {Math.round(st.prob * 100)}%
+                        <input type="range" min={0.05} max={1} step={0.05} value={st.prob} onChange={(e)=> editStep(m, seqSelected.i, (x)=> ({ ...x, prob: parseFloat(e.target.value) }))}/></label>
+                      <label className="flex items-center gap-1"><input type="checkbox" checked={st.accent} onChange={(e)=> editStep(m, seqSelected.i, (x)=> ({ ...x, accent: e.target.checked }))}/> Accent</label>
+                      {m.instrument === "drums" && (
+                        <select className="rounded-md bg-slate-800 border border-slate-700 p-0.5" value={st.pad ?? ""} onChange={(e)=> editStep(m, seqSelected.i, (x)=> ({ ...x, pad: e.target.value === "" ? null : parseInt(e.target.value,10) }))}>
+                          <option value="">Pad: alternate</option>
+                          {Object.entries(PAD_LABELS).map(([pad, label])=> <option key={pad} value={pad}>Pad: {label}</option>)}
+                        </select>
+                      )}
+                    </div>
+                  );
+                })()}
               </div>
             </div>
             <div className="mt-4 flex items-center justify-between text-sm opacity-90">
-              <div className="flex items-center gap-2"><Clock className="w-4 h-4"/> Beats: {beatCount}</div>
-              <div>Beat interval: {formatMs(intervalMs)}</div>
+              <div className="flex items-center gap-2"><Clock className="w-4 h-4"/> Beats: {beatCount}
+                {position && <span className="opacity-75 tabular-nums">· {timeSig} · Bar {position.bar + 1}.{position.beatInBar + 1} · Phrase {position.phrase + 1}.{position.barInPhrase + 1} · {formatTime(position.songTime)}</span>}
+              </div>
+              <div className="flex items-center gap-2">
+                <label className="text-xs opacity-80">Animals follow</label>
+                <select className="rounded-lg bg-slate-800 border border-slate-700 p-1 text-xs" value={reactMode} onChange={(e)=> setReactMode(e.target.value)}>
+                  <option value="bands">Their own part</option>
+                  <option value="grid">Beat grid</option>
+                </select>
+                {followParts && <span className="text-xs opacity-70">{inputMode === "live" || !bandsAnalyzed ? "live spectrum" : "analyzed track"}</span>}
+                <label className="text-xs opacity-80" title={`Stage move every ${phraseBars} bars`}>Phrase moves</label>
+                <select className="rounded-lg bg-slate-800 border border-slate-700 p-1 text-xs" value={phraseMoves} onChange={(e)=> setPhraseMoves(e.target.value)}>
+                  {Object.entries(PHRASE_MOVES).map(([id, label])=> <option key={id} value={id}>{label}</option>)}
+                </select>
+                <label className="text-xs opacity-80" title="Fixed keeps the frame still for Resolume and other VJ software">Camera</label>
+                <select className="rounded-lg bg-slate-800 border border-slate-700 p-1 text-xs" value={cameraStyle} onChange={(e)=> setCameraStyle(e.target.value)}>
+                  {Object.entries(CAMERA_STYLES).map(([id, c])=> <option key={id} value={id}>{c.label}</option>)}
+                </select>
+              </div>
+              <div>Beat interval: {formatMs(intervalMs)}{useBeatMap && beatMap && <span className="opacity-75"> · {localTempo.toFixed(1)} BPM local</span>}</div>
             </div>
           </div>
         </StageChrome>
 
+        {/* Output window */}
+        <div className="rounded-2xl border border-slate-800 bg-slate-900/60">
+          <div className="p-4 border-b border-slate-800 flex items-center gap-2"><MonitorUp className="w-4 h-4"/> <span className="text-base">Output window</span></div>
+          <div className="p-4 flex flex-wrap items-center gap-3 text-sm">
+            <select className="rounded-lg bg-slate-800 border border-slate-700 p-2" value={outputOpts.size} onChange={(e)=> setOutputOpts((o)=> ({ ...o, size: e.target.value }))}>
+              {OUTPUT_SIZES.map((x)=> <option key={x.id} value={x.id}>{x.label}</option>)}
+            </select>
+            <select className="rounded-lg bg-slate-800 border border-slate-700 p-2" value={outputOpts.background} onChange={(e)=> setOutputOpts((o)=> ({ ...o, background: e.target.value }))}>
+              <option value="transparent">Transparent</option>
+              <option value="green">Chroma green</option>
+              <option value="blue">Chroma blue</option>
+              <option value="black">Black</option>
+            </select>
+            <label className="flex items-center gap-1 text-xs opacity-90">
+              <input type="checkbox" checked={outputOpts.backdrop} onChange={(e)=> setOutputOpts((o)=> ({ ...o, backdrop: e.target.checked }))}/>
+              Scenery + pack backdrop
+            </label>
+            <button className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 border border-indigo-400" onClick={()=> outputRef.current?.open(outputOpts)}>Open output</button>
+            <span className={`text-xs ${outputLive ? "text-emerald-300" : "opacity-60"}`}>{outputLive ? "Output connected" : "No output window"}</span>
+            <span className="text-xs opacity-60">Stage only, no UI — capture the window in Resolume/OBS; this window stays the control surface.</span>
+          </div>
+        </div>
+
+        {/* Video export */}
+        <div className="rounded-2xl border border-slate-800 bg-slate-900/60">
+          <div className="p-4 border-b border-slate-800 flex items-center gap-2"><Film className="w-4 h-4"/> <span className="text-base">Export video</span></div>
+          <div className="p-4 flex flex-wrap items-center gap-3 text-sm">
+            <select className="rounded-lg bg-slate-800 border border-slate-700 p-2" value={exportOpts.size}
+              onChange={(e)=> setExportOpts((o)=> ({ ...o, size: e.target.value }))}>
+              {EXPORT_SIZES.map((x)=> <option key={x.id} value={x.id}>{x.id} ({x.width}×{x.height})</option>)}
+            </select>
+            <select className="rounded-lg bg-slate-800 border border-slate-700 p-2" value={exportOpts.fps} onChange={(e)=> setExportOpts((o)=> ({ ...o, fps: parseInt(e.target.value,10) }))}>
+              <option value={30}>30 fps</option>
+              <option value={60}>60 fps</option>
+            </select>
+            <label className="flex items-center gap-1 text-xs opacity-90">
+              <input type="checkbox" checked={exportOpts.alpha} onChange={(e)=> setExportOpts((o)=> ({ ...o, alpha: e.target.checked }))}/>
+              Transparent background (alpha)
+            </label>
+            {exportState && "progress" in exportState ? (
+              <>
+                <span className="text-xs opacity-80">Rendering {Math.round(exportState.progress*100)}%</span>
+                <button className="px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 border border-slate-700" onClick={()=> exportAbortRef.current?.abort()}>Cancel</button>
+              </>
+            ) : (
+              <button className="px-3 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 border border-indigo-400 disabled:opacity-50"
+                disabled={!audioFile || inputMode !== "file"} onClick={runExport}>Export WebM</button>
+            )}
+            {exportState?.done && <span className="text-xs opacity-80">Saved {exportState.done}</span>}
+            {exportState?.error && <span className="text-xs text-rose-400">{exportState.error}</span>}
+            <span className="text-xs opacity-60">Renders offline from the song and beat grid — no dropped frames, exact sync.</span>
+          </div>
+        </div>
+
         {/* Help */}
         <div className="rounded-2xl border border-slate-800 bg-slate-900/60">
           <div className="p-4 border-b border-slate-800 flex items-center gap-2"><Settings2 className="w-4 h-4"/> <span className="text-base">How to use</span></div>
           <div className="p-4 grid md:grid-cols-3 gap-4 text-sm">
             <div>
-              <p className="opacity-90">1) Load a song. 2) Set manual BPM (or add a detector). 3) Press Play. Animals perform a short action on each beat.</p>
+              <p className="opacity-90">1) Load a song. 2) Detect BPM (pick half/double if needed) or set it manually. 3) Press Play. Animals perform a short action on each beat.</p>
             </div>
             <div>
-              <p className="opacity-90">Quantize/Swing/Offset help lock to your BPM. Camera stays fixed — perfect for Resolume.</p>
+              <p className="opacity-90">Detect BPM also sets Start Offset to the first beat. Live: T taps tempo, [ / ] nudge, D marks the downbeat. The camera punches in, pans and shakes on the phrase grid; set Camera to Fixed for Resolume; Export WebM renders the clip offline (alpha for layering).</p>
             </div>
             <div>
-              <p className="opacity-90">Swap vector shapes with layered PNGs for photo‑real. The WebGL pass handles displacement and lighting pulses.</p>
+              <p className="opacity-90">Swap vector shapes for photo‑real art with an asset pack (manifest + spritesheets, see README). The WebGL pass handles displacement and lighting pulses.</p>
             </div>
           </div>
         </div>
@@ -0,0 +1,179 @@
+// ====== Offline audio analysis (works on a decoded AudioBuffer) ======
+import { clamp } from "./util.js";
+
+const ENV_RATE = 200; // envelope frames per second (~5 ms resolution)
+
+// Onset-strength envelope: log energy per frame on the raw and a high-passed signal,
+// first difference, half-wave rectified. Also returns a bass-only onset curve (`low`, ~150 Hz
+// low-pass) used for downbeats. { env, low, rate } where rate = frames/sec.
+export const onsetEnvelope = (buffer, { hop = Math.max(1, Math.round(buffer.sampleRate / ENV_RATE)), frame = hop * 2 } = {}) => {
+  const chans = [];
+  for (let c = 0; c < buffer.numberOfChannels; c++) chans.push(buffer.getChannelData(c));
+  const len = buffer.length; const nCh = chans.length || 1;
+  const frames = Math.max(0, Math.floor((len - frame) / hop) + 1);
+  const env = new Float32Array(frames); const low = new Float32Array(frames);
+  const lpA = 1 - Math.exp(-2 * Math.PI * 150 / buffer.sampleRate);
+  let prevFull = 0, prevHigh = 0, prevBass = 0, lp = 0;
+  for (let f = 0; f < frames; f++) {
+    const start = f * hop; let eFull = 0, eHigh = 0, eBass = 0, last = start > 0 ? mono(chans, start - 1) : 0;
+    for (let i = start; i < start + frame; i++) {
+      const s = mono(chans, i);
+      const d = s - last; last = s;
+      if (i < start + hop) lp += lpA * (s - lp); // advance the filter once per sample (frames overlap by hop)
+      eFull += s * s; eHigh += d * d; eBass += lp * lp;
+    }
+    const full = Math.log1p(1000 * eFull / frame); const high = Math.log1p(1000 * eHigh / frame); const bass = Math.log1p(1000 * eBass / hop);
+    env[f] = Math.max(0, full - prevFull) + Math.max(0, high - prevHigh);
+    low[f] = Math.max(0, bass - prevBass);
+    prevFull = full; prevHigh = high; prevBass = bass;
+  }
+  return { env: detrend(env), low: detrend(low), rate: buffer.sampleRate / hop, latency: frame / buffer.sampleRate };
+};
+
+const mono = (chans, i) => { let s = 0; for (let c = 0; c < chans.length; c++) s += chans[c][i]; return s / (chans.length || 1); };
+
+// remove slow trend so autocorrelation sees pulses, not loudness
+const detrend = (env, win = 16) => {
+  const out = new Float32Array(env.length); let acc = 0;
+  for (let f = 0; f < env.length; f++) {
+    acc += env[f]; if (f >= win) acc -= env[f - win];
+    out[f] = Math.max(0, env[f] - acc / Math.min(f + 1, win));
+  }
+  return out;
+};
+
+// Envelope value at a fractional frame, taking the max of the neighbourhood (tolerates ±1 frame jitter)
+const peakAt = (env, t) => {
+  const i = Math.round(t); let m = 0;
+  for (let k = i - 1; k <= i + 1; k++) if (k >= 0 && k < env.length && env[k] > m) m = env[k];
+  return m;
+};
+
+// Autocorrelation at a (possibly fractional) lag, linearly interpolated
+const autocorr = (env, lag) => {
+  const l0 = Math.floor(lag), fr = lag - l0; const n = env.length - l0 - 1; if (n <= 0) return 0;
+  let s = 0;
+  for (let i = 0; i < n; i++) s += env[i] * (env[i + l0] * (1 - fr) + env[i + l0 + 1] * fr);
+  return s / n;
+};
+
+// Comb-style score: a true beat period also lines up at multiples of the lag.
+const periodScore = (env, lag, harmonics = 3) => {
+  let s = 0, w = 0;
+  for (let k = 1; k <= harmonics; k++) {
+    const l = lag * k; if (l >= env.length - 1) break;
+    const wk = 1 / k; s += wk * autocorr(env, l); w += wk;
+  }
+  return w ? s / w : 0;
+};
+
+// Log-Gaussian tempo prior centred on 120 BPM resolves most octave ambiguity
+const tempoPrior = (bpm) => Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 1.2, 2));
+
+// Estimate a global tempo. Returns { bpm, confidence (0..1), candidates: [{ bpm, score, relation }] }
+export const detectTempo = (buffer, { minBpm = 60, maxBpm = 200, envelope } = {}) => {
+  const { env, rate } = envelope ?? onsetEnvelope(buffer);
+  const minLag = Math.max(1, Math.floor(rate * 60 / maxBpm));
+  const maxLag = Math.ceil(rate * 60 / minBpm);
+  const scores = [];
+  for (let lag = minLag; lag <= maxLag; lag++) scores.push(periodScore(env, lag) * tempoPrior(rate * 60 / lag));
+  if (!scores.length || !env.length) return { bpm: null, confidence: 0, candidates: [] };
+
+  let bi = 0; for (let i = 1; i < scores.length; i++) if (scores[i] > scores[bi]) bi = i;
+  // refine the peak on a fractional grid with a longer comb (more periods = finer tempo)
+  let lag = minLag + bi, bestFine = -Infinity;
+  for (let l = lag - 1; l <= lag + 1; l += 0.05) {
+    const v = periodScore(env, l, 8); if (v > bestFine) { bestFine = v; lag = l; }
+  }
+  const bpm = Math.round(rate * 60 / lag * 10) / 10;
+
+  const b = scores[bi];
+  const sorted = [...scores].sort((x, y) => x - y); const median = sorted[Math.floor(sorted.length / 2)];
+  const confidence = b > 0 ? clamp((b - median) / b, 0, 1) : 0;
+
+  const raw = (l) => periodScore(env, l);
+  const best = raw(lag) || 1;
+  const candidates = [
+    { bpm, score: 1, relation: "detected" },
+    { bpm: Math.round(bpm * 5) / 10, score: raw(lag * 2) / best, relation: "half" },
+    { bpm: Math.round(bpm * 20) / 10, score: raw(lag / 2) / best, relation: "double" },
+  ].map((k) => ({ ...k, score: Math.round(clamp(k.score, 0, 1) * 100) / 100 }));
+  return { bpm, confidence: Math.round(confidence * 100) / 100, candidates };
+};
+
+// Beat phase for a known tempo: the first beat (grid phase with the most onset energy) and
+// the bar downbeat (the beat slot, mod beatsPerBar, with the strongest bass onsets).
+// Returns { firstBeatMs, downbeatMs, downbeatIndex, confidence }.
+export const detectPhase = (buffer, bpm, { beatsPerBar = 4, envelope } = {}) => {
+  const { env, low, rate, latency = 0 } = envelope ?? onsetEnvelope(buffer);
+  const period = rate * 60 / clamp(bpm || 120, 20, 400);
+  if (!env.length || period < 2) return { firstBeatMs: 0, downbeatMs: 0, downbeatIndex: 0, confidence: 0 };
+
+  let phase = 0, bestScore = -1, total = 0, count = 0;
+  for (let p = 0; p < period; p += 0.5) {
+    let s = 0, n = 0; for (let t = p; t < env.length; t += period) { s += peakAt(env, t); n++; }
+    s /= n || 1; total += s; count++;
+    if (s > bestScore) { bestScore = s; phase = p; }
+  }
+  const mean = total / (count || 1);
+  const confidence = bestScore > 0 ? clamp((bestScore - mean) / bestScore, 0, 1) : 0;
+
+  const frames = []; for (let t = phase; t < env.length; t += period) frames.push(t);
+  const downbeatIndex = downbeatSlot(env, low, frames, beatsPerBar);
+
+  const toMs = (frames) => Math.max(0, Math.round((frames / rate + latency) * 1000));
+  const firstBeatMs = toMs(phase);
+  return { firstBeatMs, downbeatMs: toMs(phase + downbeatIndex * period), downbeatIndex, confidence: Math.round(confidence * 100) / 100 };
+};
+
+// Which beat slot (mod beatsPerBar) carries the strongest bass onsets
+const downbeatSlot = (env, low, beatFrames, beatsPerBar) => {
+  const slots = new Array(beatsPerBar).fill(0);
+  beatFrames.forEach((t, k) => { slots[k % beatsPerBar] += peakAt(low, t) + 0.25 * peakAt(env, t); });
+  let best = 0; slots.forEach((v, i) => { if (v > slots[best]) best = i; });
+  return best;
+};
+
+// Dynamic-programming beat tracker (Ellis 2007): picks onset peaks spaced close to the global
+// period but lets the spacing drift, so live takes and tempo changes stay locked.
+// Returns beat times in source seconds.
+export const trackBeats = (envelope, bpm, { tightness = 100 } = {}) => {
+  const { env, rate, latency = 0 } = envelope; const n = env.length;
+  const period = rate * 60 / clamp(bpm || 120, 20, 400);
+  if (!n || period < 2) return [];
+  let mean = 0; for (let i = 0; i < n; i++) mean += env[i]; mean /= n;
+  let sd = 0; for (let i = 0; i < n; i++) sd += (env[i] - mean) ** 2; sd = Math.sqrt(sd / n) || 1;
+
+  const score = new Float32Array(n); const back = new Int32Array(n).fill(-1);
+  const lo = Math.max(1, Math.round(period / 2)), hi = Math.round(period * 2);
+  for (let t = 0; t < n; t++) {
+    let best = 0, bi = -1;
+    for (let p = Math.max(0, t - hi); p <= t - lo; p++) {
+      const v = score[p] - tightness * Math.log((t - p) / period) ** 2;
+      if (v > best) { best = v; bi = p; }
+    }
+    score[t] = env[t] / sd + best; back[t] = bi;
+  }
+  // best-scoring frame within the final period, then backtrack
+  let end = Math.max(0, n - Math.round(period));
+  for (let t = end; t < n; t++) if (score[t] > score[end]) end = t;
+  const frames = []; for (let t = end; t >= 0; t = back[t]) frames.push(t);
+  return frames.reverse().map((f) => Math.round((f / rate + latency) * 1e4) / 1e4);
+};
+
+// Tempo + phase + beat map in one pass over the buffer
+export const analyzeTrack = (buffer, { beatsPerBar = 4, ...opts } = {}) => {
+  const envelope = onsetEnvelope(buffer);
+  const tempo = detectTempo(buffer, { ...opts, envelope });
+  const phase = tempo.bpm ? detectPhase(buffer, tempo.bpm, { beatsPerBar, envelope }) : null;
+  const beatMap = tempo.bpm ? beatMapFromEnvelope(envelope, tempo.bpm, { beatsPerBar }) : null;
+  return { ...tempo, phase, beatMap, envelope };
+};
+
+// Tracked beats + downbeat as a beat map (see beatmap.js); null if too few beats were found
+export const beatMapFromEnvelope = (envelope, bpm, { beatsPerBar = 4 } = {}) => {
+  const beats = trackBeats(envelope, bpm);
+  if (beats.length < 2) return null;
+  const frames = beats.map((t) => (t - (envelope.latency || 0)) * envelope.rate);
+  return { beats, beatsPerBar, downbeatIndex: downbeatSlot(envelope.env, envelope.low, frames, beatsPerBar), source: "analysis" };
+};
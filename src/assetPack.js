@@ -0,0 +1,117 @@
+// ====== Asset packs (manifest + loader) ======
+// A pack is a JSON manifest next to its images: per-species textures or spritesheet atlases, frame
+// sequences per rig clip, anchor/scale, the instrument attachment point, an optional stage layout and
+// post-processing looks (see postFx.js).
+// Anything that fails to load is reported and falls back to the vector placeholder.
+// Paths are relative to the manifest URL. See README.md for an example.
+import * as PIXI from "pixi.js";
+import { SPECIES } from "./roster.js";
+import { CLIPS } from "./rig.js";
+import { parsePostLook } from "./postFx.js";
+
+export const ASSET_PACK_FORMAT = "animal-band.assetpack";
+export const ASSET_PACK_VERSION = 1;
+export const DEFAULT_PACK_URL = "/assets/pack.json";
+
+const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite);
+const isPath = (s) => typeof s === "string" && s.length > 0;
+
+// Validate + normalise a manifest object; throws Error listing every problem found
+export const parseAssetPack = (data) => {
+  if (data?.format !== ASSET_PACK_FORMAT) throw new Error("Not an Animal Band asset pack");
+  if (data.version > ASSET_PACK_VERSION) throw new Error(`Asset pack version ${data.version} is newer than supported (${ASSET_PACK_VERSION})`);
+  const problems = [];
+  const characters = {};
+  for (const [species, c] of Object.entries(data.characters ?? {})) {
+    const at = `characters.${species}`;
+    if (!SPECIES[species]) { problems.push(`${at}: unknown species (${Object.keys(SPECIES).join(", ")})`); continue; }
+    if (!isPath(c?.texture) && !isPath(c?.atlas)) problems.push(`${at}: needs a "texture" or an "atlas"`);
+    if (c?.anchor != null && !isPoint(c.anchor)) problems.push(`${at}.anchor must be [x, y]`);
+    if (c?.scale != null && !(c.scale > 0)) problems.push(`${at}.scale must be a positive number`);
+    if (c?.body != null && !isPoint(c.body)) problems.push(`${at}.body must be [radiusX, radiusY]`);
+    if (c?.attach?.instrument != null && !isPoint(c.attach.instrument)) problems.push(`${at}.attach.instrument must be [x, y]`);
+    const animations = {};
+    for (const [clip, a] of Object.entries(c?.animations ?? {})) {
+      const anim = Array.isArray(a) || typeof a === "string" ? { frames: a } : a;
+      if (!CLIPS[clip]) problems.push(`${at}.animations.${clip}: unknown clip (${Object.keys(CLIPS).join(", ")})`);
+      else if (typeof anim?.frames === "string" && !isPath(c.atlas)) problems.push(`${at}.animations.${clip}: a named animation needs an atlas`);
+      else if (typeof anim?.frames !== "string" && !(Array.isArray(anim?.frames) && anim.frames.length && anim.frames.every(isPath))) problems.push(`${at}.animations.${clip}.frames must be a list of frame names/paths`);
+      else if (anim.contact != null && !(Number.isInteger(anim.contact) && anim.contact >= 0)) problems.push(`${at}.animations.${clip}.contact must be a frame index`);
+      else animations[clip] = { frames: anim.frames, fps: anim.fps ?? 12, contact: anim.contact ?? null };
+    }
+    characters[species] = {
+      texture: c?.texture ?? null, atlas: c?.atlas ?? null, animations,
+      anchor: c?.anchor ?? [0.5, 0.5], scale: c?.scale ?? 0.5, body: c?.body ?? null, attach: { instrument: c?.attach?.instrument ?? [0, 0] },
+    };
+  }
+  const layout = {};
+  for (const [key, p] of Object.entries(data.layout ?? {})) { if (isPoint(p)) layout[key] = p; else problems.push(`layout.${key} must be [x, y]`); }
+  if (data.background != null && !isPath(data.background)) problems.push(`background must be a path`);
+  const postFx = {};
+  for (const [id, look] of Object.entries(data.postFx ?? {})) { const parsed = parsePostLook(look, `postFx.${id}`, problems); if (parsed) postFx[id] = parsed; }
+  if (problems.length) throw new Error(`Invalid asset pack:\n- ${problems.join("\n- ")}`);
+  return { name: data.name ?? "Untitled pack", characters, layout, background: data.background ?? null, postFx };
+};
+
+// Fetch, validate and load a pack. onProgress({ loaded, total, key }) after every file.
+// Resolves to { name, looks: { [species]: look }, layout, background, postFx: { [id]: { label, passes } }, errors: [{ key, message }] };
+// a look is { texture, frames: { [clip]: { textures, fps, contact } }, anchor, scale, body, attach }.
+export const loadAssetPack = async (url, { onProgress, load = (src) => PIXI.Assets.load(src) } = {}) => {
+  let data;
+  try { const res = await fetch(url); if (!res.ok) throw new Error(`HTTP ${res.status}`); data = await res.json(); }
+  catch (e) { throw new Error(`Could not load asset pack manifest ${url} (${e.message})`); }
+  const pack = parseAssetPack(data);
+  const resolve = (p) => new URL(p, new URL(url, window.location.href)).href;
+
+  const entries = Object.entries(pack.characters);
+  const total = entries.reduce((n, [, c]) => n + 1 + (c.atlas ? 0 : Object.values(c.animations).reduce((k, a) => k + a.frames.length, 0)), 0) + (pack.background ? 1 : 0);
+  let loaded = 0; const errors = [];
+  const step = (key) => { loaded++; onProgress?.({ loaded, total, key }); };
+  const tryLoad = async (key, path) => {
+    try { return await load(resolve(path)); }
+    catch (e) { errors.push({ key, message: `${path}: ${e?.message || "failed to load"}` }); return null; }
+    finally { step(key); }
+  };
+
+  const looks = {};
+  for (const [species, c] of entries) {
+    const frames = {}; let texture = null;
+    if (c.atlas) {
+      const sheet = await tryLoad(species, c.atlas); // Pixi spritesheet JSON: { textures, animations }
+      if (sheet) {
+        texture = c.texture ? sheet.textures?.[c.texture] ?? null : Object.values(sheet.textures ?? {})[0] ?? null;
+        for (const [clip, a] of Object.entries(c.animations)) {
+          const list = typeof a.frames === "string" ? sheet.animations?.[a.frames] : a.frames.map((f) => sheet.textures?.[f]);
+          if (list?.length && list.every(Boolean)) frames[clip] = { ...a, textures: list };
+          else errors.push({ key: species, message: `animation "${clip}" has frames missing from ${c.atlas}` });
+        }
+      }
+    } else {
+      texture = await tryLoad(species, c.texture);
+      for (const [clip, a] of Object.entries(c.animations)) {
+        const list = [];
+        for (const f of a.frames) list.push(await tryLoad(`${species}.${clip}`, f));
+        if (list.every(Boolean)) frames[clip] = { ...a, textures: list }; // a partly loaded sequence would stutter — drop it
+      }
+    }
+    if (texture) looks[species] = { texture, frames, anchor: c.anchor, scale: c.scale, body: c.body, attach: c.attach };
+    else errors.push({ key: species, message: "no body texture, using the vector placeholder" });
+  }
+  const background = pack.background ? await tryLoad("background", pack.background) : null;
+  return { name: pack.name, looks, layout: pack.layout, background, postFx: pack.postFx, errors };
+};
+
+// Body texture for a look at rig time `now`: the running action clip's frames (frame `contact` shown on the
+// contact frame), else the idle loop, else the still texture
+export const lookFrame = (look, action, now) => {
+  const anim = action && look.frames[action.name];
+  if (anim) {
+    const keys = CLIPS[action.name].keys; const first = keys[0].t, last = keys[keys.length - 1].t; const n = anim.textures.length;
+    const c = anim.contact ?? Math.round((n - 1) * -first / ((last - first) || 1));
+    const i = action.t <= 0 ? c * (1 - action.t / (first || -1)) : c + (n - 1 - c) * (action.t / (last || 1));
+    return anim.textures[Math.max(0, Math.min(n - 1, Math.round(i)))];
+  }
+  const idle = look.frames.idle;
+  if (idle) return idle.textures[Math.floor(now * idle.fps) % idle.textures.length];
+  return look.texture;
+};
@@ -0,0 +1,124 @@
+// ====== Per-instrument band analysis ======
+// Splits the signal into the parts the band members play along to (see INSTRUMENTS in roster.js). Offline (biquads over the decoded
+// buffer → envelope + onset list per band) or real-time (AnalyserNode bins, for live input or
+// before a track has been analyzed). Levels are 0..1, onsets carry a 0..1 strength.
+import { clamp } from "./util.js";
+
+// filter: RBJ biquad used offline; lo/hi: FFT bin range used in real time
+export const BANDS = {
+  kick:  { label: "Kick",     filter: { type: "lowpass", freq: 110, q: 0.9 },  lo: 35,  hi: 120,  minGap: 0.12, decay: 0.08 },
+  snare: { label: "Snare",    filter: { type: "bandpass", freq: 2200, q: 0.7 }, lo: 1200, hi: 5000, minGap: 0.10, decay: 0.06 },
+  lead:  { label: "Mid/high", filter: { type: "bandpass", freq: 1500, q: 0.45 }, lo: 500, hi: 8000, minGap: 0.15, decay: 0.35 },
+  bass:  { label: "Low end",  filter: { type: "lowpass", freq: 220, q: 0.7 },  lo: 40,  hi: 250,  minGap: 0.15, decay: 0.25 },
+};
+export const BAND_IDS = Object.keys(BANDS);
+export const emptyLevels = () => Object.fromEntries(BAND_IDS.map((id) => [id, 0]));
+
+// RBJ cookbook coefficients, normalised by a0
+const biquad = ({ type, freq, q }, sampleRate) => {
+  const w = 2 * Math.PI * freq / sampleRate, cos = Math.cos(w), alpha = Math.sin(w) / (2 * q);
+  const b = type === "lowpass" ? [(1 - cos) / 2, 1 - cos, (1 - cos) / 2] : [alpha, 0, -alpha];
+  const a0 = 1 + alpha;
+  return { b0: b[0] / a0, b1: b[1] / a0, b2: b[2] / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 };
+};
+
+// Onset picking on a log-energy envelope: positive flux above a moving mean + 1.5 sd (≈1 s window)
+const pickOnsets = (env, rate, minGap) => {
+  const onsets = []; const win = Math.round(rate); const gap = Math.round(minGap * rate);
+  const flux = new Float32Array(env.length);
+  for (let i = 0; i < env.length; i++) flux[i] = Math.max(0, Math.log1p(100 * env[i]) - Math.log1p(100 * (env[i - 1] ?? 0)));
+  let sum = 0, sq = 0, last = -Infinity, peak = 0;
+  for (let i = 0; i < flux.length; i++) { if (flux[i] > peak) peak = flux[i]; }
+  for (let i = 0; i < flux.length; i++) {
+    sum += flux[i]; sq += flux[i] * flux[i];
+    if (i >= win) { sum -= flux[i - win]; sq -= flux[i - win] * flux[i - win]; }
+    const n = Math.min(i + 1, win); const mean = sum / n; const sd = Math.sqrt(Math.max(0, sq / n - mean * mean));
+    const isPeak = flux[i] >= (flux[i - 1] ?? 0) && flux[i] > (flux[i + 1] ?? 0);
+    if (isPeak && flux[i] > mean + 1.5 * sd && flux[i] > peak * 0.2 && i - last >= gap) {
+      onsets.push({ time: i / rate, strength: clamp(flux[i] / (peak || 1) * 2, 0, 1) }); last = i;
+    }
+  }
+  return onsets;
+};
+
+// Offline: { rate, bands: { [id]: { env: Float32Array (0..1), onsets: [{ time, strength }] } } }
+export const analyzeBands = (buffer, { rate = 100 } = {}) => {
+  const chans = []; for (let c = 0; c < buffer.numberOfChannels; c++) chans.push(buffer.getChannelData(c));
+  const nCh = chans.length || 1; const hop = Math.max(1, Math.round(buffer.sampleRate / rate));
+  const frames = Math.floor(buffer.length / hop);
+  const filters = BAND_IDS.map((id) => ({ id, k: biquad(BANDS[id].filter, buffer.sampleRate), x1: 0, x2: 0, y1: 0, y2: 0, acc: 0, env: new Float32Array(frames) }));
+  for (let f = 0; f < frames; f++) {
+    for (let i = f * hop; i < (f + 1) * hop; i++) {
+      let x = 0; for (let c = 0; c < nCh; c++) x += chans[c][i]; x /= nCh;
+      for (const s of filters) {
+        const { b0, b1, b2, a1, a2 } = s.k;
+        const y = b0 * x + b1 * s.x1 + b2 * s.x2 - a1 * s.y1 - a2 * s.y2;
+        s.x2 = s.x1; s.x1 = x; s.y2 = s.y1; s.y1 = y; s.acc += y * y;
+      }
+    }
+    for (const s of filters) { s.env[f] = Math.sqrt(s.acc / hop); s.acc = 0; }
+  }
+  const bands = {};
+  for (const s of filters) {
+    // normalise to the 95th percentile so a loud part sits near 1 regardless of mix level
+    const sorted = Float32Array.from(s.env).sort(); const ref = sorted[Math.floor(sorted.length * 0.95)] || 1;
+    const env = s.env.map((v) => clamp(v / ref, 0, 1));
+    bands[s.id] = { env, onsets: pickOnsets(env, rate, BANDS[s.id].minGap) };
+  }
+  return { rate: buffer.sampleRate / hop, bands };
+};
+
+// Playback cursor over an offline analysis: levels at a song time + onsets crossed since the last call
+export const createBandCursor = (analysis) => {
+  const idx = Object.fromEntries(BAND_IDS.map((id) => [id, 0]));
+  let lastTime = -Infinity;
+  return {
+    advance: (time) => {
+      const levels = emptyLevels(); const hits = [];
+      const f = Math.floor(time * analysis.rate);
+      if (time < lastTime) BAND_IDS.forEach((id) => { idx[id] = 0; }); // seek backwards
+      for (const id of BAND_IDS) {
+        const band = analysis.bands[id]; if (!band) continue;
+        levels[id] = band.env[clamp(f, 0, band.env.length - 1)] ?? 0;
+        const on = band.onsets;
+        while (idx[id] < on.length && on[idx[id]].time <= time) {
+          if (on[idx[id]].time > lastTime && time - on[idx[id]].time < 0.1) hits.push({ band: id, ...on[idx[id]] }); // skip stale ones after a jump
+          idx[id]++;
+        }
+      }
+      lastTime = time;
+      return { levels, hits };
+    },
+  };
+};
+
+// Real-time: AnalyserNode tap on any node. read() → { levels, hits } for the current frame.
+export const createBandMeter = (ctx, input, { fftSize = 2048 } = {}) => {
+  const analyser = ctx.createAnalyser(); analyser.fftSize = fftSize; analyser.smoothingTimeConstant = 0.2;
+  input.connect(analyser);
+  const bins = new Float32Array(analyser.frequencyBinCount); const hz = ctx.sampleRate / fftSize;
+  const state = Object.fromEntries(BAND_IDS.map((id) => [id, { prev: 0, mean: 0, varc: 0, last: 0, peak: 1e-3, level: 0 }]));
+  return {
+    read: () => {
+      analyser.getFloatFrequencyData(bins);
+      const levels = emptyLevels(); const hits = []; const now = ctx.currentTime;
+      for (const id of BAND_IDS) {
+        const { lo, hi, minGap, decay } = BANDS[id]; const st = state[id];
+        let e = 0, n = 0;
+        for (let b = Math.max(1, Math.floor(lo / hz)); b <= Math.min(bins.length - 1, Math.ceil(hi / hz)); b++) { e += Math.pow(10, bins[b] / 20); n++; }
+        e = n ? e / n : 0;
+        st.peak = Math.max(e, st.peak * 0.9995); // slow auto-gain
+        const lvl = clamp(e / st.peak, 0, 1);
+        st.level = lvl > st.level ? lvl : st.level + (lvl - st.level) * Math.min(1, 1 / (60 * decay));
+        levels[id] = st.level;
+        const flux = Math.max(0, Math.log1p(100 * lvl) - Math.log1p(100 * st.prev)); st.prev = lvl;
+        st.mean += (flux - st.mean) * 0.05; st.varc += ((flux - st.mean) ** 2 - st.varc) * 0.05;
+        if (flux > st.mean + 2 * Math.sqrt(st.varc) && flux > 0.05 && now - st.last >= minGap) {
+          st.last = now; hits.push({ band: id, time: now, strength: clamp(flux, 0, 1) });
+        }
+      }
+      return { levels, hits };
+    },
+    disconnect: () => { try { input.disconnect(analyser); } catch {} },
+  };
+};
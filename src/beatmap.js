@@ -0,0 +1,75 @@
+// ====== Beat maps (variable tempo) ======
+// A beat map is a sorted list of beat timestamps in source seconds. Between beats time is
+// interpolated linearly; before the first / after the last beat the edge interval is extrapolated.
+// { beats: number[], downbeatIndex, beatsPerBar, source: "analysis" | "tap" | "grid" | "import" }
+
+export const BEATMAP_FORMAT = "animal-band.beatmap";
+export const BEATMAP_VERSION = 1;
+
+const edgeInterval = (beats, atEnd) => {
+  if (beats.length < 2) return 0.5;
+  const n = Math.min(4, beats.length - 1);
+  return atEnd ? (beats[beats.length - 1] - beats[beats.length - 1 - n]) / n : (beats[n] - beats[0]) / n;
+};
+
+// Source time (sec) of a fractional beat index
+export const timeAtBeat = (map, b) => {
+  const beats = map.beats; const last = beats.length - 1;
+  if (last < 0) return b * 0.5;
+  if (b <= 0) return beats[0] + b * edgeInterval(beats, false);
+  if (b >= last) return beats[last] + (b - last) * edgeInterval(beats, true);
+  const i = Math.floor(b); return beats[i] + (b - i) * (beats[i + 1] - beats[i]);
+};
+
+// Fractional beat index at a source time (inverse of timeAtBeat)
+export const beatAtTime = (map, t) => {
+  const beats = map.beats; const last = beats.length - 1;
+  if (last < 0) return t / 0.5;
+  if (t <= beats[0]) return (t - beats[0]) / edgeInterval(beats, false);
+  if (t >= beats[last]) return last + (t - beats[last]) / edgeInterval(beats, true);
+  let lo = 0, hi = last;
+  while (hi - lo > 1) { const mid = (lo + hi) >> 1; if (beats[mid] <= t) lo = mid; else hi = mid; }
+  return lo + (t - beats[lo]) / (beats[hi] - beats[lo]);
+};
+
+// Local tempo around a source time
+export const tempoAt = (map, t) => {
+  const b = Math.floor(beatAtTime(map, t));
+  const dt = timeAtBeat(map, b + 1) - timeAtBeat(map, b);
+  return dt > 0 ? 60 / dt : null;
+};
+
+// Constant-tempo map (what a plain BPM + Start Offset means)
+export const gridBeatMap = ({ bpm, offsetSec = 0, duration, downbeatIndex = 0, beatsPerBar = 4 }) => {
+  const step = 60 / bpm; const beats = [];
+  for (let t = offsetSec; t <= duration; t += step) beats.push(Math.round(t * 1e4) / 1e4);
+  return { beats, downbeatIndex, beatsPerBar, source: "grid" };
+};
+
+// Tap editing: taps (source seconds) replace the mapped beats they cover
+export const mergeTaps = (map, taps) => {
+  const sorted = [...taps].sort((a, b) => a - b);
+  if (sorted.length < 2) return map;
+  const pad = (sorted[sorted.length - 1] - sorted[0]) / (sorted.length - 1) / 2;
+  const from = sorted[0] - pad, to = sorted[sorted.length - 1] + pad;
+  const beats = [...(map?.beats ?? []).filter((t) => t < from || t > to), ...sorted].sort((a, b) => a - b);
+  return { beatsPerBar: 4, downbeatIndex: 0, ...map, beats, source: "tap" };
+};
+
+export const serializeBeatMap = (map, track = null) => JSON.stringify({
+  format: BEATMAP_FORMAT, version: BEATMAP_VERSION, track,
+  beatsPerBar: map.beatsPerBar ?? 4, downbeatIndex: map.downbeatIndex ?? 0, source: map.source ?? "import",
+  beats: map.beats.map((t) => Math.round(t * 1e4) / 1e4),
+}, null, 2);
+
+// Parse + validate an exported beat map; throws Error with a readable message
+export const parseBeatMap = (text) => {
+  let data;
+  try { data = JSON.parse(text); } catch { throw new Error("Beat map is not valid JSON"); }
+  if (data?.format !== BEATMAP_FORMAT) throw new Error("Not an Animal Band beat map");
+  if (data.version > BEATMAP_VERSION) throw new Error(`Beat map version ${data.version} is newer than supported (${BEATMAP_VERSION})`);
+  const beats = data.beats;
+  if (!Array.isArray(beats) || beats.length < 2 || !beats.every((t) => Number.isFinite(t) && t >= 0)) throw new Error("Beat map needs at least two non-negative beat times");
+  for (let i = 1; i < beats.length; i++) if (beats[i] <= beats[i - 1]) throw new Error(`Beat ${i} is not after beat ${i - 1}`);
+  return { beats, beatsPerBar: data.beatsPerBar ?? 4, downbeatIndex: data.downbeatIndex ?? 0, source: "import", track: data.track ?? null };
+};
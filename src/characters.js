@@ -0,0 +1,204 @@
+// ====== Stage characters (Pixi) ======
+// Builds one band member from its roster entry as a rig of named parts — shadow, body, eyes,
+// mouth, limbs and an instrument — all relative to the member's stage position. A rig player
+// (rig.js) supplies the pose each frame; the instrument maps it onto its own parts. An asset-pack
+// look (assetPack.js) swaps the vector body for textures/frames and moves the instrument's attach point.
+import * as PIXI from "pixi.js";
+import { SPECIES, INSTRUMENTS } from "./roster.js";
+import { createRigPlayer } from "./rig.js";
+import { lookFrame } from "./assetPack.js";
+import { makeFilter } from "./postFx.js";
+
+const makeShadow = (w, h) => {
+  const g = new PIXI.Graphics();
+  g.beginFill(0x000000, 0.35).drawEllipse(0, 0, w, h).endFill();
+  const blur = makeFilter("BlurFilter", 8); if (blur) g.filters = [blur];
+  return g;
+};
+// v8 needs an explicit stroke for open paths; v7 draws lines as they are added
+const strokePath = (g) => (typeof g.stroke === "function" ? g.stroke() : g);
+const lerp = (a, b, x) => a + (b - a) * x;
+
+// Limb rest angles (0 = right, π/2 = down): many limbs all around, a few as front fins/claws
+const limbAngles = (n) => (n >= 4 ? Array.from({ length: n }, (_, i) => (i / n) * Math.PI * 2) : [0.2 * Math.PI, 0.8 * Math.PI].slice(0, n));
+
+// A limb is a curve from the body outline to a tip; the rig moves the tip, the curve follows
+const makeLimb = (root, sp, a) => {
+  const [rx, ry] = sp.body;
+  const g = new PIXI.Graphics(); g.zIndex = 3; root.addChild(g);
+  const base = { x: Math.cos(a) * rx * 0.7, y: Math.sin(a) * ry * 0.73 };
+  const rest = { x: Math.cos(a) * rx * 1.5, y: Math.sin(a) * ry * 1.27 };
+  const width = sp.limbs >= 4 ? 8 : 6;
+  return {
+    a, rest,
+    render: (tip, sway = 0) => {
+      const cx = (base.x + tip.x) / 2 + Math.sin(a) * (20 + 6 * sway), cy = (base.y + tip.y) / 2 - Math.cos(a) * (18 + 6 * sway);
+      g.clear(); g.lineStyle(width, sp.limb).moveTo(base.x, base.y).quadraticCurveTo(cx, cy, tip.x, tip.y); strokePath(g);
+    },
+  };
+};
+const limbTip = (rest, sway, a) => ({ x: rest.x - Math.sin(a) * 4 * sway, y: rest.y + Math.cos(a) * 4 * sway });
+const nearestLimb = (limbs, angle) => limbs.reduce((best, l) => {
+  const d = Math.abs(Math.atan2(Math.sin(l.a - angle), Math.cos(l.a - angle)));
+  return d < best.d ? { l, d } : best;
+}, { l: limbs[0], d: Infinity }).l;
+
+// Instruments: add parts to `root` (around the attach point sp.attach) and return
+//   apply(pose, params, limbs, t, level) → tips for the limbs they drive ({ [limbIndex]: { x, y } })
+//   contact(params) on the contact frame, prepare(params) when a clip is scheduled,
+//   source(params) → where hit particles come from (root-local point)
+const PROPS = {
+  drums: (root, sp) => {
+    const [rx, ry] = sp.body; const [ax, ay] = sp.attach; const pads = [];
+    for (let i = 0; i < 8; i++) {
+      const a = (i / 8) * Math.PI * 2;
+      const pad = new PIXI.Graphics(); pad.beginFill(0xe5e7eb).lineStyle(1, 0x94a3b8, 0.8).drawEllipse(0, 0, 22, 14).endFill();
+      pad.position.set(ax + Math.cos(a) * rx * 1.7, ay + Math.sin(a) * ry * 1.4); pad.zIndex = 4; root.addChild(pad);
+      pads.push({ g: pad, flash: 0 });
+    }
+    let pad = 0;
+    return {
+      pads,
+      prepare: () => {},
+      contact: (p) => { const hit = pads[p?.pad ?? pad]; if (hit) hit.flash = Math.max(0.4, p?.vel ?? 1); },
+      source: (p) => pads[p?.pad ?? pad].g.position,
+      apply: (pose, p, limbs) => {
+        pads.forEach((q) => { q.flash *= 0.85; q.g.tint = q.flash > 0.3 ? 0xfde68a : 0xffffff; q.g.scale.set(1, 1 - 0.15 * q.flash); });
+        if (p?.pad != null) pad = p.pad;
+        const target = pads[pad]; const limb = nearestLimb(limbs, Math.atan2(target.g.position.y, target.g.position.x)); const reach = pose.reach ?? 0;
+        return { [limbs.indexOf(limb)]: { x: lerp(limb.rest.x, target.g.position.x, reach), y: lerp(limb.rest.y, target.g.position.y, reach) - 24 * (pose.lift ?? 0) } };
+      },
+    };
+  },
+  violin: (root, sp) => {
+    const [rx] = sp.body; const [ax, ay] = sp.attach;
+    const bow = new PIXI.Graphics(); bow.lineStyle(6, 0x0f172a).moveTo(-rx * 1.5, 0).lineTo(rx * 1.5, 0); strokePath(bow);
+    bow.position.set(ax, ay - 10); bow.rotation = 0.08; bow.zIndex = 6; root.addChild(bow);
+    let dir = 1, held = -1;
+    return {
+      bow,
+      prepare: (p) => { dir = -dir; p.dir = dir; }, // alternate up/down bows
+      contact: () => {},
+      source: () => ({ x: bow.position.x + Math.cos(bow.rotation) * rx * 1.5 * dir, y: bow.position.y + Math.sin(bow.rotation) * rx * 1.5 * dir }), // bow tip
+      apply: (pose, p) => {
+        if (pose.bow != null) held = pose.bow * (p?.dir ?? 1);
+        bow.position.x = ax + held * rx * 0.6; bow.rotation = 0.08 + (pose.lean ?? 0) * 2;
+        return { 0: { x: bow.position.x + rx * 1.2, y: bow.position.y + Math.sin(bow.rotation) * rx * 1.2 } };
+      },
+    };
+  },
+  bass: (root, sp) => {
+    const [rx, ry] = sp.body;
+    const bass = new PIXI.Graphics(); bass.beginFill(0x0b1220).drawRoundedRect(-8, -45, 16, 90, 7).endFill();
+    bass.position.set(sp.attach[0] + rx * 0.8, sp.attach[1] + ry * 0.1); bass.zIndex = 6; root.addChild(bass);
+    const string = new PIXI.Graphics(); string.zIndex = 7; root.addChild(string);
+    return {
+      bass,
+      prepare: () => {},
+      contact: () => {},
+      source: () => ({ x: 0, y: ry + 6 }), // on the floor under the player
+      apply: (pose, p, limbs, t) => {
+        const pluck = pose.pluck ?? 0; const vib = Math.max(0, pluck) * 3 * Math.sin(t * 90);
+        bass.rotation = -2 * (pose.lean ?? 0);
+        string.clear(); string.lineStyle(1, 0xe2e8f0, 0.8).moveTo(bass.position.x, bass.position.y - 40)
+          .quadraticCurveTo(bass.position.x + vib - 4 * Math.min(0, pluck), bass.position.y, bass.position.x, bass.position.y + 40); strokePath(string);
+        return { 0: { x: bass.position.x - 6 - 8 * pluck, y: bass.position.y } };
+      },
+    };
+  },
+  keys: (root, sp) => {
+    const [, ry] = sp.body; const [ax, ay] = sp.attach; const keys = [];
+    for (let i = 0; i < 8; i++) {
+      const k = new PIXI.Graphics(); k.beginFill(0xf8fafc).lineStyle(1, 0x334155).drawRect(0, 0, 12, 26).endFill();
+      k.position.set(ax - 48 + i * 12, ay + ry * 0.6); k.zIndex = 6; root.addChild(k); keys.push(k);
+    }
+    let n = 0;
+    return {
+      keys,
+      prepare: (p) => { p.note = (n++ * 3) % keys.length; },
+      contact: () => {},
+      source: (p) => ({ x: keys[p?.note ?? 0].position.x + 6, y: keys[p?.note ?? 0].position.y }),
+      apply: (pose, p, limbs) => {
+        const press = pose.press ?? 0;
+        keys.forEach((k, i) => { const on = p?.note === i && press > 0.2; k.tint = on ? 0xfde68a : 0xffffff; k.position.y = ay + ry * 0.6 + (on ? 3 * press : 0); });
+        const key = keys[p?.note ?? 0]; const limb = nearestLimb(limbs, Math.atan2(key.position.y, key.position.x + 6));
+        return { [limbs.indexOf(limb)]: { x: key.position.x + 6, y: key.position.y - 6 - 16 * (pose.lift ?? 0) + 3 * press } };
+      },
+    };
+  },
+  vocals: (root, sp) => {
+    const [rx, ry] = sp.body;
+    const mic = new PIXI.Graphics(); mic.lineStyle(3, 0x94a3b8).moveTo(0, 0).lineTo(0, ry * 1.6); strokePath(mic);
+    mic.beginFill(0x1e293b).drawCircle(0, 0, 8).endFill();
+    mic.position.set(sp.attach[0] - rx * 0.9, sp.attach[1] - ry * 0.4); mic.zIndex = 6; root.addChild(mic);
+    return {
+      mic,
+      prepare: () => {},
+      contact: () => {},
+      source: () => mic.position,
+      apply: (pose, p, limbs) => {
+        mic.scale.set(1 + 0.15 * (pose.mouth ?? 0));
+        const grip = { x: mic.position.x, y: mic.position.y + ry * 0.8 }; const limb = nearestLimb(limbs, Math.atan2(grip.y, grip.x));
+        return { [limbs.indexOf(limb)]: grip };
+      },
+    };
+  },
+};
+
+export const buildCharacter = (member, looks = {}) => {
+  const look = looks[member.species] ?? null;
+  const sp = { limbs: 2, limb: 0x10b981, ...(SPECIES[member.species] ?? SPECIES.octopus) };
+  if (look?.body) sp.body = look.body;
+  sp.attach = look?.attach?.instrument ?? [0, 0];
+  const [rx, ry] = sp.body;
+  const root = new PIXI.Container(); root.sortableChildren = true; root.zIndex = 5;
+  root.position.set(member.x, member.y);
+
+  const shadow = makeShadow(rx, 16); shadow.position.set(0, ry + 4); shadow.zIndex = 0; root.addChild(shadow);
+
+  // Parts: body holds eyes + mouth so squash/lean carries them along
+  let body; const parts = { shadow };
+  if (look) { body = new PIXI.Sprite(look.texture); body.anchor.set(...look.anchor); }
+  else {
+    body = new PIXI.Container();
+    const shape = new PIXI.Graphics(); shape.beginFill(sp.color).lineStyle(2, sp.outline, 0.9).drawEllipse(0, 0, rx, ry).endFill();
+    const eyeL = new PIXI.Graphics(); eyeL.beginFill(0x0f172a).drawCircle(0, 0, 6).endFill(); eyeL.position.set(-rx * 0.28, -ry * 0.17);
+    const eyeR = new PIXI.Graphics(); eyeR.beginFill(0x0f172a).drawCircle(0, 0, 6).endFill(); eyeR.position.set(rx * 0.28, -ry * 0.17);
+    const mouth = new PIXI.Graphics(); mouth.beginFill(0x0f172a, 0.8).drawEllipse(0, 0, 7, 4).endFill(); mouth.position.set(0, ry * 0.25);
+    body.addChild(shape, eyeL, eyeR, mouth);
+    Object.assign(parts, { eyes: [eyeL, eyeR], mouth });
+  }
+  body.zIndex = 5; root.addChild(body); parts.body = body;
+  parts.limbs = limbAngles(sp.limbs).map((a) => makeLimb(root, sp, a));
+  parts.instrument = (PROPS[member.instrument] ?? PROPS.vocals)(root, sp);
+
+  const cm = makeFilter("ColorMatrixFilter"); if (cm) body.filters = [cm];
+
+  const instrument = INSTRUMENTS[member.instrument] ?? INSTRUMENTS.vocals;
+  const rig = createRigPlayer({ phase: member.x * 0.01 });
+  const base = look ? look.scale : 1;
+  return {
+    id: member.id, species: member.species, instrument: member.instrument, root, parts, cm, rig,
+    // Queue the instrument's action so its contact frame lands on `contact` (rig clock seconds)
+    strike: (contact, params = {}) => { const p = { ...params }; parts.instrument.prepare(p); rig.schedule(instrument.clip, contact, p); },
+    // now: rig clock seconds, levels: band energies (0..1). Returns how many contacts landed this frame.
+    // emit({ id, instrument, x, y, vel, level, hit, seed }) is told where particles come from (stage coordinates):
+    // once per contact (hit; seed = the strike's key or seed param) and every frame with the part's level.
+    update: (now, levels, frameSec, emit) => {
+      const level = Math.max(0, ...instrument.bands.map((b) => levels?.[b] ?? 0));
+      const { pose, contacts, params, action } = rig.pose(now, frameSec);
+      if (look) body.texture = lookFrame(look, action, now);
+      contacts.forEach((p) => parts.instrument.contact(p));
+      const from = (p) => { const s = parts.instrument.source(p); return { id: member.id, instrument: member.instrument, x: root.position.x + s.x, y: root.position.y + s.y }; };
+      const squash = (pose.squash ?? 0) + 0.02 * (pose.breathe ?? 0) + 0.04 * level;
+      body.scale.set(base * (1 + squash), base * (1 - squash * 0.5 + 0.02 * (pose.breathe ?? 0)));
+      body.rotation = 0.03 * (pose.sway ?? 0) + (pose.lean ?? 0);
+      if (parts.mouth) parts.mouth.scale.set(1, 0.3 + 1.4 * (pose.mouth ?? 0));
+      const tips = parts.instrument.apply(pose, params, parts.limbs, now, level);
+      parts.limbs.forEach((l, i) => l.render(tips[i] ?? limbTip(l.rest, pose.sway ?? 0, l.a), pose.sway ?? 0));
+      if (emit) { contacts.forEach((p) => emit({ ...from(p), vel: p?.vel ?? 1, level, hit: true, seed: p?.key ?? p?.seed })); emit({ ...from(params), vel: 0, level, hit: false }); }
+      return contacts.length;
+    },
+    destroy: () => { try { root.destroy({ children: true }); } catch {} },
+  };
+};
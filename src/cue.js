@@ -0,0 +1,42 @@
+// ====== Cue / monitor output ======
+// A second AudioContext for previewing a track on another output (headphones) while the main one plays
+// to the room. Picking the output needs AudioContext.setSinkId (Chromium); elsewhere the cue plays on the
+// default output.
+
+export const canPickOutput = () => typeof AudioContext !== "undefined" && "setSinkId" in AudioContext.prototype;
+
+export const listAudioOutputs = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((d) => d.kind === "audiooutput" && d.deviceId !== "default");
+};
+
+// play(buffer, from) replaces whatever is cued; onEnd() fires when a cued track runs out.
+// sinkId "" = the default output.
+export const createCuePlayer = ({ onEnd } = {}) => {
+  let ctx = null, gain = null, src = null, sinkId = "", volume = 0.8;
+  const context = async () => {
+    if (!ctx) {
+      ctx = new (window.AudioContext || window.webkitAudioContext)();
+      gain = ctx.createGain(); gain.gain.value = volume; gain.connect(ctx.destination);
+      if (sinkId && canPickOutput()) await ctx.setSinkId(sinkId);
+    }
+    if (ctx.state === "suspended") { try { await ctx.resume(); } catch {} }
+    return ctx;
+  };
+  const stop = () => { if (!src) return; const s = src; src = null; try { s.stop(); } catch {} s.disconnect(); };
+  return {
+    // Throws when the device cannot be used (the previous output stays)
+    setOutput: async (id) => { if (ctx && canPickOutput()) await ctx.setSinkId(id || ""); sinkId = id || ""; },
+    setVolume: (v) => { volume = v; if (gain) gain.gain.setTargetAtTime(v, ctx.currentTime, 0.02); },
+    play: async (buffer, from = 0) => {
+      const c = await context(); stop();
+      const s = c.createBufferSource(); s.buffer = buffer; s.connect(gain); s.start(c.currentTime + 0.02, Math.max(0, from));
+      s.onended = () => { if (src !== s) return; src = null; onEnd?.(); };
+      src = s;
+    },
+    stop,
+    isPlaying: () => !!src,
+    close: () => { stop(); ctx?.close?.(); ctx = null; },
+  };
+};
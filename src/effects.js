@@ -0,0 +1,71 @@
+// ====== Effects chain (master EQ, DJ filter, analyser tap) + beat ducking ======
+// mix bus master → low shelf → mid peak → high shelf → filter → analyser → destination.
+// Settings are plain data so they save with the project and any control (slider, MIDI CC, keys) can
+// write them. The ducker dips a channel on each beat and lets it swell back, like a sidechained compressor.
+
+// Every automatable parameter: range for sliders, MIDI CC (0..1 scaled onto it) and key nudges
+export const FX_PARAMS = [
+  { id: "low", label: "Low", min: -24, max: 6, step: 0.5, unit: "dB" },
+  { id: "mid", label: "Mid", min: -24, max: 6, step: 0.5, unit: "dB" },
+  { id: "high", label: "High", min: -24, max: 6, step: 0.5, unit: "dB" },
+  { id: "filter", label: "Filter", min: -1, max: 1, step: 0.02, unit: "" }, // < 0 low-pass, > 0 high-pass
+  { id: "duck", label: "Duck", min: 0, max: 0.9, step: 0.05, unit: "" }, // depth of the beat dip
+  { id: "release", label: "Release", min: 0.05, max: 0.6, step: 0.01, unit: "s" },
+];
+export const DEFAULT_FX = { low: 0, mid: 0, high: 0, filter: 0, duck: 0, release: 0.25 };
+
+const param = (id) => FX_PARAMS.find((p) => p.id === id);
+export const clampFx = (id, v) => { const p = param(id); return p ? Math.min(p.max, Math.max(p.min, v)) : v; };
+// 0..1 (a MIDI CC) → the parameter's range; the filter centre (0) sits at CC 64
+export const scaleFx = (id, x) => { const p = param(id); return p ? clampFx(id, +(Math.round((p.min + x * (p.max - p.min)) / p.step) * p.step).toFixed(3)) : x; };
+
+// One-knob DJ filter: 0 = open; towards -1 the low-pass closes (20 kHz → 80 Hz), towards +1 the high-pass opens (20 Hz → 8 kHz)
+export const filterSetting = (x) => {
+  if (Math.abs(x) < 0.02) return { type: "lowpass", frequency: 20000, q: 0.7 };
+  return x < 0 ? { type: "lowpass", frequency: 20000 * (80 / 20000) ** -x, q: 1 } : { type: "highpass", frequency: 20 * (8000 / 20) ** x, q: 1 };
+};
+
+// Ducked gain `dt` seconds after a beat (what the ducker schedules)
+export const duckGainAt = (dt, depth, release) => (dt < 0 ? 1 : 1 - depth * Math.exp(-3 * dt / release));
+
+export const createFxChain = (ctx, destination = ctx.destination) => {
+  const band = (type, frequency) => { const f = ctx.createBiquadFilter(); f.type = type; f.frequency.value = frequency; return f; };
+  const low = band("lowshelf", 200), mid = band("peaking", 1000), high = band("highshelf", 4000), filter = band("lowpass", 20000);
+  mid.Q.value = 0.8;
+  const analyser = ctx.createAnalyser(); analyser.fftSize = 1024;
+  low.connect(mid).connect(high).connect(filter).connect(analyser).connect(destination);
+  const glide = (p, v) => { try { p.setTargetAtTime(v, ctx.currentTime, 0.02); } catch { p.value = v; } };
+  const samples = new Float32Array(analyser.fftSize);
+  return {
+    input: low,
+    analyser,
+    set: (fx = DEFAULT_FX) => {
+      glide(low.gain, fx.low ?? 0); glide(mid.gain, fx.mid ?? 0); glide(high.gain, fx.high ?? 0);
+      const f = filterSetting(fx.filter ?? 0);
+      if (filter.type !== f.type) filter.type = f.type;
+      glide(filter.frequency, f.frequency); glide(filter.Q, f.q);
+    },
+    // Peak level of the output right now (0..1+)
+    level: () => { analyser.getFloatTimeDomainData(samples); let peak = 0; for (const s of samples) peak = Math.max(peak, Math.abs(s)); return peak; },
+    dispose: () => { [low, mid, high, filter, analyser].forEach((n) => n.disconnect()); },
+  };
+};
+
+// Gain node that dips to 1 - depth on duck(time) and recovers over `release` seconds. A duck scheduled
+// again for the same time (re-queued tick) replaces the one already there.
+export const createDucker = (ctx) => {
+  const node = ctx.createGain();
+  return {
+    node,
+    duck: (time, depth, release) => {
+      if (!(depth > 0)) return;
+      const t = Math.max(time, ctx.currentTime + 0.005); const g = node.gain;
+      try {
+        g.cancelScheduledValues(t - 0.005);
+        g.setTargetAtTime(1 - depth, t - 0.005, 0.002);
+        g.setTargetAtTime(1, t, release / 3);
+      } catch {}
+    },
+    reset: () => { try { node.gain.cancelScheduledValues(0); node.gain.setValueAtTime(1, ctx.currentTime); } catch {} },
+  };
+};
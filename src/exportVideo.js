@@ -0,0 +1,106 @@
+// ====== Offline video export ======
+// Renders the stage frame by frame at a fixed FPS from song time (never wall-clock), encodes with
+// WebCodecs (VP9/VP8, optional alpha) + Opus and muxes to WebM. Browsers without WebCodecs fall back
+// to MediaRecorder, which still steps frames on the song clock but has to run in real time.
+import { createWebmMuxer } from "./webm.js";
+
+export const EXPORT_SIZES = [
+  { id: "720p", width: 1280, height: 536 },
+  { id: "1080p", width: 1920, height: 804 },
+  { id: "stage", width: 860, height: 360 },
+];
+
+const VIDEO_CODECS = [{ codec: "vp09.00.10.08", webm: "V_VP9" }, { codec: "vp8", webm: "V_VP8" }];
+
+const pickVideoConfig = async ({ width, height, fps, alpha, bitrate }) => {
+  for (const c of VIDEO_CODECS) {
+    for (const a of alpha ? ["keep", "discard"] : ["discard"]) {
+      const config = { codec: c.codec, width, height, framerate: fps, bitrate, alpha: a };
+      try { if ((await VideoEncoder.isConfigSupported(config)).supported) return { config, webm: c.webm, alpha: a === "keep" }; } catch {}
+    }
+  }
+  throw new Error("No supported WebM video encoder (VP9/VP8) in this browser");
+};
+
+// Opus wants 48 kHz; resample offline when the decoded song uses another rate
+const to48k = async (buffer) => {
+  if (buffer.sampleRate === 48000) return buffer;
+  const off = new OfflineAudioContext(buffer.numberOfChannels, Math.ceil(buffer.duration * 48000), 48000);
+  const src = off.createBufferSource(); src.buffer = buffer; src.connect(off.destination); src.start();
+  return off.startRendering();
+};
+
+const encodeAudio = async (buffer, muxer) => {
+  const buf = await to48k(buffer); const channels = Math.min(2, buf.numberOfChannels);
+  let error = null;
+  const enc = new AudioEncoder({ output: (chunk, meta) => muxer.addAudioChunk(chunk, meta), error: (e) => { error = e; } });
+  enc.configure({ codec: "opus", sampleRate: 48000, numberOfChannels: channels, bitrate: 160000 });
+  const block = 4800; // 100 ms
+  try {
+    for (let i = 0; i < buf.length; i += block) {
+      const n = Math.min(block, buf.length - i); const data = new Float32Array(n * channels);
+      for (let c = 0; c < channels; c++) data.set(buf.getChannelData(c).subarray(i, i + n), c * n);
+      const ad = new AudioData({ format: "f32-planar", sampleRate: 48000, numberOfFrames: n, numberOfChannels: channels, timestamp: Math.round(i / 48000 * 1e6), data });
+      enc.encode(ad); ad.close();
+    }
+    await enc.flush();
+  } finally { if (enc.state !== "closed") enc.close(); }
+  if (error) throw error;
+  return { sampleRate: 48000, channels };
+};
+
+// renderFrame(timeSec, frameSec) → canvas with the stage at that song time (already rendered)
+// onProgress(0..1); signal: AbortSignal. Resolves to a WebM Blob.
+export const exportPerformance = async ({ buffer, renderFrame, fps = 30, width, height, alpha = false, bitrate = 8e6, onProgress, signal }) => {
+  if (typeof VideoEncoder === "undefined" || typeof AudioEncoder === "undefined") return recordRealtime({ buffer, renderFrame, fps, onProgress, signal });
+  const video = await pickVideoConfig({ width, height, fps, alpha, bitrate });
+  const hasAudio = await AudioEncoder.isConfigSupported({ codec: "opus", sampleRate: 48000, numberOfChannels: 2 }).then((r) => r.supported).catch(() => false);
+  const muxer = createWebmMuxer({ video: { codec: video.webm, width, height, alpha: video.alpha }, audio: hasAudio ? { sampleRate: 48000, channels: Math.min(2, buffer.numberOfChannels) } : null });
+
+  let error = null;
+  const enc = new VideoEncoder({ output: (chunk, meta) => muxer.addVideoChunk(chunk, meta), error: (e) => { error = e; } });
+  enc.configure(video.config);
+  const total = Math.ceil(buffer.duration * fps); const frameUs = 1e6 / fps;
+  try { // the encoder is closed however the loop ends (done, cancelled, renderFrame threw)
+    for (let i = 0; i < total; i++) {
+      if (signal?.aborted) throw new DOMException("Export cancelled", "AbortError");
+      if (error) throw error;
+      const canvas = await renderFrame(i / fps, 1 / fps);
+      const frame = new VideoFrame(canvas, { timestamp: Math.round(i * frameUs), duration: Math.round(frameUs), alpha: video.alpha ? "keep" : "discard" });
+      enc.encode(frame, { keyFrame: i % (fps * 2) === 0 }); frame.close();
+      while (enc.encodeQueueSize > 4) await new Promise((r) => setTimeout(r, 0)); // backpressure
+      if (i % 10 === 0) { onProgress?.(i / total * 0.95); await new Promise((r) => setTimeout(r, 0)); } // let the UI breathe
+    }
+    await enc.flush();
+  } finally { if (enc.state !== "closed") enc.close(); }
+  if (error) throw error;
+  if (hasAudio) await encodeAudio(buffer, muxer);
+  onProgress?.(1);
+  return muxer.finalize();
+};
+
+// Fallback: frames still come from renderFrame(songTime), pushed with requestFrame() as the song plays
+const recordRealtime = async ({ buffer, renderFrame, fps, onProgress, signal }) => {
+  if (typeof MediaRecorder === "undefined") throw new Error("Video export needs WebCodecs or MediaRecorder");
+  const canvas = await renderFrame(0, 1 / fps);
+  const stream = canvas.captureStream(0); const [track] = stream.getVideoTracks();
+  const ctx = new AudioContext(); const dest = ctx.createMediaStreamDestination();
+  const src = ctx.createBufferSource(); src.buffer = buffer; src.connect(dest);
+  dest.stream.getAudioTracks().forEach((t) => stream.addTrack(t));
+  const mimeType = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"].find((m) => MediaRecorder.isTypeSupported(m));
+  const rec = new MediaRecorder(stream, { mimeType }); const parts = [];
+  rec.ondataavailable = (e) => { if (e.data.size) parts.push(e.data); };
+  const done = new Promise((r) => { rec.onstop = r; });
+  rec.start(1000);
+  const t0 = ctx.currentTime + 0.1; src.start(t0);
+  try {
+    for (let i = 0; i < Math.ceil(buffer.duration * fps) && !signal?.aborted; i++) {
+      const wait = (t0 + i / fps - ctx.currentTime) * 1000;
+      if (wait > 0) await new Promise((r) => setTimeout(r, wait));
+      await renderFrame(i / fps, 1 / fps); track.requestFrame?.();
+      onProgress?.(i / fps / buffer.duration);
+    }
+  } finally { try { src.stop(); } catch {} rec.stop(); await done; ctx.close(); }
+  if (signal?.aborted) throw new DOMException("Export cancelled", "AbortError");
+  return new Blob(parts, { type: mimeType || "video/webm" });
+};
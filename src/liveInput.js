@@ -0,0 +1,39 @@
+// ====== Live input (mic / line-in) ======
+// getUserMedia → AudioWorklet beat tracker. Nothing is played back: the worklet feeds a muted gain.
+const workletUrl = new URL("./worklets/beatTracker.worklet.js", import.meta.url);
+const loadedContexts = new WeakSet();
+
+export const listAudioInputs = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter((d) => d.kind === "audioinput");
+};
+
+// onBeat({ time, bpm, holding }) fires per tracked beat (time in ctx seconds); onStatus({ bpm, confidence, level, holding })
+export const startLiveInput = async (ctx, { deviceId = null, onBeat, onStatus } = {}) => {
+  if (!navigator.mediaDevices?.getUserMedia) throw new Error("Audio input is not available in this browser");
+  if (!ctx.audioWorklet) throw new Error("AudioWorklet is not supported in this browser");
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { deviceId: deviceId ? { exact: deviceId } : undefined, echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+  });
+  try {
+    if (!loadedContexts.has(ctx)) { await ctx.audioWorklet.addModule(workletUrl); loadedContexts.add(ctx); }
+  } catch (e) { stream.getTracks().forEach((t) => t.stop()); throw e; }
+
+  const src = ctx.createMediaStreamSource(stream);
+  const node = new AudioWorkletNode(ctx, "beat-tracker", { numberOfInputs: 1, numberOfOutputs: 1 });
+  const mute = ctx.createGain(); mute.gain.value = 0; // keeps the node pulled by the graph without making sound
+  src.connect(node); node.connect(mute); mute.connect(ctx.destination);
+  node.port.onmessage = (e) => {
+    const m = e.data || {};
+    if (m.type === "beat") onBeat?.(m);
+    else if (m.type === "status") onStatus?.(m);
+  };
+
+  const stop = () => {
+    node.port.onmessage = null;
+    try { src.disconnect(); node.disconnect(); mute.disconnect(); } catch {}
+    stream.getTracks().forEach((t) => t.stop());
+  };
+  return { stop, node, source: src, label: stream.getAudioTracks()[0]?.label ?? "input" };
+};
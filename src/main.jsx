@@ -1,10 +1,11 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
-import AnimalBand from './App.jsx'
+import AnimalBand, { OutputFeed } from './App.jsx'
+import { isOutputRoute } from './outputFeed.js'
 import './index.css'
 
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <AnimalBand />
+    {isOutputRoute() ? <OutputFeed /> : <AnimalBand />}
   </React.StrictMode>
 )
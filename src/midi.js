@@ -0,0 +1,98 @@
+// ====== Web MIDI: clock in/out + note triggers + control changes ======
+// Pure message handling (clock follower, note and controller maps) is separate from device access, so a mock
+// MIDIAccess or plain byte arrays can drive it.
+
+export const MIDI = { CLOCK: 0xf8, START: 0xfa, CONTINUE: 0xfb, STOP: 0xfc, SPP: 0xf2, NOTE_ON: 0x90, NOTE_OFF: 0x80, CC: 0xb0 };
+export const PPQN = 24;
+
+// GM drum notes on the drum pads, bass and violin ranges on whoever plays those instruments
+export const DEFAULT_NOTE_MAP = [
+  { note: 36, instrument: "drums", pad: 2 },   // kick
+  { note: 38, instrument: "drums", pad: 6 },   // snare
+  { note: 42, instrument: "drums", pad: 0 },   // closed hat
+  { note: 46, instrument: "drums", pad: 4 },   // open hat
+  { note: 49, instrument: "drums", pad: 5 },   // crash
+  { note: 51, instrument: "drums", pad: 7 },   // ride
+  { from: 24, to: 35, instrument: "bass" },
+  { from: 55, to: 96, instrument: "violin" },
+];
+export const mapNote = (note, map = DEFAULT_NOTE_MAP) =>
+  map.find((r) => r.note === note || (r.from != null && note >= r.from && note <= r.to)) ?? null;
+
+// Controllers onto mixer/effect parameters (see FX_PARAMS in effects.js; "master" = the mix bus master)
+export const DEFAULT_CC_MAP = [
+  { cc: 7, param: "master" },   // channel volume
+  { cc: 1, param: "filter" },   // mod wheel
+  { cc: 74, param: "filter" },  // brightness / cutoff
+  { cc: 71, param: "duck" },    // resonance knob on most controllers
+  { cc: 20, param: "low" },
+  { cc: 21, param: "mid" },
+  { cc: 22, param: "high" },
+];
+export const mapControl = (cc, map = DEFAULT_CC_MAP) => map.find((r) => r.cc === cc)?.param ?? null;
+
+// Follows incoming clock: beats every 24 clocks (first clock after Start = beat 0), tempo from
+// the spacing of the last `window` clocks. Times are the messages' timeStamps (performance ms).
+export const createClockFollower = ({ onStart, onStop, onContinue, onPosition, onBeat, onNote, onControl, window: win = 48 } = {}) => {
+  let clocks = 0, running = false, stamps = [];
+  const bpm = () => {
+    if (stamps.length < 2) return null;
+    const perClock = (stamps[stamps.length - 1] - stamps[0]) / (stamps.length - 1);
+    return perClock > 0 ? 60000 / (perClock * PPQN) : null;
+  };
+  const handle = (data, timeStamp) => {
+    const status = data[0];
+    if (status === MIDI.CLOCK) {
+      stamps.push(timeStamp); if (stamps.length > win) stamps.shift();
+      if (running) { if (clocks % PPQN === 0) onBeat?.({ time: timeStamp, beat: clocks / PPQN, bpm: bpm() }); clocks++; }
+    } else if (status === MIDI.START) { clocks = 0; running = true; onStart?.({ time: timeStamp }); }
+    else if (status === MIDI.CONTINUE) { running = true; onContinue?.({ time: timeStamp, beat: clocks / PPQN }); }
+    else if (status === MIDI.STOP) { running = false; onStop?.({ time: timeStamp }); }
+    else if (status === MIDI.SPP) { clocks = ((data[2] << 7) | data[1]) * 6; onPosition?.({ time: timeStamp, beat: clocks / PPQN }); } // SPP counts 16ths
+    else if ((status & 0xf0) === MIDI.NOTE_ON && data[2] > 0) onNote?.({ note: data[1], velocity: data[2] / 127, channel: status & 0x0f, time: timeStamp });
+    else if ((status & 0xf0) === MIDI.CC) onControl?.({ cc: data[1], value: data[2] / 127, channel: status & 0x0f, time: timeStamp });
+  };
+  return { handle, bpm, isRunning: () => running, beat: () => clocks / PPQN };
+};
+
+// Sends 24 clocks per beat, timestamped ahead so the receiving app sees an even clock. Call beat() as
+// beats are queued (before they play); a beat re-queued after a tempo change is not sent twice.
+export const createClockSender = (output) => {
+  let last = -Infinity;
+  return {
+    start: () => { last = -Infinity; output.send([MIDI.START]); },
+    stop: () => output.send([MIDI.STOP]),
+    beat: (perfMs, beatMs) => {
+      if (perfMs < last + beatMs / 2) return;
+      last = perfMs;
+      for (let i = 0; i < PPQN; i++) output.send([MIDI.CLOCK], perfMs + i * beatMs / PPQN);
+    },
+  };
+};
+
+// AudioContext seconds ↔ performance.now() ms (MIDI timestamps live in the latter)
+const clockPair = (ctx) => {
+  const ts = ctx.getOutputTimestamp?.();
+  return ts && ts.performanceTime ? ts : { contextTime: ctx.currentTime, performanceTime: performance.now() };
+};
+export const perfToCtxTime = (ctx, ms) => { const p = clockPair(ctx); return p.contextTime + (ms - p.performanceTime) / 1000; };
+export const ctxToPerfTime = (ctx, sec) => { const p = clockPair(ctx); return p.performanceTime + (sec - p.contextTime) * 1000; };
+
+// Device access. `access` can be injected (tests, virtual ports); otherwise navigator.requestMIDIAccess.
+// onMessage(data, timeStamp) receives input from the selected input id ("" = all inputs).
+export const openMidi = async ({ access = null, onMessage, onDevices } = {}) => {
+  const midi = access ?? (navigator.requestMIDIAccess ? await navigator.requestMIDIAccess({ sysex: false }) : null);
+  if (!midi) throw new Error("Web MIDI is not available in this browser");
+  let inputId = "";
+  const list = (m) => Array.from(m.values()).map((p) => ({ id: p.id, name: p.name || p.id }));
+  const bind = () => {
+    midi.inputs.forEach((input) => { input.onmidimessage = (!inputId || input.id === inputId) ? (e) => onMessage?.(e.data, e.timeStamp) : null; });
+    onDevices?.({ inputs: list(midi.inputs), outputs: list(midi.outputs) });
+  };
+  midi.onstatechange = bind; bind();
+  return {
+    setInput: (id) => { inputId = id || ""; bind(); },
+    output: (id) => (id ? midi.outputs.get(id) ?? null : null),
+    close: () => { midi.onstatechange = null; midi.inputs.forEach((input) => { input.onmidimessage = null; }); },
+  };
+};
@@ -0,0 +1,60 @@
+// ====== Mix bus ======
+// One gain per channel (the song and each synth instrument) into a master gain, which feeds the effects
+// chain (see effects.js). Mix settings are plain data ({ master, channels: { [id]: { gain, mute, solo } } })
+// so they save with the project; any solo silences the channels that are not soloed.
+import { createDucker, createFxChain } from "./effects.js";
+
+export const MIX_CHANNELS = [
+  { id: "song", label: "Song" },
+  { id: "drums", label: "Drums" },
+  { id: "violin", label: "Strings" },
+  { id: "bass", label: "Bass" },
+  { id: "keys", label: "Keys" },
+  { id: "vocals", label: "Vocals" },
+];
+
+export const DEFAULT_MIX = {
+  master: 0.9,
+  channels: Object.fromEntries(MIX_CHANNELS.map(({ id }) => [id, { gain: id === "song" ? 1 : 0.7, mute: false, solo: false }])),
+};
+
+// Effective gain per channel id (mute and solo applied)
+export const channelGains = (mix = DEFAULT_MIX) => {
+  const ch = (id) => ({ ...DEFAULT_MIX.channels[id], ...mix.channels?.[id] });
+  const anySolo = MIX_CHANNELS.some(({ id }) => ch(id).solo);
+  return Object.fromEntries(MIX_CHANNELS.map(({ id }) => { const c = ch(id); return [id, c.mute || (anySolo && !c.solo) ? 0 : c.gain]; }));
+};
+
+// input(id) → the node a channel's sources connect to; set(mix) glides to new gains (no zipper noise),
+// except the first time, which sets them outright. duck(time, depth, release) dips the song on a beat.
+export const createMixBus = (ctx, destination = ctx.destination) => {
+  const master = ctx.createGain(); master.connect(destination);
+  const ducker = createDucker(ctx); ducker.node.connect(master);
+  const inputs = Object.fromEntries(MIX_CHANNELS.map(({ id }) => { const g = ctx.createGain(); g.connect(id === "song" ? ducker.node : master); return [id, g]; }));
+  let primed = false;
+  const glide = (param, value) => {
+    if (!primed) { param.value = value; return; }
+    try { param.setTargetAtTime(value, ctx.currentTime, 0.015); } catch { param.value = value; }
+  };
+  return {
+    input: (id) => inputs[id] ?? inputs.song,
+    set: (mix = DEFAULT_MIX) => {
+      glide(master.gain, mix.master ?? DEFAULT_MIX.master);
+      Object.entries(channelGains(mix)).forEach(([id, g]) => glide(inputs[id].gain, g));
+      primed = true;
+    },
+    duck: ducker.duck,
+    resetDuck: ducker.reset,
+    dispose: () => { master.disconnect(); ducker.node.disconnect(); Object.values(inputs).forEach((g) => g.disconnect()); },
+  };
+};
+
+// Offline mixdown (video export): the song on its channel through the effects, plus whatever schedule(ctx, bus) adds
+export const renderMix = (buffer, { mix, fx }, schedule) => {
+  const off = new OfflineAudioContext(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+  const chain = createFxChain(off); chain.set(fx);
+  const bus = createMixBus(off, chain.input); bus.set(mix);
+  const src = off.createBufferSource(); src.buffer = buffer; src.connect(bus.input("song")); src.start(0);
+  schedule(off, bus);
+  return off.startRendering();
+};
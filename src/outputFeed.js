@@ -0,0 +1,77 @@
+// ====== Clean output feed (second window for VJ software) ======
+// The control window drives a chrome-free stage in another window (`?output`, opened with window.open)
+// over BroadcastChannel. Only plain data crosses: roster, pack URL, output settings, band levels, rig
+// strikes and stage moves. Contact times travel on the wall clock (performance.timeOrigin + now), which
+// every window on the machine reads alike; the output window uses it as its rig clock.
+
+export const OUTPUT_CHANNEL = "animal-band-output";
+
+export const OUTPUT_SIZES = [
+  { id: "window", label: "Fit window", width: null, height: null },
+  { id: "720p", label: "1280×720", width: 1280, height: 720 },
+  { id: "1080p", label: "1920×1080", width: 1920, height: 1080 },
+  { id: "stage", label: "860×360", width: 860, height: 360 },
+];
+
+// null = transparent (for compositors that capture alpha), else a flat key colour
+export const OUTPUT_BACKGROUNDS = { transparent: null, green: "#00ff00", blue: "#0000ff", black: "#000000" };
+export const DEFAULT_OUTPUT = { size: "1080p", background: "transparent", backdrop: false };
+
+export const wallClock = () => (performance.timeOrigin + performance.now()) / 1000;
+// rig-clock time → wall-clock time, given both clocks read at the same instant
+export const toWallTime = (contact, now, wallNow) => wallNow + (contact - now);
+
+export const isOutputRoute = (loc = window.location) => new URLSearchParams(loc.search).has("output");
+
+const openChannel = () => (typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(OUTPUT_CHANNEL));
+
+// Control side. getState() → { roster, packUrl, realism, scene, output } is sent whenever an output window says
+// hello; onStatus(connected) follows hello/bye. Nothing is posted while no output is listening.
+export const createOutputLink = ({ clock, getState, onStatus } = {}) => {
+  const ch = openChannel();
+  let peers = 0;
+  const post = (msg) => { if (peers) try { ch.postMessage(msg); } catch {} };
+  if (ch) {
+    ch.onmessage = ({ data }) => {
+      if (data?.type === "hello") { peers++; post({ type: "state", ...getState() }); }
+      else if (data?.type === "bye") peers = Math.max(0, peers - 1);
+      else return;
+      onStatus?.(peers > 0);
+    };
+    ch.postMessage({ type: "ping" }); // outputs left open from an earlier session re-announce themselves
+  }
+  return {
+    open: (output = DEFAULT_OUTPUT) => {
+      const size = OUTPUT_SIZES.find((s) => s.id === output.size);
+      const features = size?.width ? `popup,width=${size.width},height=${size.height}` : "popup,width=1280,height=720";
+      const url = new URL(window.location.href); url.search = "?output"; url.hash = "";
+      return window.open(url.href, "animal-band-output", features);
+    },
+    state: (state) => post({ type: "state", ...state }),
+    strike: (ids, contact, params) => post({ type: "strike", ids, at: toWallTime(contact, clock(), wallClock()), params }),
+    move: (contact, move) => post({ type: "move", at: toWallTime(contact, clock(), wallClock()), move }),
+    clear: () => post({ type: "clear" }),
+    levels: (levels) => post({ type: "levels", levels }),
+    close: () => { ch?.close(); },
+  };
+};
+
+// Output side: returns a cleanup that says bye and closes the channel
+export const listenOutput = ({ onState, onStrike, onMove, onClear, onLevels }) => {
+  const ch = openChannel(); if (!ch) return () => {};
+  ch.onmessage = ({ data }) => {
+    switch (data?.type) {
+      case "ping": ch.postMessage({ type: "hello" }); break;
+      case "state": onState?.(data); break;
+      case "strike": onStrike?.(data.ids, data.at, data.params); break;
+      case "move": onMove?.(data.at, data.move); break;
+      case "clear": onClear?.(); break;
+      case "levels": onLevels?.(data.levels); break;
+    }
+  };
+  let gone = false;
+  const bye = () => { if (gone) return; gone = true; try { ch.postMessage({ type: "bye" }); } catch {} };
+  window.addEventListener("pagehide", bye);
+  ch.postMessage({ type: "hello" });
+  return () => { window.removeEventListener("pagehide", bye); bye(); ch.close(); };
+};
@@ -0,0 +1,104 @@
+// ====== Hit particles (pooled) ======
+// Bursts where the band plays: ink puffs from struck drum pads, bubbles off the bow, sub-bass ripples under
+// the bass, sparks off the keys. Sprites live in a fixed ring of slots sized by the realism budget; once it
+// is full the oldest particle is recycled, so a busy song never allocates mid-show. Particles move as a
+// function of their age, and every burst is drawn from seeded noise (member + hit), so the same hit flies
+// the same way in the control window, the output window and every export.
+import * as PIXI from "pixi.js";
+
+export const PARTICLE_BUDGET = [48, 160, 400]; // live particles per realism level (0..2)
+const BURST_SCALE = [0.5, 1, 1.5]; // particles per hit, by realism
+
+// Per instrument: sprite kind, particles per full-velocity hit, life (s), speed (px/s) along dir ± spread/2
+// (radians), gravity (px/s², < 0 floats up), size range, grow (scale/s), colours, stream (particles/s at full
+// band level while the part plays) and squash (y scale, for floor ripples)
+export const EMITTERS = {
+  drums: { kind: "puff", count: 10, life: 0.9, speed: 70, dir: -Math.PI / 2, spread: Math.PI, gravity: 20, size: [0.5, 1.1], grow: 1.2, colors: [0x1e1b4b, 0x312e81, 0x0f172a], alpha: 0.7 },
+  violin: { kind: "bubble", count: 6, life: 1.6, speed: 40, dir: -Math.PI / 2, spread: 0.8, gravity: -60, size: [0.25, 0.6], grow: 0.1, colors: [0xe0f2fe], alpha: 0.8, stream: 8 },
+  bass: { kind: "ring", count: 1, life: 0.8, speed: 0, dir: 0, spread: 0, gravity: 0, size: [0.5, 0.5], grow: 3, colors: [0x67e8f9], alpha: 0.6, squash: 0.3 },
+  keys: { kind: "spark", count: 8, life: 0.5, speed: 160, dir: -Math.PI / 2, spread: 1.6, gravity: 240, size: [0.2, 0.4], grow: -0.3, colors: [0xfde68a, 0xfbbf24], alpha: 1 },
+  vocals: { kind: "bubble", count: 4, life: 1.2, speed: 30, dir: -Math.PI / 2, spread: 1.2, gravity: -50, size: [0.2, 0.45], grow: 0.1, colors: [0xf5d0fe], alpha: 0.7, stream: 4 },
+};
+
+// Particles one hit emits: the full count at velocity 1 (up to 1.5× for accents), never less than one
+export const burstSize = (spec, vel = 1, realism = 1) => Math.max(1, Math.round(spec.count * Math.min(1.5, vel) * (BURST_SCALE[realism] ?? 1)));
+
+// Seeded noise, as in scenes.js. hitSeed(id, n): a burst's seed from the member id and the hit (beat
+// position or contact time), the same in every window.
+const rand = (n) => { const x = Math.sin(n * 12.9898 + 78.233) * 43758.5453; return x - Math.floor(x); };
+export const hitSeed = (id, n) => ([...String(id)].reduce((h, c) => (h * 31 + c.charCodeAt(0)) % 997, 7) * 1009 + Math.round(n * 1000)) % 1e6;
+// Stream of values in [0, 1) for a seed
+const noise = (seed) => { let k = 0; return () => rand(seed + (k++) * 0.618); };
+
+// Position, scale and alpha of a particle `age` seconds old
+export const particleAt = (p, age) => {
+  const x = p.x + p.vx * age + (p.kind === "bubble" ? Math.sin(age * 6 + p.seed) * 3 : 0);
+  const y = p.y + p.vy * age + 0.5 * p.gravity * age * age;
+  return { x, y, scale: Math.max(0.05, p.size * (1 + p.grow * age)), alpha: p.alpha * Math.max(0, 1 - age / p.life) };
+};
+
+// Sprite textures, drawn once per renderer
+const makeTextures = (renderer) => {
+  const draw = (fn) => { const g = new PIXI.Graphics(); fn(g); try { return renderer.generateTexture(g); } finally { g.destroy(); } };
+  return {
+    puff: draw((g) => { for (let r = 24; r > 0; r -= 4) g.beginFill(0xffffff, 0.18).drawCircle(0, 0, r).endFill(); }),
+    bubble: draw((g) => { g.lineStyle(2, 0xffffff, 0.9).beginFill(0xffffff, 0.15).drawCircle(0, 0, 12).endFill(); g.beginFill(0xffffff, 0.9).drawCircle(-4, -4, 3).endFill(); }),
+    ring: draw((g) => { g.lineStyle(3, 0xffffff, 1).drawCircle(0, 0, 40); }),
+    spark: draw((g) => { g.beginFill(0xffffff, 0.35).drawCircle(0, 0, 8).endFill(); g.beginFill(0xffffff).drawCircle(0, 0, 3).endFill(); }),
+  };
+};
+
+// hit(instrument, x, y, vel, now, seed) bursts; stream(key, instrument, x, y, level, now, dt) trickles while a
+// part plays (key: one accumulator per member, seeded by member and frame time); update(now) moves everything; setBudget(n) caps the live
+// particles and setRealism(r) scales bursts; count() = live particles; clear() hides every particle.
+export const createParticles = (renderer, { realism = 1 } = {}) => {
+  const node = new PIXI.Container();
+  const textures = makeTextures(renderer);
+  let budget = PARTICLE_BUDGET[realism] ?? PARTICLE_BUDGET[1], level = realism;
+  let slots = []; let cursor = 0;
+  const streams = new Map();
+
+  const spawn = (spec, x, y, now, boost, r) => {
+    const rnd = (a, b) => a + r() * (b - a);
+    if (!slots[cursor]) { const s = new PIXI.Sprite(textures[spec.kind]); s.anchor.set(0.5); node.addChild(s); slots[cursor] = { sprite: s }; }
+    const slot = slots[cursor]; cursor = (cursor + 1) % budget;
+    const a = spec.dir + rnd(-spec.spread / 2, spec.spread / 2), v = spec.speed * rnd(0.6, 1.2) * boost;
+    Object.assign(slot, {
+      live: true, born: now, kind: spec.kind, x, y, vx: Math.cos(a) * v, vy: Math.sin(a) * v, gravity: spec.gravity,
+      size: rnd(...spec.size), grow: spec.grow, life: spec.life * rnd(0.8, 1.2), alpha: spec.alpha, squash: spec.squash ?? 1, seed: rnd(0, 6),
+    });
+    const s = slot.sprite; s.texture = textures[spec.kind]; s.tint = spec.colors[Math.floor(r() * spec.colors.length)]; s.blendMode = spec.kind === "spark" ? "add" : "normal";
+  };
+  const hide = (slot) => { slot.live = false; slot.sprite.visible = false; };
+
+  return {
+    node,
+    hit: (instrument, x, y, vel, now, seed = hitSeed(instrument, now)) => {
+      const spec = EMITTERS[instrument]; if (!spec) return;
+      const r = noise(seed);
+      for (let i = burstSize(spec, vel, level); i > 0; i--) spawn(spec, x, y, now, Math.min(1.5, vel), r);
+    },
+    stream: (key, instrument, x, y, energy, now, dt) => {
+      const spec = EMITTERS[instrument]; if (!spec?.stream) return;
+      let acc = (streams.get(key) ?? 0) + spec.stream * energy * dt * (BURST_SCALE[level] ?? 1);
+      const r = noise(hitSeed(key, now));
+      for (; acc >= 1; acc--) spawn(spec, x, y, now, 0.5, r);
+      streams.set(key, acc);
+    },
+    update: (now) => slots.forEach((slot) => {
+      if (!slot.live) return;
+      const age = now - slot.born;
+      if (age < 0 || age > slot.life) { hide(slot); return; }
+      const p = particleAt(slot, age); const s = slot.sprite;
+      s.visible = true; s.position.set(p.x, p.y); s.scale.set(p.scale, p.scale * slot.squash); s.alpha = p.alpha;
+    }),
+    setBudget: (n) => {
+      slots.slice(n).forEach((slot) => slot.sprite.destroy());
+      slots = slots.slice(0, n); budget = n; cursor = cursor % n;
+    },
+    setRealism: (r) => { level = r; },
+    count: () => slots.reduce((n, s) => n + (s.live ? 1 : 0), 0),
+    clear: () => { slots.forEach(hide); streams.clear(); },
+    destroy: () => { node.destroy({ children: true }); Object.values(textures).forEach((t) => t.destroy(true)); },
+  };
+};
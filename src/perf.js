@@ -0,0 +1,96 @@
+// ====== Performance: frame monitor, quality governor, stats, benchmark ======
+// The stage ticker feeds frame times in. The governor steps render quality down (GOVERNOR_STEPS in quality.js)
+// while frames miss the target rate and back up once they have been comfortably on time for a while; each
+// step down makes the next step up wait longer, so a machine on the edge settles instead of see-sawing.
+// A benchmark records the same numbers for a fixed time, to compare machines and settings before a show.
+import { GOVERNOR_STEPS } from "./quality.js";
+
+export const TARGET_FPS = { off: 0, 30: 30, 50: 50, 60: 60 }; // "off" = no governor
+
+// Frame times (ms) → rate and spread
+export const frameStats = (times) => {
+  if (!times.length) return { fps: 0, avgMs: 0, p95Ms: 0, worstMs: 0 };
+  const avgMs = times.reduce((a, b) => a + b, 0) / times.length;
+  const sorted = [...times].sort((a, b) => a - b);
+  return { fps: 1000 / avgMs, avgMs, p95Ms: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))], worstMs: sorted[sorted.length - 1] };
+};
+
+// Mean and standard deviation of a list of seconds, in ms
+export const spreadMs = (secs) => {
+  if (!secs.length) return { mean: 0, sd: 0 };
+  const mean = secs.reduce((a, b) => a + b, 0) / secs.length;
+  return { mean: mean * 1000, sd: Math.sqrt(secs.reduce((a, b) => a + (b - mean) ** 2, 0) / secs.length) * 1000 };
+};
+
+// Rolling window of the last `size` frame times
+export const createFrameMonitor = (size = 120) => {
+  let times = [];
+  return {
+    push: (ms) => { times.push(ms); if (times.length > size) times.shift(); },
+    stats: () => frameStats(times),
+    count: () => times.length,
+    reset: () => { times = []; },
+  };
+};
+
+// update(fps, target, now) → true when the step changed; step 0 = the tier as set, higher = cheaper.
+// Slow = under 90 % of the target for `downAfter` s; on time = 97 %+ for the current wait (starts at `upAfter`).
+export const createGovernor = ({ downAfter = 2, upAfter = 8, maxWait = 64 } = {}) => {
+  let step = 0, trend = 0, since = 0, wait = upAfter;
+  return {
+    get step() { return step; },
+    update: (fps, target, now) => {
+      const want = fps < target * 0.9 ? 1 : fps >= target * 0.97 ? -1 : 0;
+      if (want !== trend) { trend = want; since = now; return false; }
+      if (want === 1 && step < GOVERNOR_STEPS.length - 1 && now - since >= downAfter) { step++; since = now; wait = Math.min(maxWait, wait * 2); return true; }
+      if (want === -1 && step > 0 && now - since >= wait) { step--; since = now; return true; }
+      return false;
+    },
+    reset: () => { step = 0; trend = 0; since = 0; wait = upAfter; },
+  };
+};
+
+// Counts WebGL draw calls: take() returns how many were issued since the last take()
+export const countDrawCalls = (gl) => {
+  let n = 0;
+  if (gl) ["drawElements", "drawArrays", "drawElementsInstanced", "drawArraysInstanced"].forEach((name) => {
+    const fn = gl[name]; if (typeof fn !== "function") return;
+    gl[name] = (...args) => { n++; return fn.apply(gl, args); };
+  });
+  return { take: () => { const k = n; n = 0; return k; } };
+};
+
+// Rough GPU texture memory (MB): every texture the renderer manages at 4 bytes a pixel
+export const textureMB = (renderer) => {
+  const sources = renderer?.texture?.managedTextures ?? [];
+  return sources.reduce((b, s) => b + (s?.pixelWidth ?? 0) * (s?.pixelHeight ?? 0) * 4, 0) / (1024 * 1024);
+};
+
+export const formatStats = ({ fps, avgMs, p95Ms }, { draws, texMB, jitter, quality }) =>
+  [`FPS ${fps.toFixed(1)} · ${avgMs.toFixed(1)} ms (p95 ${p95Ms.toFixed(1)})`, `draws ${draws} · tex ${texMB.toFixed(1)} MB`,
+    jitter ? `ticks ${jitter.mean.toFixed(1)} ms late ±${jitter.sd.toFixed(1)}` : null, `quality ${quality}`].filter(Boolean).join("\n");
+
+// Collects one sample per stats interval for `seconds`, then resolves with a report; cancel(why) rejects
+// a run the stage can no longer finish (unmounted, export started)
+export const createBenchmark = ({ seconds = 20, info = {} } = {}) => {
+  const samples = []; let started = null, finish = null, fail = null;
+  const done = new Promise((resolve, reject) => { finish = resolve; fail = reject; });
+  return {
+    done,
+    cancel: (why) => fail(new Error(`Benchmark stopped: ${why}`)),
+    record: (now, sample) => {
+      if (started == null) started = now;
+      samples.push({ t: +(now - started).toFixed(2), ...sample });
+      if (now - started < seconds) return false;
+      const pick = (k) => samples.map((s) => s[k]).filter(Number.isFinite);
+      const avg = (k) => { const v = pick(k); return v.length ? +(v.reduce((a, b) => a + b, 0) / v.length).toFixed(2) : null; };
+      finish({
+        date: new Date().toISOString(), seconds, ...info,
+        fps: avg("fps"), avgMs: avg("avgMs"), p95Ms: avg("p95Ms"), worstMs: Math.max(0, ...pick("worstMs")),
+        draws: avg("draws"), texMB: Math.max(0, ...pick("texMB")), lateMs: avg("lateMs"), jitterMs: avg("jitterMs"),
+        steps: [...new Set(samples.map((s) => s.quality))], samples,
+      });
+      return true;
+    },
+  };
+};
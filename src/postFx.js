@@ -0,0 +1,177 @@
+// ====== Post-processing chain (shader passes over the stage) ======
+// A look is data: an ordered list of passes, each a pass type plus its uniforms. A uniform is a number or a
+// binding, { base, beat: 0.5, kick: 2, realism: 1 … }, summed from the frame's inputs times their weights:
+// beat / downbeat pulse (1 on the beat, fading over a quarter of it), beat phase (0..1), band energies
+// (BAND_IDS, energy = the loudest) and realism (0..1). Shows can ship their own looks in an asset pack.
+import * as PIXI from "pixi.js";
+import { BAND_IDS } from "./bands.js";
+
+// Built-in filters by class name (pixi v8 exports them at the top level). null if missing.
+export const makeFilter = (name, ...args) => {
+  const F = PIXI[name];
+  try { return F ? new F(...args) : null; } catch { return null; }
+};
+
+export const POST_INPUTS = ["beat", "downbeat", "phase", "energy", ...BAND_IDS, "realism"];
+
+// Shared fragment header: frameUv() is 0..1 across the stage, tap() samples inside the input, px = one pixel
+const HEAD = `in vec2 vTextureCoord;
+out vec4 finalColor;
+uniform sampler2D uTexture;
+uniform vec4 uInputSize;
+uniform vec4 uOutputFrame;
+uniform vec4 uInputClamp;
+uniform float uTime;
+vec2 frameUv() { return vTextureCoord * uInputSize.xy / uOutputFrame.zw; }
+vec4 tap(vec2 c) { return texture(uTexture, clamp(c, uInputClamp.xy, uInputClamp.zw)); }
+`;
+
+// Pass types: default uniforms (u + Name in GLSL) and the fragment body
+export const POST_PASSES = {
+  bloom: {
+    uniforms: { amount: 0.5, threshold: 0.6 },
+    fragment: `uniform float uAmount; uniform float uThreshold;
+void main() {
+  vec4 c = tap(vTextureCoord); vec3 glow = vec3(0.0);
+  for (int i = 0; i < 12; i++) {
+    vec2 dir = vec2(cos(float(i) * 0.5236), sin(float(i) * 0.5236)) * uInputSize.zw;
+    for (int r = 1; r <= 2; r++) { vec4 s = tap(vTextureCoord + dir * float(r) * 5.0); glow += max(s.rgb - uThreshold * s.a, 0.0); }
+  }
+  glow *= uAmount / 12.0;
+  finalColor = vec4(c.rgb + glow, min(1.0, c.a + max(glow.r, max(glow.g, glow.b))));
+}`,
+  },
+  // Colour fringes growing towards the edges (amount = px at the edge)
+  chroma: {
+    uniforms: { amount: 1.5 },
+    fragment: `uniform float uAmount;
+void main() {
+  vec2 dir = (frameUv() - 0.5) * 2.0 * uAmount * uInputSize.zw;
+  vec4 r = tap(vTextureCoord + dir), c = tap(vTextureCoord), b = tap(vTextureCoord - dir);
+  finalColor = vec4(r.r, c.g, b.b, max(c.a, max(r.a, b.a)));
+}`,
+  },
+  // Wavy underwater refraction (amount = px)
+  caustic: {
+    uniforms: { amount: 2, speed: 1 },
+    fragment: `uniform float uAmount; uniform float uSpeed;
+void main() {
+  vec2 uv = frameUv(); float t = uTime * uSpeed;
+  vec2 off = vec2(sin(uv.y * 18.0 + t * 1.7) + sin(uv.y * 31.0 - t * 1.1), cos(uv.x * 16.0 + t * 1.3) + cos(uv.x * 27.0 + t * 0.9)) * 0.5;
+  finalColor = tap(vTextureCoord + off * uAmount * uInputSize.zw);
+}`,
+  },
+  vignette: {
+    uniforms: { amount: 0.5, softness: 0.45 },
+    fragment: `uniform float uAmount; uniform float uSoftness;
+void main() {
+  vec4 c = tap(vTextureCoord);
+  float v = 1.0 - uAmount * smoothstep(1.0 - uSoftness, 1.0, length(frameUv() - 0.5) * 1.414);
+  finalColor = vec4(c.rgb * v, c.a);
+}`,
+  },
+  grain: {
+    uniforms: { amount: 0.05 },
+    fragment: `uniform float uAmount;
+void main() {
+  vec4 c = tap(vTextureCoord);
+  float n = fract(sin(dot(vTextureCoord * uInputSize.xy + fract(uTime * 7.0) * 91.7, vec2(12.9898, 78.233))) * 43758.5453) - 0.5;
+  finalColor = vec4(c.rgb + n * uAmount * c.a, c.a);
+}`,
+  },
+  // Whole-frame red/blue split (amount = px), made for downbeat hits
+  rgbSplit: {
+    uniforms: { amount: 0 },
+    fragment: `uniform float uAmount;
+void main() {
+  vec2 o = vec2(uAmount, uAmount * 0.25) * uInputSize.zw;
+  vec4 r = tap(vTextureCoord + o), c = tap(vTextureCoord), b = tap(vTextureCoord - o);
+  finalColor = vec4(r.r, c.g, b.b, max(c.a, max(r.a, b.a)));
+}`,
+  },
+};
+
+export const POST_LOOKS = {
+  none: { label: "None", passes: [] },
+  underwater: {
+    label: "Underwater",
+    passes: [
+      { pass: "caustic", amount: { base: 1, bass: 3, realism: 1.5 }, speed: 1 },
+      { pass: "bloom", amount: { base: 0.2, beat: 0.5, realism: 0.3 }, threshold: 0.6 },
+      { pass: "chroma", amount: { energy: 1.5, beat: 1 } },
+      { pass: "vignette", amount: 0.45 },
+      { pass: "grain", amount: { base: 0.02, realism: 0.03 } },
+    ],
+  },
+  club: {
+    label: "Club",
+    passes: [
+      { pass: "bloom", amount: { base: 0.5, kick: 1, realism: 0.3 }, threshold: 0.45 },
+      { pass: "rgbSplit", amount: { downbeat: 8, snare: 2 } },
+      { pass: "vignette", amount: { base: 0.6, phase: 0.2 } },
+      { pass: "grain", amount: 0.04 },
+    ],
+  },
+  film: {
+    label: "Film",
+    passes: [
+      { pass: "chroma", amount: 1 },
+      { pass: "vignette", amount: 0.7, softness: 0.6 },
+      { pass: "grain", amount: { base: 0.08, beat: 0.04 } },
+    ],
+  },
+};
+
+// Value of a uniform for this frame's inputs
+export const bindUniform = (spec, inputs) => (typeof spec === "number" ? spec
+  : Object.entries(spec ?? {}).reduce((v, [k, w]) => v + (k === "base" ? w : w * (inputs[k] ?? 0)), 0));
+
+const pulse = (dt, len) => (dt >= 0 ? Math.exp(-dt / (len * 0.25)) : 0);
+// Frame inputs from the stage clock, the beat timing (see createStageMoves), band levels and realism (0..2)
+export const postInputs = (now, { since = Infinity, sinceBar = Infinity, len = 0.5 } = {}, levels = {}, realism = 1) => ({
+  time: now % 3600, // wall-clock seconds are too big for a float uniform
+  beat: pulse(since, len), downbeat: pulse(sinceBar, len),
+  phase: Number.isFinite(since) ? Math.min(1, since / len) : 0,
+  energy: Math.min(1, Math.max(0, ...BAND_IDS.map((id) => levels?.[id] ?? 0))),
+  ...Object.fromEntries(BAND_IDS.map((id) => [id, levels?.[id] ?? 0])),
+  realism: realism / 2,
+});
+
+// Validate a look from an asset pack; problems are pushed as "at: message" strings
+export const parsePostLook = (look, at, problems) => {
+  if (!Array.isArray(look?.passes)) { problems.push(`${at}.passes must be a list`); return null; }
+  const passes = look.passes.filter((p, i) => {
+    const def = POST_PASSES[p?.pass];
+    if (!def) { problems.push(`${at}.passes[${i}]: unknown pass (${Object.keys(POST_PASSES).join(", ")})`); return false; }
+    return Object.keys(def.uniforms).every((u) => {
+      const v = p[u]; if (v == null || Number.isFinite(v)) return true;
+      const bad = typeof v !== "object" || Object.entries(v).some(([k, w]) => (k !== "base" && !POST_INPUTS.includes(k)) || !Number.isFinite(w));
+      if (bad) problems.push(`${at}.passes[${i}].${u} must be a number or { base, ${POST_INPUTS.join(", ")} } weights`);
+      return !bad;
+    });
+  });
+  return { label: look.label ?? at, passes };
+};
+
+// set(passes) rebuilds the filters (apply them as container.filters; [] = none);
+// update(inputs) writes every pass's uniforms for the frame
+export const createPostChain = () => {
+  let passes = [];
+  const build = (spec) => {
+    const def = POST_PASSES[spec.pass];
+    const uniforms = { uTime: { value: 0, type: "f32" } };
+    Object.keys(def.uniforms).forEach((u) => { uniforms[`u${u[0].toUpperCase()}${u.slice(1)}`] = { value: 0, type: "f32" }; });
+    try {
+      const filter = PIXI.Filter.from({ gl: { vertex: PIXI.defaultFilterVert, fragment: HEAD + def.fragment, name: `post-${spec.pass}` }, resources: { post: new PIXI.UniformGroup(uniforms) } });
+      return { spec, def, filter };
+    } catch (e) { console.warn("[post]", spec.pass, e.message); return null; }
+  };
+  return {
+    get filters() { return passes.map((p) => p.filter); },
+    set: (list = []) => { passes.forEach((p) => p.filter.destroy()); passes = list.filter((s) => POST_PASSES[s?.pass]).map(build).filter(Boolean); },
+    update: (inputs) => passes.forEach(({ spec, def, filter }) => {
+      const u = filter.resources.post.uniforms; u.uTime = inputs.time;
+      Object.entries(def.uniforms).forEach(([k, d]) => { u[`u${k[0].toUpperCase()}${k.slice(1)}`] = bindUniform(spec[k] ?? d, inputs); });
+    }),
+  };
+};
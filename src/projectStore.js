@@ -0,0 +1,116 @@
+// ====== Project persistence (IndexedDB) + bundle files ======
+// Three stores: audio blobs and per-track analysis (tempo, beat map, hand-tuned offsets, band energies),
+// both keyed by the SHA-256 of the audio file, and the project itself (setlist, band, UI settings).
+// A bundle is the project plus every track it lists in one file, for moving a show between machines.
+
+export const PROJECT_FORMAT = "animal-band.project";
+export const PROJECT_VERSION = 1;
+const DB_NAME = "animal-band";
+const DB_VERSION = 1;
+const STORES = ["audio", "analysis", "project"];
+const BUNDLE_MAGIC = "ABPJ";
+
+export const hashBlob = async (blob) => {
+  const digest = await crypto.subtle.digest("SHA-256", await blob.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+const openDb = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === "undefined") { reject(new Error("IndexedDB is not available")); return; }
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = () => { for (const name of STORES) if (!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name); };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// The database is opened on first use; every method returns a Promise
+export const createProjectStore = () => {
+  let db = null;
+  const run = async (store, mode, fn) => {
+    db = db ?? openDb();
+    const tx = (await db).transaction(store, mode); const req = fn(tx.objectStore(store));
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error ?? new Error("IndexedDB transaction failed"));
+    });
+  };
+  return {
+    hasAudio: async (hash) => (await run("audio", "readonly", (s) => s.count(hash))) > 0,
+    getAudio: (hash) => run("audio", "readonly", (s) => s.get(hash)), // { hash, name, type, blob }
+    putAudio: (rec) => run("audio", "readwrite", (s) => s.put(rec, rec.hash)),
+    getAnalysis: (hash) => run("analysis", "readonly", (s) => s.get(hash)), // { hash, settings, bands, envelope }
+    putAnalysis: (rec) => run("analysis", "readwrite", (s) => s.put(rec, rec.hash)),
+    getProject: () => run("project", "readonly", (s) => s.get("current")),
+    putProject: (project) => run("project", "readwrite", (s) => s.put(project, "current")),
+    clear: () => Promise.all(STORES.map((name) => run(name, "readwrite", (s) => s.clear()))),
+  };
+};
+
+// Float32Arrays (band envelopes) leave the bundle JSON as binary chunks, referenced as { $f32: index }
+export const liftTyped = (value, chunks) => {
+  if (value instanceof Float32Array) { chunks.push(value); return { $f32: chunks.length - 1 }; }
+  if (Array.isArray(value)) return value.map((v) => liftTyped(v, chunks));
+  if (value && typeof value === "object") return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, liftTyped(v, chunks)]));
+  return value;
+};
+export const restoreTyped = (value, chunks) => {
+  if (Array.isArray(value)) return value.map((v) => restoreTyped(v, chunks));
+  if (value && typeof value === "object") {
+    if (Number.isInteger(value.$f32)) return chunks[value.$f32];
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restoreTyped(v, chunks)]));
+  }
+  return value;
+};
+
+// Layout: "ABPJ", header length (uint32 LE), header JSON, then audio blobs and binary chunks (offsets in the header)
+export const packBundle = ({ project, tracks }) => {
+  const parts = []; let offset = 0;
+  const add = (part, size) => { parts.push(part); offset += size; return { offset: offset - size, size }; };
+  const chunks = [];
+  const entries = tracks.map((t) => ({ hash: t.hash, name: t.name, type: t.type, audio: add(t.blob, t.blob.size), analysis: t.analysis ? liftTyped(t.analysis, chunks) : null }));
+  const binary = chunks.map((c) => add(c, c.byteLength));
+  const header = new TextEncoder().encode(JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, project, tracks: entries, binary }));
+  const head = new Uint8Array(8); head.set(new TextEncoder().encode(BUNDLE_MAGIC)); new DataView(head.buffer).setUint32(4, header.length, true);
+  return new Blob([head, header, ...parts], { type: "application/octet-stream" });
+};
+
+// Throws Error with a readable message; audio comes back as Blob slices of `file` (nothing is copied yet)
+export const unpackBundle = async (file) => {
+  const head = new Uint8Array(await file.slice(0, 8).arrayBuffer());
+  if (head.length < 8 || new TextDecoder().decode(head.subarray(0, 4)) !== BUNDLE_MAGIC) throw new Error("Not an Animal Band project bundle");
+  const length = new DataView(head.buffer).getUint32(4, true);
+  let header;
+  try { header = JSON.parse(await file.slice(8, 8 + length).text()); } catch { throw new Error("Project bundle header is damaged"); }
+  if (header?.format !== PROJECT_FORMAT) throw new Error("Not an Animal Band project bundle");
+  if (header.version > PROJECT_VERSION) throw new Error(`Project version ${header.version} is newer than supported (${PROJECT_VERSION})`);
+  const base = 8 + length;
+  const part = ({ offset, size }, type) => file.slice(base + offset, base + offset + size, type);
+  const chunks = await Promise.all((header.binary ?? []).map(async (b) => new Float32Array(await part(b).arrayBuffer())));
+  return {
+    project: header.project,
+    tracks: (header.tracks ?? []).map((t) => ({ hash: t.hash, name: t.name, type: t.type, blob: part(t.audio, t.type), analysis: t.analysis ? restoreTyped(t.analysis, chunks) : null })),
+  };
+};
+
+// Bundle = the saved project + every track it lists (audio + analysis)
+export const exportBundle = async (store) => {
+  const project = await store.getProject();
+  if (!project) throw new Error("Nothing saved yet");
+  const tracks = [];
+  for (const { hash, name } of project.setlist ?? []) {
+    const audio = await store.getAudio(hash); if (!audio) continue;
+    tracks.push({ hash, name, type: audio.type, blob: audio.blob, analysis: (await store.getAnalysis(hash)) ?? null });
+  }
+  return packBundle({ project, tracks });
+};
+
+// Writes a bundle into the store (replacing the current project) and returns the project
+export const importBundle = async (store, file) => {
+  const { project, tracks } = await unpackBundle(file);
+  for (const t of tracks) {
+    await store.putAudio({ hash: t.hash, name: t.name, type: t.type, blob: t.blob });
+    if (t.analysis) await store.putAnalysis({ ...t.analysis, hash: t.hash });
+  }
+  await store.putProject(project);
+  return project;
+};
@@ -0,0 +1,35 @@
+// ====== Quality tiers ======
+// What each realism level (0..2) asks of the GPU. A running stage applies a tier live (no remount, no lost
+// WebGL context): render resolution relative to device pixels, the beat displacement pulse, blurred shadows,
+// how many post-processing passes run and the particle budget. Antialiasing is fixed when the renderer is
+// created, so it is not part of a tier. The performance governor (perf.js) steps further down from the
+// tier while frames run long.
+import { PARTICLE_BUDGET } from "./particles.js";
+
+export const QUALITY_TIERS = [
+  { label: "Low", resolution: 0.75, displacement: 3, shadows: false, postPasses: 2, particles: PARTICLE_BUDGET[0] },
+  { label: "Medium", resolution: 1, displacement: 6, shadows: true, postPasses: 4, particles: PARTICLE_BUDGET[1] },
+  { label: "High", resolution: 1, displacement: 10, shadows: true, postPasses: Infinity, particles: PARTICLE_BUDGET[2] },
+];
+
+export const qualityTier = (realism) => QUALITY_TIERS[Math.min(QUALITY_TIERS.length - 1, Math.max(0, Math.round(realism ?? 1)))];
+
+// Governor steps, applied on top of the tier: resolution and particles scale it, postPasses caps it, and the
+// later steps drop the displacement pulse and shadow blur
+export const GOVERNOR_STEPS = [
+  { label: "0", resolution: 1, postPasses: Infinity, particles: 1 },
+  { label: "-1", resolution: 0.85, postPasses: Infinity, particles: 0.75 },
+  { label: "-2", resolution: 0.7, postPasses: 2, particles: 0.5 },
+  { label: "-3", resolution: 0.6, postPasses: 1, particles: 0.35, displacement: false, shadows: false },
+  { label: "-4", resolution: 0.5, postPasses: 0, particles: 0.2, displacement: false, shadows: false },
+];
+
+// The tier as the stage runs it, with a governor step applied
+export const effectiveQuality = (tier, step = GOVERNOR_STEPS[0]) => ({
+  label: step === GOVERNOR_STEPS[0] ? tier.label : `${tier.label} ${step.label}`,
+  resolution: tier.resolution * step.resolution,
+  displacement: step.displacement === false ? 0 : tier.displacement,
+  shadows: tier.shadows && step.shadows !== false,
+  postPasses: Math.min(tier.postPasses, step.postPasses),
+  particles: Math.max(8, Math.round(tier.particles * step.particles)),
+});
@@ -0,0 +1,117 @@
+// ====== Character rig: poses + keyframed action clips ======
+// Pure timing/pose math (no Pixi). A pose is a flat set of named channels (reach, lift, squash, …)
+// that characters.js maps onto body parts. Clip key times are seconds relative to the contact
+// frame (t = 0): negative keys are anticipation, positive ones follow-through. Scheduling a clip
+// at a beat timestamp therefore puts the contact pose exactly on that beat.
+import { clamp } from "./util.js";
+
+export const EASE = {
+  linear: (x) => x,
+  in: (x) => x * x,
+  out: (x) => 1 - (1 - x) * (1 - x),
+  inOut: (x) => (x < 0.5 ? 2 * x * x : 1 - 2 * (1 - x) * (1 - x)),
+};
+
+// ease on a key applies to the segment arriving at that key
+export const CLIPS = {
+  idle: { loop: 3, keys: [{ t: 0, sway: -1, breathe: 0 }, { t: 1.5, sway: 1, breathe: 1, ease: "inOut" }, { t: 3, sway: -1, breathe: 0, ease: "inOut" }] },
+  strike: { keys: [
+    { t: -0.12, reach: 0, lift: 0, squash: 0 },
+    { t: -0.06, reach: 0.35, lift: 1, squash: -0.03, ease: "out" },   // wind-up
+    { t: 0, reach: 1, lift: 0, squash: 0.06, ease: "in" },             // contact
+    { t: 0.06, reach: 0.9, lift: -0.3, squash: 0.02, ease: "out" },    // follow-through
+    { t: 0.3, reach: 0, lift: 0, squash: 0, ease: "inOut" },
+  ] },
+  bowStroke: { keys: [
+    { t: -0.1, bow: -0.8, lean: 0 },
+    { t: 0, bow: -1, lean: 0.05, ease: "in" },
+    { t: 0.35, bow: 1, lean: 0, ease: "out" },
+  ] },
+  pluck: { keys: [
+    { t: -0.1, pluck: 0, lean: 0 },
+    { t: -0.04, pluck: -0.6, lean: -0.04, ease: "out" },
+    { t: 0, pluck: 1, lean: 0.03, ease: "in" },
+    { t: 0.4, pluck: 0, lean: 0, ease: "out" },
+  ] },
+  press: { keys: [
+    { t: -0.1, press: 0, lift: 0 },
+    { t: -0.04, press: 0, lift: 1, ease: "out" },
+    { t: 0, press: 1, lift: 0, ease: "in" },
+    { t: 0.2, press: 0.3, lift: 0 },
+    { t: 0.35, press: 0, lift: 0, ease: "out" },
+  ] },
+  sing: { keys: [
+    { t: -0.08, mouth: 0, squash: -0.02 },
+    { t: 0, mouth: 1, squash: 0.05, ease: "in" },
+    { t: 0.3, mouth: 0.2, squash: 0 },
+    { t: 0.45, mouth: 0, squash: 0, ease: "out" },
+  ] },
+};
+
+// Channel values of a clip at clip time t (held at the first/last key outside the clip)
+export const sampleClip = (clip, t) => {
+  const keys = clip.keys;
+  if (clip.loop) t = ((t % clip.loop) + clip.loop) % clip.loop;
+  if (t <= keys[0].t) return channels(keys[0]);
+  for (let i = 1; i < keys.length; i++) {
+    const b = keys[i];
+    if (t > b.t) continue;
+    const a = keys[i - 1]; const x = (EASE[b.ease] ?? EASE.linear)((t - a.t) / (b.t - a.t));
+    const out = {};
+    for (const k in b) if (k !== "t" && k !== "ease") out[k] = (a[k] ?? 0) + ((b[k] ?? 0) - (a[k] ?? 0)) * x;
+    return out;
+  }
+  return channels(keys[keys.length - 1]);
+};
+const channels = ({ t, ease, ...rest }) => rest;
+
+export const mixPose = (a, b, w) => {
+  const out = { ...a };
+  for (const k in b) out[k] = (a[k] ?? 0) + ((b[k] ?? 0) - (a[k] ?? 0)) * w;
+  for (const k in a) if (!(k in b)) out[k] = a[k] * (1 - w);
+  return out;
+};
+
+// Channels scaled by a step velocity: ghost notes are small moves, accents full ones
+const scalePose = (p, vel) => {
+  if (vel == null || vel === 1) return p;
+  const out = {}; for (const k in p) out[k] = p[k] * vel; return out;
+};
+
+// Per-character clip player. schedule() may be called ahead of time (scheduler look-ahead) or late
+// (reactive hits) — a late clip joins mid-anticipation, its contact still lands on `contact`.
+// Clips with the same `key` that have not reached contact are replaced (re-queued beats); params.vel scales the action.
+export const createRigPlayer = ({ idle = "idle", phase = 0 } = {}) => {
+  let active = []; // { name, clip, start, contact, end, params, contacted }
+
+  const schedule = (name, contact, params = {}) => {
+    const clip = CLIPS[name]; if (!clip) return;
+    if (params.key != null) active = active.filter((a) => a.contacted || a.params.key !== params.key);
+    const keys = clip.keys;
+    active.push({ name, clip, contact, start: contact + keys[0].t, end: contact + keys[keys.length - 1].t, params, contacted: false });
+    active.sort((a, b) => a.start - b.start);
+  };
+
+  // Pose at rig time `now`. Clips reaching contact on this frame are returned in `contacts`;
+  // within half a frame of contact the exact contact pose is shown. `action` = current clip + clip time.
+  const pose = (now, frameSec = 1 / 60) => {
+    const base = CLIPS[idle] ? sampleClip(CLIPS[idle], now + phase) : {};
+    const contacts = [];
+    active = active.filter((a) => now <= a.end || !a.contacted);
+    let prev = null, cur = null;
+    for (const a of active) {
+      if (a.start > now) break;
+      if (!a.contacted && now + frameSec / 2 >= a.contact) { a.contacted = true; contacts.push(a.params); }
+      prev = cur; cur = a;
+    }
+    if (!cur) return { pose: base, contacts, params: null, action: null };
+    const at = (a) => (Math.abs(now - a.contact) <= frameSec / 2 ? 0 : now - a.contact);
+    const sample = (a) => scalePose(sampleClip(a.clip, at(a)), a.params.vel);
+    let action = sample(cur);
+    // blend out of the previous clip across the new clip's anticipation
+    if (prev && now <= prev.end && cur.contact > cur.start) action = mixPose(sample(prev), action, clamp((now - cur.start) / (cur.contact - cur.start), 0, 1));
+    return { pose: { ...base, ...action }, contacts, params: cur.params, action: { name: cur.name, t: at(cur) } };
+  };
+
+  return { schedule, pose, clear: () => { active = []; }, pending: () => active.filter((a) => !a.contacted).length };
+};
@@ -0,0 +1,60 @@
+// ====== Band roster (data only — the Pixi side builds characters from this) ======
+import { shouldHit } from "./util.js";
+
+// bands: which frequency parts (see bands.js) the instrument reacts to; clip: rig action (see rig.js)
+export const INSTRUMENTS = {
+  drums:  { label: "Drums",  bands: ["kick", "snare"], clip: "strike" },
+  violin: { label: "Violin", bands: ["lead"], clip: "bowStroke" },
+  bass:   { label: "Bass",   bands: ["bass"], clip: "pluck" },
+  keys:   { label: "Keys",   bands: ["lead"], clip: "press" },
+  vocals: { label: "Vocals", bands: ["lead"], clip: "sing" },
+};
+
+// body: ellipse radii of the vector placeholder; limbs: tentacles/fins/claws the rig can move
+export const SPECIES = {
+  octopus:  { label: "Octopus",  color: 0x25e2c4, outline: 0x93fff1, limb: 0x10b981, body: [70, 60], limbs: 8 },
+  seahorse: { label: "Seahorse", color: 0x60a5fa, outline: 0xbfdbfe, limb: 0x3b82f6, body: [40, 58], limbs: 1 },
+  seal:     { label: "Seal",     color: 0x93c5fd, outline: 0xdbeafe, limb: 0x60a5fa, body: [60, 36], limbs: 2 },
+  crab:     { label: "Crab",     color: 0xf87171, outline: 0xfecaca, limb: 0xdc2626, body: [56, 34], limbs: 2 },
+  whale:    { label: "Whale",    color: 0x6366f1, outline: 0xc7d2fe, limb: 0x4f46e5, body: [90, 50], limbs: 2 },
+};
+
+// Simple per-tick patterns (x = play, . = rest), stepped by the member's subdivision
+export const PATTERNS = {
+  every: "x",
+  downbeats: "x...",
+  backbeat: ".x.x",
+  "push": "x..x..x.",
+};
+
+export const DEFAULT_ROSTER = [
+  { id: "octo", name: "Octopus – Drums", species: "octopus", instrument: "drums", subdivision: 1, pattern: "every", x: 160, y: 180 },
+  { id: "seahorse", name: "Seahorse – Violin", species: "seahorse", instrument: "violin", subdivision: 1, pattern: "every", x: 450, y: 190 },
+  { id: "seal", name: "Seal – Bass", species: "seal", instrument: "bass", subdivision: 2, pattern: "every", x: 720, y: 200 },
+];
+
+// rhythm: "grid" (subdivision + pattern) or "steps" (the member's step pattern, see sequencer.js); missing = "grid"
+let nextId = 1;
+export const createMember = (overrides = {}) => ({
+  id: `m${Date.now().toString(36)}${nextId++}`, name: "New member", species: "crab", instrument: "keys",
+  subdivision: 1, pattern: "every", rhythm: "grid", steps: null, x: 430, y: 200, ...overrides,
+});
+
+// Does this member play on grid tick `index`? (subdivision first, then its pattern over the kept ticks)
+export const memberHitsOn = (member, index) => {
+  const sub = Math.max(1, member.subdivision || 1);
+  if (!shouldHit(index, sub)) return false;
+  const pat = PATTERNS[member.pattern] ?? PATTERNS.every;
+  const step = Math.floor(index / sub);
+  return pat[((step % pat.length) + pat.length) % pat.length] === "x";
+};
+
+// Members that react to a band part / a MIDI instrument
+export const membersForBand = (roster, band) => roster.filter((m) => INSTRUMENTS[m.instrument]?.bands.includes(band)).map((m) => m.id);
+export const membersForInstrument = (roster, instrument) => roster.filter((m) => m.instrument === instrument).map((m) => m.id);
+
+export const moveMember = (roster, id, dir) => {
+  const i = roster.findIndex((m) => m.id === id); const j = i + dir;
+  if (i < 0 || j < 0 || j >= roster.length) return roster;
+  const next = [...roster]; [next[i], next[j]] = [next[j], next[i]]; return next;
+};
@@ -0,0 +1,181 @@
+// ====== Scenes (stage environments) ======
+// A scene is data: layers drawn behind the band (or in front of it with `front`) and a lighting rig with a
+// spotlight per member that flashes when the member plays. A layer's `depth` sets how far it follows the
+// camera (0 = far away, stays put; 1 = moves with the band; > 1 = foreground), which is the parallax when
+// the camera pans. Layouts come from seeded noise and motion from the rig clock, so the output window
+// and export frames draw the same scene as the control window.
+import * as PIXI from "pixi.js";
+
+export const SCENES = {
+  plain: { label: "Plain", layers: [], lights: null },
+  reef: {
+    label: "Coral reef",
+    layers: [
+      { type: "water", depth: 0, top: 0x0e7490, bottom: 0x082f49 },
+      { type: "rays", depth: 0.1, count: 5, color: 0xe0f2fe, alpha: 0.08 },
+      { type: "kelp", depth: 0.4, count: 7, color: 0x166534, height: 0.6 },
+      { type: "floor", depth: 0.8, color: 0xc2a878 },
+      { type: "caustics", depth: 0.8, count: 16, color: 0x67e8f9, alpha: 0.16 },
+      { type: "bubbles", depth: 1.3, count: 18, color: 0xe0f2fe, alpha: 0.5, front: true },
+    ],
+    lights: { colors: [0xfde68a, 0x67e8f9, 0xf9a8d4], base: 0.05, flash: 0.3 },
+  },
+  lagoon: {
+    label: "Sunlit lagoon",
+    layers: [
+      { type: "water", depth: 0, top: 0x67e8f9, bottom: 0x0369a1 },
+      { type: "rays", depth: 0.1, count: 7, color: 0xffffff, alpha: 0.14 },
+      { type: "floor", depth: 0.8, color: 0xf5deb3 },
+      { type: "caustics", depth: 0.8, count: 24, color: 0xffffff, alpha: 0.22 },
+      { type: "kelp", depth: 1.4, count: 3, color: 0x14532d, height: 0.45, front: true },
+      { type: "bubbles", depth: 1.3, count: 10, color: 0xffffff, alpha: 0.6, front: true },
+    ],
+    lights: { colors: [0xfef08a], base: 0.03, flash: 0.2 },
+  },
+  abyss: {
+    label: "Abyss",
+    layers: [
+      { type: "water", depth: 0, top: 0x1e1b4b, bottom: 0x020617 },
+      { type: "kelp", depth: 0.3, count: 5, color: 0x1e293b, height: 0.75 },
+      { type: "bubbles", depth: 0.5, count: 30, color: 0x5eead4, alpha: 0.35 },
+      { type: "floor", depth: 0.8, color: 0x1c1917 },
+      { type: "bubbles", depth: 1.3, count: 8, color: 0xa78bfa, alpha: 0.5, front: true },
+    ],
+    lights: { colors: [0x22d3ee, 0xa78bfa, 0x4ade80], base: 0.1, flash: 0.45 },
+  },
+};
+
+// Seeded 0..1 noise: the same scene lays out the same way in every window
+const rand = (n) => { const x = Math.sin(n * 12.9898 + 78.233) * 43758.5453; return x - Math.floor(x); };
+const lerpColor = (a, b, x) => [16, 8, 0].reduce((c, s) => c + (Math.round(((a >> s) & 255) + (((b >> s) & 255) - ((a >> s) & 255)) * x) << s), 0);
+// v8 needs an explicit stroke for open paths (as in characters.js)
+const strokePath = (g) => (typeof g.stroke === "function" ? g.stroke() : g);
+
+// Spotlight opacity `dt` seconds after its member last played
+export const spotAlpha = (dt, { base, flash }) => base + (dt >= 0 ? flash * Math.exp(-dt / 0.25) : 0);
+// Rise of bubble i (0..span px) at `now`: wraps from the floor to the surface
+export const bubbleRise = (now, i, speed, span) => (((now * speed + rand(i) * span) % span) + span) % span;
+
+// Layer builders: (spec, { width, height, m }) → { node, update(now, energy) }; m = margin drawn past the
+// stage edges so pans and shakes never uncover them
+const LAYERS = {
+  water: ({ top, bottom }, { width, height, m }) => {
+    const g = new PIXI.Graphics(); const n = 24, h = (height + 2 * m) / n;
+    for (let i = 0; i < n; i++) g.beginFill(lerpColor(top, bottom, i / (n - 1))).drawRect(-m, -m + i * h, width + 2 * m, h + 1).endFill();
+    return { node: g };
+  },
+  rays: ({ count, color, alpha }, { width, height, m }) => {
+    const node = new PIXI.Container();
+    const rays = Array.from({ length: count }, (_, i) => {
+      const x = -m + (i + 0.5 + (rand(i) - 0.5) * 0.6) * (width + 2 * m) / count, skew = 40 + rand(i + 9) * 60;
+      const g = new PIXI.Graphics(); g.blendMode = "add";
+      g.beginFill(color).drawPolygon([x - 10, -m, x + 14, -m, x + skew + 70, height * 0.95, x + skew - 50, height * 0.95]).endFill();
+      node.addChild(g); return g;
+    });
+    return { node, update: (now) => rays.forEach((g, i) => { g.alpha = alpha * (0.6 + 0.4 * Math.sin(now * 0.5 + i * 1.7)); }) };
+  },
+  kelp: ({ count, color, height: tall }, { width, height }) => {
+    const node = new PIXI.Container();
+    const strands = Array.from({ length: count }, (_, i) => {
+      const g = new PIXI.Graphics(); node.addChild(g);
+      return { g, x: (i + 0.2 + rand(i + 3) * 0.6) * width / count, len: height * tall * (0.7 + rand(i + 5) * 0.4), phase: rand(i + 7) * 6 };
+    });
+    const floor = height * 0.93, segs = 8;
+    return {
+      node,
+      update: (now) => strands.forEach(({ g, x, len, phase }) => {
+        g.clear(); g.lineStyle(9, color, 0.9).moveTo(x, floor);
+        for (let s = 1; s <= segs; s++) { const f = s / segs; g.lineTo(x + Math.sin(now * 0.8 + phase + f * 2) * 18 * f, floor - len * f); }
+        strokePath(g);
+      }),
+    };
+  },
+  floor: ({ color }, { width, height, m }) => {
+    const g = new PIXI.Graphics();
+    g.beginFill(color).drawEllipse(width / 2, height * 0.93, width / 2 + m * 1.5, height * 0.06).drawRect(-m, height * 0.93, width + 2 * m, height * 0.07 + m).endFill();
+    return { node: g };
+  },
+  caustics: ({ count, color, alpha }, { width, height }) => {
+    const node = new PIXI.Container();
+    const spots = Array.from({ length: count }, (_, i) => {
+      const g = new PIXI.Graphics(); g.blendMode = "add";
+      g.beginFill(color).drawEllipse(0, 0, 18 + rand(i) * 26, 4 + rand(i + 1) * 4).endFill();
+      g.position.set(rand(i + 2) * width, height * (0.86 + rand(i + 4) * 0.12)); node.addChild(g);
+      return { g, x: g.position.x };
+    });
+    return {
+      node,
+      update: (now, energy) => spots.forEach(({ g, x }, i) => {
+        g.position.x = x + Math.sin(now * 0.7 + i) * 12;
+        g.alpha = alpha * (0.5 + 0.5 * Math.sin(now * 1.3 + i * 2.1)) * (1 + energy);
+      }),
+    };
+  },
+  bubbles: ({ count, color, alpha }, { width, height, m }) => {
+    const node = new PIXI.Container(); const span = height + 2 * m;
+    const bubbles = Array.from({ length: count }, (_, i) => {
+      const g = new PIXI.Graphics(); const r = 2 + rand(i + 11) * 4;
+      g.lineStyle(1, color, 0.9).beginFill(color, 0.25).drawCircle(0, 0, r).endFill(); node.addChild(g);
+      return { g, x: rand(i + 13) * width, speed: 18 + rand(i + 17) * 40 };
+    });
+    return {
+      node,
+      update: (now, energy) => bubbles.forEach(({ g, x, speed }, i) => {
+        g.position.set(x + Math.sin(now * 2 + i) * 6, height + m - bubbleRise(now, i, speed, span));
+        g.alpha = alpha * (0.7 + 0.6 * energy);
+      }),
+    };
+  },
+};
+
+// Spotlights: a cone from the rig above each member onto a pool of light at their feet
+const buildSpots = (rig, { width, m }) => {
+  const node = new PIXI.Container(); let spots = [];
+  const draw = (g, color, x, y) => {
+    const from = x + (x - width / 2) * 0.3;
+    g.clear(); g.beginFill(color).drawPolygon([from - 12, -m, from + 12, -m, x + 70, y + 50, x - 70, y + 50]).endFill();
+    g.beginFill(color).drawEllipse(x, y + 50, 80, 16).endFill();
+  };
+  return {
+    node,
+    // Re-aims in place: a member keeps its light (and a flash in progress) when it moves
+    aim: (members) => {
+      const old = new Map(spots.map((s) => [s.id, s]));
+      spots = members.map(({ id, x, y }, i) => {
+        const s = old.get(id) ?? { id, g: new PIXI.Graphics(), at: -Infinity }; old.delete(id);
+        s.g.blendMode = "add"; draw(s.g, rig.colors[i % rig.colors.length], x, y); node.addChild(s.g);
+        return s;
+      });
+      old.forEach((s) => s.g.destroy());
+    },
+    flash: (id, now) => spots.forEach((s) => { if (s.id === id) s.at = now; }),
+    update: (now) => spots.forEach((s) => { s.g.alpha = spotAlpha(now - s.at, rig); }),
+  };
+};
+
+// Builds `def` for a width × height stage. back / spots / front are containers for the camera (behind the
+// band, under it, over it). setMembers([{ id, x, y }]) re-aims the rig; flash(id, now) fires a member's
+// spot; update(now, { x, y }, energy) animates the layers for camera offset x, y and band energy 0..1.
+export const buildScene = (def = SCENES.plain, { width, height }) => {
+  const size = { width, height, m: Math.round(width * 0.15) };
+  const back = new PIXI.Container(), front = new PIXI.Container(), spotsLayer = new PIXI.Container();
+  const layers = def.layers.map((spec) => {
+    const layer = { ...LAYERS[spec.type](spec, size), depth: spec.depth ?? 1 };
+    (spec.front ? front : back).addChild(layer.node); return layer;
+  });
+  let spots = null;
+  return {
+    back, front, spots: spotsLayer,
+    setMembers: (members) => {
+      if (!def.lights) return;
+      if (!spots) { spots = buildSpots(def.lights, size); spotsLayer.addChild(spots.node); }
+      spots.aim(members);
+    },
+    flash: (id, now) => spots?.flash(id, now),
+    update: (now, cam = { x: 0, y: 0 }, energy = 0) => {
+      layers.forEach((l) => { l.node.position.set(cam.x * (1 - l.depth), cam.y * (1 - l.depth)); l.update?.(now, energy); });
+      spots?.update(now);
+    },
+    destroy: () => [back, front, spotsLayer].forEach((n) => n.destroy({ children: true })),
+  };
+};
@@ -0,0 +1,236 @@
+// ====== Beat scheduler (AudioContext clock) ======
+// A coarse timer queues ticks a little ahead of ctx.currentTime; tick times are computed from the
+// source start time, so nothing accumulates drift. A rAF loop dispatches each queued tick on the
+// frame closest to when it is actually heard (output latency compensated).
+// Transport: a segment maps ctx time to source time (started at `songFrom`, played at `rate`);
+// seeking starts a new one, and an A/B loop starts one at `loop.start` each time `loop.end` is reached.
+import { clamp } from "./util.js";
+import { timeAtBeat, beatAtTime } from "./beatmap.js";
+
+export const QUANTIZE_TICKS = { "1/1": 1, "1/2": 2, "1/4": 4, "1/3": 3, "1/6": 6 }; // 1/3, 1/6: triplets
+export const SWING_UNITS = { "1/2": 1 / 2, "1/4": 1 / 4 }; // which subdivision swing delays (every other one)
+
+// A beat is the lower note of the time signature, and the tempo counts it (6/8 at 180 BPM = 180 eighths a minute)
+export const METERS = {
+  "4/4": { beatsPerBar: 4, unit: 4 },
+  "3/4": { beatsPerBar: 3, unit: 4 },
+  "5/4": { beatsPerBar: 5, unit: 4 },
+  "6/8": { beatsPerBar: 6, unit: 8 },
+  "7/8": { beatsPerBar: 7, unit: 8 },
+  "9/8": { beatsPerBar: 9, unit: 8 },
+  "12/8": { beatsPerBar: 12, unit: 8 },
+};
+export const PHRASE_BARS = [4, 8, 16];
+export const stepsPerBeatFor = (meter) => 16 / (METERS[meter]?.unit ?? 4); // step sequencer resolution (sixteenths)
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// Grid = { anchorTime, anchorBeat, beatSec, tpb, qtpb?, spb?, swing, swingUnit?, map?, rate? }
+// tpb = ticks per beat: the Quantize grid (qtpb) and the step grid (spb) both fall on ticks.
+// Fixed tempo: beat `anchorBeat` sounds at ctx time `anchorTime` (beatSec already divided by the rate).
+// Beat map: beat b sounds at anchorTime + timeAtBeat(map, b) / rate (anchorTime = source time 0, shifted by the offset).
+const beatTime = (grid, b) => grid.map
+  ? grid.anchorTime + timeAtBeat(grid.map, b) / (grid.rate ?? 1)
+  : grid.anchorTime + (b - grid.anchorBeat) * grid.beatSec;
+// Swing warps each pair of `unit`s (beats) so the second one starts later; ticks in between move along
+const swingBeat = (b, swing, unit) => {
+  if (!swing || !unit) return b;
+  const pair = 2 * unit; const base = Math.floor(b / pair) * pair; const x = b - base; const mid = unit * (1 + swing * 0.5);
+  return base + (x < unit ? x * mid / unit : mid + (x - unit) * (pair - mid) / unit);
+};
+export const tickTime = (grid, n) => beatTime(grid, swingBeat(n / grid.tpb, grid.swing, grid.swingUnit ?? 1 / (grid.qtpb ?? grid.tpb)));
+export const beatAt = (grid, time) => grid.map
+  ? beatAtTime(grid.map, (time - grid.anchorTime) * (grid.rate ?? 1))
+  : grid.anchorBeat + (time - grid.anchorTime) / grid.beatSec;
+
+// With a beat map, Start Offset still means "first beat lands here": the map is shifted so beat 0 sits at offsetSec.
+// seg = { startTime, songFrom }: source time `songFrom` plays at ctx time `startTime`
+const SEG0 = { startTime: 0, songFrom: 0 };
+// stepsPerBeat: sixteenths per beat while any member plays a step pattern (1 otherwise).
+// Triplet grids are not swung — they already are.
+const makeGrid = ({ bpm = 120, quantize = "1/1", swing = 0, swingUnit = "1/2", beatMap = null, offsetSec = 0, rate = 1, stepsPerBeat = 1 }, anchorTime, anchorBeat, seg) => {
+  const qtpb = QUANTIZE_TICKS[quantize] ?? 1; const spb = stepsPerBeat;
+  return {
+    anchorTime: beatMap ? seg.startTime + (offsetSec - (beatMap.beats[0] ?? 0) - seg.songFrom) / rate : anchorTime, anchorBeat,
+    beatSec: 60 / clamp(bpm, 40, 240) / rate, tpb: qtpb * spb / gcd(qtpb, spb), qtpb, spb,
+    swing: qtpb % 3 === 0 ? 0 : clamp(swing, 0, 100) / 100, swingUnit: SWING_UNITS[swingUnit] ?? 1 / 2, map: beatMap, rate,
+  };
+};
+
+// Counted from the first downbeat (negative for pickup ticks): index = Quantize tick (null between them),
+// step = step-grid tick (null between them), beat, bar and phrase (meter.phraseBars bars)
+const describeTick = (grid, meter, { tick, time, tpb, qtpb = tpb, spb = 1 }) => {
+  const fine = tick - meter.downbeatIndex * tpb;
+  const index = fine % (tpb / qtpb) === 0 ? fine / (tpb / qtpb) : null;
+  const step = fine % (tpb / spb) === 0 ? fine / (tpb / spb) : null;
+  const beat = Math.floor(fine / tpb); const bar = Math.floor(beat / meter.beatsPerBar);
+  const phraseBars = meter.phraseBars ?? 4; const phrase = Math.floor(bar / phraseBars);
+  const isDownbeat = fine % (tpb * meter.beatsPerBar) === 0; const barInPhrase = bar - phrase * phraseBars;
+  const b = Math.floor(tick / tpb); const beatSec = grid ? beatTime(grid, b + 1) - beatTime(grid, b) : 0; // local beat length
+  return {
+    tick, index, step, time, beat, bar, beatInBar: beat - bar * meter.beatsPerBar, phrase, barInPhrase,
+    stepsPerBar: meter.beatsPerBar * spb, stepInBar: step == null ? null : step - bar * meter.beatsPerBar * spb,
+    isBeat: fine % tpb === 0, isDownbeat, isPhraseStart: isDownbeat && barInPhrase === 0 && bar >= 0, tpb, beatSec,
+  };
+};
+
+// Offline: the ticks a scheduler started with `params` at source time 0 would fire in [from, to) (source seconds)
+export const ticksBetween = ({ offsetSec = 0, beatsPerBar = 4, downbeatIndex = 0, phraseBars = 4, ...params }, from, to) => {
+  const grid = makeGrid({ offsetSec, ...params, rate: 1 }, offsetSec, 0, SEG0); const meter = { beatsPerBar, downbeatIndex, phraseBars };
+  const out = [];
+  for (let n = Math.max(0, Math.floor(beatAt(grid, from) * grid.tpb) - 1); ; n++) { // like the live scheduler, ticks start at 0
+    const time = tickTime(grid, n);
+    if (time >= to) break;
+    if (time >= from) out.push(describeTick(grid, meter, { tick: n, time, tpb: grid.tpb, qtpb: grid.qtpb, spb: grid.spb }));
+  }
+  return out;
+};
+
+// Offline (source seconds): the bar line nearest to `time`, or `bars` bar lines after it — loop points snap to it
+export const snapToBar = ({ offsetSec = 0, beatsPerBar = 4, downbeatIndex = 0, phraseBars, ...params }, time, bars = 0) => {
+  const grid = makeGrid({ offsetSec, ...params, rate: 1 }, offsetSec, 0, SEG0);
+  const bar = Math.round((beatAt(grid, time) - downbeatIndex) / beatsPerBar) + bars;
+  return beatTime(grid, bar * beatsPerBar + downbeatIndex);
+};
+
+// What the listener hears now, in ctx seconds — the clock tick times and rig clips are laid out on
+export const audibleTime = (ctx) => ctx.currentTime - (ctx.outputLatency || 0) - (ctx.baseLatency || 0);
+
+// onQueue(ev) fires when a tick is queued (≈aheadSec early, for animations that must anticipate it);
+// onTick(ev) fires on the frame it is heard
+export const createBeatScheduler = ({ ctx, onTick, onQueue, lookaheadMs = 25, aheadSec = 0.12 }) => {
+  let grid = null, meter = { beatsPerBar: 4, downbeatIndex: 0, phraseBars: 4 };
+  let seg = SEG0, segId = 0, prev = null, loop = null; // prev = { seg, grid } until the listener is past a loop wrap
+  let nextTick = 0, queue = [], timer = null, raf = null, frameSec = 1 / 60, lastFrame = 0;
+  let lastDispatched = -Infinity; // beat position (tick / tpb) of the last dispatched tick in the current segment
+  let late = []; // how late the last ticks were dispatched against the audio clock (s; < 0 = early)
+
+  const describe = (item) => describeTick(grid, meter, item);
+  const rate = () => params.rate ?? 1;
+  const timeAtSong = (s) => seg.startTime + (s - seg.songFrom) / rate();
+  const at = (t) => (t >= seg.startTime || !prev ? { seg, grid } : prev); // segment + grid that play at ctx time t
+  const songAt = (t) => { const p = at(t); return p.seg.songFrom + (t - p.seg.startTime) * (p.grid.rate ?? 1); };
+  const validLoop = (l) => (l && l.end - l.start > 0.05 ? { start: l.start, end: l.end } : null);
+
+  // Loop end queued: the next segment plays loop.start at the ctx time loop.end is reached
+  const wrap = (endTime) => {
+    const anchorBeat = beatAt(grid, timeAtSong(loop.start));
+    prev = { seg, grid }; seg = { startTime: endTime, songFrom: loop.start }; segId++;
+    grid = makeGrid(params, endTime, anchorBeat, seg);
+    nextTick = Math.ceil(beatAt(grid, endTime) * grid.tpb - 1e-6);
+  };
+
+  const fill = () => {
+    if (!grid) return;
+    const horizon = ctx.currentTime + aheadSec;
+    for (;;) {
+      const end = loop ? timeAtSong(loop.end) : Infinity;
+      const t = tickTime(grid, nextTick);
+      if (t >= end) { if (end >= horizon) break; wrap(end); continue; }
+      if (t >= horizon) break;
+      const item = { tick: nextTick, time: t, tpb: grid.tpb, qtpb: grid.qtpb, spb: grid.spb, seg: segId }; queue.push(item); nextTick++;
+      onQueue?.(describe(item));
+    }
+  };
+
+  const frame = (ts) => {
+    if (lastFrame) frameSec = clamp((ts - lastFrame) / 1000, 1 / 240, 0.1);
+    lastFrame = ts;
+    const now = audibleTime(ctx) + frameSec / 2;
+    let due = null;
+    while (queue.length && queue[0].time <= now) due = queue.shift(); // after throttling only the latest stale tick fires
+    if (due) {
+      lastDispatched = due.seg === segId ? due.tick / due.tpb : -Infinity;
+      late.push(audibleTime(ctx) - due.time); if (late.length > 64) late.shift();
+      onTick?.(describe(due));
+    }
+    raf = requestAnimationFrame(frame);
+  };
+
+  let params = {};
+  // songFrom: source time at startTime (seek / resume); anchorBeat: grid beat at startTime, so a resume keeps the phase;
+  // rate: playback rate (the grid scales with it); loop: { start, end } in source seconds
+  const start = ({ startTime, songFrom = 0, anchorBeat = null, loop: nextLoop = null, offsetSec = 0, beatsPerBar = 4, downbeatIndex = 0, phraseBars = 4, ...rest }) => {
+    stop();
+    params = { offsetSec, ...rest }; meter = { beatsPerBar, downbeatIndex, phraseBars }; loop = validLoop(nextLoop);
+    seg = { startTime, songFrom }; segId++; prev = null;
+    grid = anchorBeat != null ? makeGrid(params, startTime, anchorBeat, seg) : makeGrid(params, startTime + (offsetSec - songFrom) / rate(), 0, seg);
+    nextTick = Math.max(0, Math.ceil(beatAt(grid, startTime) * grid.tpb - 1e-6)); lastDispatched = -Infinity; late = [];
+    fill();
+    timer = setInterval(fill, lookaheadMs);
+    lastFrame = 0; raf = requestAnimationFrame(frame);
+  };
+
+  // Change tempo/quantize/swing/offset/beat map/rate/loop while running without losing the beat position
+  const update = ({ beatsPerBar, downbeatIndex, phraseBars, loop: nextLoop, ...next }) => {
+    if (beatsPerBar != null) meter.beatsPerBar = beatsPerBar;
+    if (downbeatIndex != null) meter.downbeatIndex = downbeatIndex;
+    if (phraseBars != null) meter.phraseBars = phraseBars;
+    if (nextLoop !== undefined) loop = validLoop(nextLoop);
+    if (!grid) return;
+    const now = ctx.currentTime;
+    const shift = (next.offsetSec ?? params.offsetSec) - params.offsetSec;
+    if (next.rate != null && next.rate !== rate()) { seg = { startTime: now, songFrom: songAt(now) }; prev = null; } // re-anchor the source clock
+    params = { ...params, ...next };
+    const anchorBeat = beatAt(grid, now);
+    grid = makeGrid(params, now + shift / rate(), anchorBeat, seg); // beat-map grids ignore the anchor and re-derive from the segment
+    requeue(now);
+  };
+
+  // External tempo (live tracker, MIDI clock): re-anchor a fixed-tempo grid on a beat at ctx `time`.
+  // `beat` (counted from the first downbeat) pins the absolute position, e.g. after a MIDI song-position jump.
+  const lock = ({ time, bpm, beat = null }) => {
+    if (!grid || grid.map) return;
+    const anchorTime = time + params.offsetSec;
+    const running = beatAt(grid, anchorTime);
+    const anchorBeat = beat != null ? beat + meter.downbeatIndex : Math.round(running); // nearest running beat keeps the count continuous
+    if (Math.abs(anchorBeat - running) > 0.5) { queue = []; lastDispatched = -Infinity; } // jumped: allow earlier ticks again
+    params = { ...params, bpm: bpm ?? params.bpm };
+    grid = makeGrid(params, anchorTime, anchorBeat, seg);
+    requeue(ctx.currentTime);
+  };
+
+  // Drop queued ticks that have not sounded yet and rebuild from the new grid without repeating any
+  const requeue = (now) => {
+    queue = queue.filter((q) => q.time <= now);
+    const last = queue.filter((q) => q.seg === segId).pop();
+    const after = Math.max(last ? last.tick / last.tpb : -Infinity, lastDispatched);
+    const afterTick = Number.isFinite(after) ? Math.floor(after * grid.tpb + 1e-6) + 1 : 0;
+    nextTick = Math.max(afterTick, Math.ceil(beatAt(grid, now - 0.02) * grid.tpb - 1e-6));
+    fill();
+  };
+
+  const stop = () => {
+    if (timer) { clearInterval(timer); timer = null; }
+    if (raf) { cancelAnimationFrame(raf); raf = null; }
+    queue = []; grid = null; prev = null;
+  };
+
+  // Stop, returning where: the source time under the playhead and the grid beat there (for a phase-keeping resume)
+  const pause = () => {
+    if (!grid) return null;
+    const now = ctx.currentTime; const p = { songTime: songAt(now), beat: beatAt(at(now).grid, now) };
+    stop(); return p;
+  };
+
+  // Current song position as heard: seconds into the source, beat, bar and phrase (relative to the first downbeat)
+  const getPosition = () => {
+    if (!grid) return null;
+    const t = audibleTime(ctx);
+    const beatF = beatAt(at(t).grid, t) - meter.downbeatIndex;
+    const beat = Math.floor(beatF); const bar = Math.floor(beat / meter.beatsPerBar); const phrase = Math.floor(bar / meter.phraseBars);
+    return { songTime: Math.max(0, songAt(t)), beat, bar, beatInBar: beat - bar * meter.beatsPerBar, phrase, barInPhrase: bar - phrase * meter.phraseBars, phase: beatF - beat };
+  };
+
+  // Seconds to shift the grid (via Start Offset) so the nearest downbeat lands on what is heard right now
+  const downbeatShift = () => {
+    if (!grid) return 0;
+    const t = audibleTime(ctx);
+    const rel = beatAt(grid, t) - meter.downbeatIndex;
+    const target = Math.round(rel / meter.beatsPerBar) * meter.beatsPerBar + meter.downbeatIndex;
+    return (t - tickTime({ ...grid, swing: 0 }, target * grid.tpb)) * rate();
+  };
+
+  // ctx time at which source time `s` plays in the current segment (e.g. the track end, for the setlist handover)
+  return { start, update, lock, stop, pause, getPosition, downbeatShift, timeAtSong: (s) => (grid ? timeAtSong(s) : null), isRunning: () => !!grid, lateness: () => [...late] };
+};
@@ -0,0 +1,84 @@
+// ====== Step sequencer (per-member rhythm patterns) ======
+// A pattern is one or two bars of sixteenth steps (16 or 32 in 4/4, 12 or 24 in 6/8 …) laid against the
+// bar position the scheduler reports, so step 0 always lands on a downbeat. A step is null (rest) or
+// { vel 0..1, accent, prob 0..1, pad } (pad: drum pad for the octopus, null = alternate).
+
+export const STEPS_PER_BAR = 16; // in 4/4; presets are written in it
+export const PATTERN_BARS = [1, 2];
+export const GHOST_VEL = 0.35;
+
+export const makeStep = (overrides = {}) => ({ vel: 0.8, accent: false, prob: 1, pad: null, ...overrides });
+
+// Named drum pads (see the drum kit in characters.js: pad 2 sits low, 6 high, 0 and 4 at the sides)
+export const DRUM_PADS = { k: 2, s: 6, h: 0, t: 4 };
+export const PAD_LABELS = { 2: "kick", 6: "snare", 0: "hat", 4: "tom", 1: "low 2", 3: "low 3", 5: "high 2", 7: "high 3" };
+
+// Preset notation, one char per step: . rest, x hit, X accent, o ghost, ? 50% chance; k/s/h/t are drum
+// hits on a named pad (upper case = accent)
+export const parseSteps = (str) => Array.from(str, (c) => {
+  const pad = DRUM_PADS[c.toLowerCase()];
+  if (pad != null) return makeStep({ pad, accent: c !== c.toLowerCase(), vel: c !== c.toLowerCase() ? 1 : 0.8 });
+  switch (c) {
+    case "x": return makeStep();
+    case "X": return makeStep({ vel: 1, accent: true });
+    case "o": return makeStep({ vel: GHOST_VEL });
+    case "?": return makeStep({ prob: 0.5 });
+    default: return null;
+  }
+});
+
+export const emptySteps = (length = STEPS_PER_BAR) => new Array(length).fill(null);
+// 16 → 32 repeats the bar, 32 → 16 keeps the first bar
+export const resizeSteps = (steps, length) => Array.from({ length }, (_, i) => steps[i % steps.length] ?? null);
+// New bar length (meter change): each bar is cut or padded with rests, the bar count stays
+export const refitSteps = (steps, from, to) => {
+  if (from === to) return steps;
+  const bars = Math.max(1, Math.round(steps.length / from));
+  return Array.from({ length: bars * to }, (_, i) => { const b = Math.floor(i / to), s = i % to; return s < from ? steps[b * from + s] ?? null : null; });
+};
+
+// Genre presets: a part per instrument (missing ones fall back to `other`)
+export const GENRES = {
+  rock: { label: "Rock", parts: {
+    drums: "K.h.s.h.k.k.S.h.", bass: "X.x.....x.x.x...", keys: "....x.......x...", violin: "x.......x.......", other: "x...x...x...x...",
+  } },
+  funk: { label: "Funk", parts: {
+    drums: "K.hskoh.s.hk.oS.", bass: "X..x..o.x.x..o..", keys: ".x.x.x.x.x.x.x.x", violin: "x.....x...x.....", other: "..x...x...x..x..",
+  } },
+  house: { label: "House", parts: {
+    drums: "K.h.S.h.K.h.S.h?", bass: "..x...x...x...x.", keys: "..X.....x.X.....", violin: "X...............", other: "x.o.x.o.x.o.x.o.",
+  } },
+  hiphop: { label: "Hip-hop", parts: {
+    drums: "K..h.sh.k.k.Sh.oK..h.sh.k...S.h?", bass: "X......x..x.....X.....x.x.......", keys: "x.......x.......", violin: "X...............", other: "..x.....x.?.....",
+  } },
+  reggae: { label: "Reggae", parts: {
+    drums: "h.h.h.h.K.h.h.h.", bass: "X..x....x..o..x.", keys: "....X.......X...", violin: "x...............", other: "....x.......x...",
+  } },
+};
+// stepsPerBar: the current meter's (presets are 4/4 and get refitted)
+export const presetSteps = (genre, instrument, stepsPerBar = STEPS_PER_BAR) => {
+  const parts = GENRES[genre]?.parts; if (!parts) return null;
+  const steps = parseSteps(parts[instrument] ?? parts.other);
+  return refitSteps(steps.length > STEPS_PER_BAR ? resizeSteps(steps, 32) : steps, STEPS_PER_BAR, stepsPerBar);
+};
+
+// Position in a pattern for a scheduler tick (needs ev.stepInBar, i.e. a sixteenth grid)
+export const stepIndex = (length, { bar, stepInBar, stepsPerBar }) => {
+  const bars = Math.max(1, Math.round(length / stepsPerBar));
+  return ((((bar % bars) + bars) % bars) * stepsPerBar + stepInBar) % length;
+};
+
+// Same roll for the same member and step, so re-queued ticks and offline exports agree
+const roll = (id, n) => {
+  let h = 2166136261;
+  for (const c of `${id}:${n}`) h = Math.imul(h ^ c.charCodeAt(0), 16777619);
+  return (h >>> 0) / 4294967296;
+};
+
+// Does a step-pattern member play on this tick? → { vel, accent, pad } | null
+export const stepHit = (member, ev) => {
+  if (member.rhythm !== "steps" || !member.steps?.length || ev.step == null) return null;
+  const s = member.steps[stepIndex(member.steps.length, ev)]; if (!s) return null;
+  if (s.prob < 1 && roll(member.id, ev.step) >= s.prob) return null;
+  return { vel: s.accent ? 1 : s.vel, accent: s.accent, pad: s.pad };
+};
@@ -0,0 +1,33 @@
+// ====== Setlist (show mode) ======
+// A queue of tracks, each remembering its own settings (tempo / beat map, offset, feel, realism, roster).
+// Pure list + fade math; decoding and playback live in App.jsx.
+import { moveMember } from "./roster.js";
+
+let nextId = 1;
+// hash: SHA-256 of the file (the key of its stored audio + analysis); settings: saved ones, if any
+export const createTrack = (file, { hash = null, settings = null } = {}) => ({ id: `t${Date.now().toString(36)}${nextId++}`, name: file.name, file, hash, settings });
+
+export const moveTrack = moveMember; // same id-based swap as the roster
+
+// Track after `id` (null at the end of the set)
+export const nextTrack = (list, id) => {
+  const i = list.findIndex((t) => t.id === id);
+  return i >= 0 ? list[i + 1] ?? null : null;
+};
+
+// A track seen for the first time keeps the current look and feel but none of the previous song's tempo analysis
+export const inheritSettings = (s) => ({ ...s, bpm: null, tempoInfo: null, phaseInfo: null, beatMap: null, useBeatMap: false });
+
+// Short label for the list: saved tempo, meter (when not 4/4) and whether a beat map follows the song
+export const describeSettings = (s) => {
+  if (!s) return "new";
+  const tempo = s.bpm ?? s.manualBpm;
+  return `${tempo} BPM${s.timeSig && s.timeSig !== "4/4" ? ` · ${s.timeSig}` : ""}${s.useBeatMap && s.beatMap ? " · map" : ""}${s.swing ? ` · swing ${s.swing}%` : ""}`;
+};
+
+// Equal-power fade curves (n points, 0 → 1): the incoming gain, and the outgoing one mirrored
+export const crossfadeCurves = (n = 64) => {
+  const fadeIn = new Float32Array(n), fadeOut = new Float32Array(n);
+  for (let i = 0; i < n; i++) { const x = i / (n - 1); fadeIn[i] = Math.sin(x * Math.PI / 2); fadeOut[i] = Math.cos(x * Math.PI / 2); }
+  return { fadeIn, fadeOut };
+};
@@ -0,0 +1,83 @@
+// ====== Stage moves (camera and lights on the beat grid) ======
+// The scheduler flags downbeats and the first downbeat of every phrase (4/8/16 bars); the stage answers
+// with a camera punch-in, a pan to a new framing, a shake on the downbeat and/or a new lighting colour.
+// Every beat is marked too, so beat-driven effects (post-processing) follow the grid rather than the audio.
+// Moves are queued ahead like rig actions and take effect at their contact time, so the live stage, the
+// output window and offline export agree.
+
+export const PHRASE_MOVES = { off: "Off", lights: "Lights", punch: "Punch-in", both: "Punch-in + lights" };
+// zoom: extra scale at the peak of a phrase punch-in; pan: px a phrase pan travels; shake: px on downbeats.
+// "fixed" never moves the frame (VJ software such as Resolume keys and maps it); phrase lights still change.
+export const CAMERA_STYLES = {
+  fixed: { label: "Fixed", zoom: 0, pan: 0, shake: 0 },
+  gentle: { label: "Gentle", zoom: 0.12, pan: 24, shake: 0 },
+  lively: { label: "Lively", zoom: 0.16, pan: 48, shake: 5 },
+};
+const PUNCH_ATTACK = 0.06, PUNCH_DECAY = 0.45, LIGHT_FADE = 0.3, PAN_TIME = 1.2, SHAKE_DECAY = 0.18; // seconds
+
+// Stage tints per phrase ([r, g, b] multipliers; 1 = untouched), cycled by phrase number
+export const PHRASE_LIGHTS = [[1, 1, 1], [0.85, 0.95, 1.2], [1.2, 0.9, 0.85], [0.95, 1.15, 0.9], [1.15, 0.9, 1.15]];
+const NEUTRAL = PHRASE_LIGHTS[0];
+// Framings per phrase (camera offset as a fraction of the style's pan), cycled like the lights
+const PAN_SHOTS = [[0, 0], [-1, 0.4], [1, 0.2], [0.4, -0.5]];
+const cycle = (list, n) => list[((n % list.length) + list.length) % list.length];
+
+// What the stage does for a tick (null off the beat). phrase: PHRASE_MOVES key, camera: CAMERA_STYLES key.
+export const tickMove = (ev, { phrase = "both", camera = "gentle" } = {}) => {
+  const cam = CAMERA_STYLES[camera] ?? CAMERA_STYLES.fixed;
+  const mode = PHRASE_MOVES[phrase] ? phrase : "off";
+  const move = {};
+  if (ev.isPhraseStart && mode !== "off") {
+    if ((mode === "punch" || mode === "both") && cam.zoom) move.punch = cam.zoom;
+    if (mode === "lights" || mode === "both") move.light = ev.phrase;
+    if (cam.pan) move.pan = cycle(PAN_SHOTS, ev.phrase).map((v) => v * cam.pan);
+  }
+  if (ev.isDownbeat && cam.shake) move.shake = cam.shake;
+  if (ev.isBeat) move.beat = ev.isDownbeat ? "bar" : "beat";
+  return Object.keys(move).length ? { key: ev.index, ...move } : null;
+};
+
+const punchAt = (dt) => (dt < 0 ? 0 : dt < PUNCH_ATTACK ? dt / PUNCH_ATTACK : Math.exp(-(dt - PUNCH_ATTACK) / PUNCH_DECAY));
+const mix = (a, b, x) => a.map((v, i) => v + (b[i] - v) * x);
+const ease = (x) => { const t = Math.min(1, Math.max(0, x)); return t * t * (3 - 2 * t); };
+
+// queue(contact, { key, punch, light, pan, shake }): punch = zoom amount; light = phrase number (palette),
+// null (back to neutral) or undefined (unchanged); pan = [x, y] px framing to glide to; shake = px;
+// beat = "beat" | "bar". A re-queued move with the same key replaces the pending one.
+// at(now) → { zoom, tint, x, y, beat } for the frame at `now` (x, y: camera offset in stage px;
+// beat: { since, sinceBar, len } seconds since the last beat / downbeat and the beat length).
+export const createStageMoves = () => {
+  let pending, punch, light, pan, shake, beat;
+  const reset = () => {
+    pending = []; punch = { time: -Infinity, amount: 0 }; light = { from: NEUTRAL, to: NEUTRAL, time: -Infinity };
+    pan = { from: [0, 0], to: [0, 0], time: -Infinity }; shake = { time: -Infinity, amount: 0 };
+    beat = { at: -Infinity, bar: -Infinity, len: 0.5 };
+  };
+  const tintAt = (now) => mix(light.from, light.to, Math.min(1, Math.max(0, (now - light.time) / LIGHT_FADE)));
+  const panAt = (now) => mix(pan.from, pan.to, ease((now - pan.time) / PAN_TIME));
+  const apply = (m) => {
+    if (m.punch) punch = { time: m.contact, amount: m.punch };
+    if (m.light !== undefined) light = { from: tintAt(m.contact), to: m.light == null ? NEUTRAL : cycle(PHRASE_LIGHTS, m.light), time: m.contact };
+    if (m.pan) pan = { from: panAt(m.contact), to: m.pan, time: m.contact };
+    if (m.shake) shake = { time: m.contact, amount: m.shake };
+    if (m.beat) {
+      const gap = m.contact - beat.at; // consecutive beats give the beat length (a seek or stop does not)
+      beat = { at: m.contact, bar: m.beat === "bar" ? m.contact : beat.bar, len: gap > 0.15 && gap < 3 ? gap : beat.len };
+    }
+  };
+  reset();
+  return {
+    queue: (contact, { key = null, ...move }) => {
+      pending = pending.filter((m) => key == null || m.key !== key);
+      pending.push({ contact, key, ...move }); pending.sort((a, b) => a.contact - b.contact);
+    },
+    at: (now) => {
+      while (pending.length && pending[0].contact <= now) apply(pending.shift());
+      const [px, py] = panAt(now); const dt = now - shake.time;
+      const s = dt >= 0 ? shake.amount * Math.exp(-dt / SHAKE_DECAY) : 0;
+      return { zoom: 1 + punch.amount * punchAt(now - punch.time), tint: tintAt(now), x: px + s * Math.sin(dt * 70), y: py + s * 0.6 * Math.cos(dt * 55),
+        beat: { since: now - beat.at, sinceBar: now - beat.bar, len: beat.len } };
+    },
+    reset,
+  };
+};
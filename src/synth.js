@@ -0,0 +1,112 @@
+// ====== Band synth (Web Audio instruments) ======
+// Small synthesized voices so the animals can be heard: a drum kit with a voice per pad, a bowed string,
+// a bass, keys and an "ooh" voice. Notes come from a minor pentatonic on a chosen root, picked from the
+// tick's place in the bar, so the same tick always plays the same note (live, re-queued or exported).
+// Voices start on ctx time and go to the mix bus channel of their instrument.
+
+export const NOTE_NAMES = ["C", "C#", "D", "Eb", "E", "F", "F#", "G", "Ab", "A", "Bb", "B"];
+const PENTATONIC = [0, 3, 5, 7, 10];
+
+// Drum pad → voice (see DRUM_PADS in sequencer.js: 2 kick, 6 snare, 0 hat, 4 tom)
+export const PAD_VOICES = { 0: "hat", 1: "kick", 2: "kick", 3: "tom", 4: "tom", 5: "snare", 6: "snare", 7: "hat" };
+
+// Per instrument: octave (MIDI note of the root when it is C) and a riff of scale degrees, stepped by beat
+const PARTS = {
+  bass: { base: 36, riff: [0, 0, 3, 4] },
+  violin: { base: 60, riff: [0, 2, 3, 4, 3, 2, 1, 2] },
+  keys: { base: 60, riff: [0, 0, 3, 2] },
+  vocals: { base: 60, riff: [4, 3, 2, 0] },
+};
+
+export const midiToHz = (n) => 440 * 2 ** ((n - 69) / 12);
+const degree = (d) => PENTATONIC[((d % 5) + 5) % 5] + 12 * Math.floor(d / 5);
+
+// MIDI note an instrument plays on a tick (root: 0–11, NOTE_NAMES index); null for drums
+export const noteFor = (instrument, ev, root = 9) => {
+  const part = PARTS[instrument]; if (!part) return null;
+  const n = part.riff[((ev.beat % part.riff.length) + part.riff.length) % part.riff.length];
+  return part.base + (root > 6 ? root - 12 : root) + degree(n);
+};
+
+// play({ instrument, time, vel, pad, note, len, key }): time in ctx seconds, len = sustain for held voices.
+// A play with the key of one that has not started yet replaces it (re-queued ticks).
+export const createBandSynth = (ctx, bus) => {
+  const pending = new Map(); // key → { time, nodes }
+  let noise = null;
+  const noiseBuffer = () => {
+    if (noise) return noise;
+    noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+    const d = noise.getChannelData(0); for (let i = 0; i < d.length; i++) d[i] = Math.random() * 2 - 1;
+    return noise;
+  };
+  // Envelope gain: attack to `peak`, hold, then an exponential tail of `decay` seconds
+  const env = (t, peak, { attack = 0.003, hold = 0, decay = 0.2 } = {}) => {
+    const g = ctx.createGain(); g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(Math.max(0.0002, peak), t + attack);
+    g.gain.setValueAtTime(Math.max(0.0002, peak), t + attack + hold);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + attack + hold + decay);
+    return g;
+  };
+  const osc = (type, freq, t, end) => { const o = ctx.createOscillator(); o.type = type; o.frequency.setValueAtTime(freq, t); o.start(t); o.stop(end); return o; };
+  const noiseSrc = (t, end) => { const s = ctx.createBufferSource(); s.buffer = noiseBuffer(); s.loop = true; s.start(t); s.stop(end); return s; };
+  const filter = (type, freq, q = 0.7) => { const f = ctx.createBiquadFilter(); f.type = type; f.frequency.value = freq; f.Q.value = q; return f; };
+
+  const VOICES = {
+    kick: (t, v, out) => {
+      const o = osc("sine", 150, t, t + 0.4); o.frequency.exponentialRampToValueAtTime(45, t + 0.12);
+      o.connect(env(t, v, { decay: 0.35 })).connect(out); return [o];
+    },
+    snare: (t, v, out) => {
+      const n = noiseSrc(t, t + 0.25); n.connect(filter("highpass", 1200)).connect(env(t, v * 0.6, { decay: 0.18 })).connect(out);
+      const o = osc("triangle", 185, t, t + 0.12); o.connect(env(t, v * 0.4, { decay: 0.08 })).connect(out);
+      return [n, o];
+    },
+    hat: (t, v, out) => { const n = noiseSrc(t, t + 0.1); n.connect(filter("highpass", 7000)).connect(env(t, v * 0.35, { decay: 0.05 })).connect(out); return [n]; },
+    tom: (t, v, out, pad) => {
+      const f = pad === 3 ? 95 : 130; const o = osc("sine", f, t, t + 0.4); o.frequency.exponentialRampToValueAtTime(f * 0.65, t + 0.25);
+      o.connect(env(t, v * 0.8, { decay: 0.28 })).connect(out); return [o];
+    },
+  };
+  const INSTRUMENTS = {
+    drums: ({ time: t, vel, pad }, out) => VOICES[PAD_VOICES[pad] ?? "kick"](t, vel, out, pad),
+    bass: ({ time: t, vel, note, len }, out) => {
+      const end = t + Math.max(0.15, len) + 0.1; const o = osc("sawtooth", midiToHz(note), t, end);
+      const lp = filter("lowpass", 1400, 4); lp.frequency.setValueAtTime(1400, t); lp.frequency.exponentialRampToValueAtTime(220, t + 0.18);
+      o.connect(lp).connect(env(t, vel * 0.5, { attack: 0.005, hold: Math.max(0.05, len - 0.1), decay: 0.12 })).connect(out); return [o];
+    },
+    // Bowed string: two detuned saws, a soft attack and vibrato that comes in after the bow catches
+    violin: ({ time: t, vel, note, len }, out) => {
+      const hold = Math.max(0.1, len); const end = t + hold + 0.3;
+      const lp = filter("lowpass", 2600, 1.2); const g = env(t, vel * 0.22, { attack: 0.08, hold, decay: 0.2 });
+      const lfo = osc("sine", 5.5, t, end); const depth = ctx.createGain(); depth.gain.setValueAtTime(0, t); depth.gain.linearRampToValueAtTime(12, t + 0.25);
+      lfo.connect(depth);
+      const oscs = [-5, 5].map((cents) => { const o = osc("sawtooth", midiToHz(note), t, end); o.detune.value = cents; depth.connect(o.detune); o.connect(lp); return o; });
+      lp.connect(g).connect(out); return [...oscs, lfo];
+    },
+    keys: ({ time: t, vel, note }, out) => {
+      const g = env(t, vel * 0.18, { decay: 0.6 });
+      const oscs = [0, 3, 7].map((i) => osc("triangle", midiToHz(note + i), t, t + 0.7)); // minor triad stab
+      oscs.forEach((o) => o.connect(g)); g.connect(out); return oscs;
+    },
+    vocals: ({ time: t, vel, note, len }, out) => {
+      const hold = Math.max(0.1, len); const o = osc("sawtooth", midiToHz(note), t, t + hold + 0.3);
+      const g = env(t, vel * 0.3, { attack: 0.06, hold, decay: 0.2 });
+      [[400, 6], [800, 8]].forEach(([f, q]) => o.connect(filter("bandpass", f, q)).connect(g)); // "ooh" formants
+      g.connect(out); return [o];
+    },
+  };
+
+  const cancel = (entry) => entry.nodes.forEach((n) => { try { n.stop(0); } catch {} });
+  return {
+    play: ({ instrument, time, vel = 0.8, pad = null, note = null, len = 0.3, key = null }) => {
+      const voice = INSTRUMENTS[instrument]; if (!voice || (note == null && instrument !== "drums")) return;
+      const t = Math.max(time, ctx.currentTime);
+      const old = key != null ? pending.get(key) : null;
+      if (old && old.time > ctx.currentTime) cancel(old);
+      const nodes = voice({ time: t, vel, pad, note, len }, bus.input(instrument));
+      if (key != null) { pending.set(key, { time: t, nodes }); nodes[0].onended = () => { if (pending.get(key)?.nodes === nodes) pending.delete(key); }; }
+    },
+    // Stop everything queued or still ringing
+    silence: () => { pending.forEach(cancel); pending.clear(); },
+  };
+};
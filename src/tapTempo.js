@@ -0,0 +1,28 @@
+// ====== Tap tempo ======
+// Averages the intervals of the last taps after dropping outliers (double taps, missed taps).
+import { clamp } from "./util.js";
+
+// times: tap timestamps in ms, oldest first. Returns BPM (0.1 resolution) or null.
+export const tempoFromTaps = (times, { maxTaps = 8, tolerance = 0.25 } = {}) => {
+  const recent = times.slice(-maxTaps);
+  if (recent.length < 2) return null;
+  const intervals = recent.slice(1).map((t, i) => t - recent[i]);
+  const sorted = [...intervals].sort((a, b) => a - b); const median = sorted[Math.floor(sorted.length / 2)];
+  const kept = intervals.filter((d) => Math.abs(d - median) <= median * tolerance);
+  const avg = kept.reduce((a, b) => a + b, 0) / kept.length;
+  return avg > 0 ? Math.round(clamp(60000 / avg, 40, 240) * 10) / 10 : null;
+};
+
+// Stateful tapper: a pause longer than resetMs starts a new tap sequence
+export const createTapTempo = ({ resetMs = 2000, ...opts } = {}) => {
+  let times = [];
+  return {
+    tap: (now = performance.now()) => {
+      if (times.length && now - times[times.length - 1] > resetMs) times = [];
+      times.push(now); times = times.slice(-16);
+      return tempoFromTaps(times, opts);
+    },
+    count: () => times.length,
+    reset: () => { times = []; },
+  };
+};
@@ -0,0 +1,17 @@
+// ====== Track analysis off the main thread ======
+// One worker per run, terminated when it answers. Without Worker support (tests) it runs inline.
+import { analyzeTrack } from "./analysis.js";
+import { analyzeBands } from "./bands.js";
+
+// → { track: analyzeTrack() result, bands: analyzeBands() result }
+export const analyzeInWorker = (buffer, { beatsPerBar = 4 } = {}) => {
+  if (typeof Worker === "undefined") return Promise.resolve({ track: analyzeTrack(buffer, { beatsPerBar }), bands: analyzeBands(buffer) });
+  // Copies: transferring the AudioBuffer's own arrays would detach them from the playing track
+  const channels = []; for (let c = 0; c < buffer.numberOfChannels; c++) channels.push(buffer.getChannelData(c).slice());
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL("./workers/trackAnalysis.worker.js", import.meta.url), { type: "module" });
+    worker.onmessage = (e) => { worker.terminate(); if (e.data?.error) reject(new Error(e.data.error)); else resolve(e.data); };
+    worker.onerror = (e) => { worker.terminate(); reject(new Error(e.message || "Analysis worker failed")); };
+    worker.postMessage({ channels, sampleRate: buffer.sampleRate, beatsPerBar }, channels.map((ch) => ch.buffer));
+  });
+};
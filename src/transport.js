@@ -0,0 +1,32 @@
+// ====== Transport (waveform overview, A/B loop, playback rate) ======
+// Pure helpers; seeking, pausing and looping the source and the scheduler live in App.jsx.
+import { clamp } from "./util.js";
+import { snapToBar } from "./scheduler.js";
+
+export const RATE_RANGE = { min: 0.5, max: 1.5, step: 0.05 };
+
+// Min/max per column over the first two channels ([min0, max0, min1, max1, …]); long files are sampled with a stride
+export const waveformPeaks = (buffer, columns) => {
+  const chans = Array.from({ length: Math.min(2, buffer.numberOfChannels) }, (_, c) => buffer.getChannelData(c));
+  const peaks = new Float32Array(columns * 2); const per = buffer.length / columns;
+  const stride = Math.max(1, Math.floor(per / 256));
+  for (let i = 0; i < columns; i++) {
+    let lo = 0, hi = 0;
+    const end = Math.min(buffer.length, Math.floor((i + 1) * per));
+    for (let s = Math.floor(i * per); s < end; s += stride) {
+      for (const d of chans) { const v = d[s]; if (v < lo) lo = v; else if (v > hi) hi = v; }
+    }
+    peaks[i * 2] = lo; peaks[i * 2 + 1] = hi;
+  }
+  return peaks;
+};
+
+// A/B region from two picked times (any order): both ends on bar lines, at least one bar long, inside the track.
+// params = scheduler params of the track (tempo or beat map, offset, meter); null when nothing fits.
+export const loopRegion = (params, a, b, duration) => {
+  const start = clamp(snapToBar(params, Math.min(a, b)), 0, duration);
+  let end = snapToBar(params, Math.max(a, b));
+  if (end <= start + 1e-3) end = snapToBar(params, start, 1);
+  end = Math.min(end, duration);
+  return end - start > 0.05 ? { start, end } : null;
+};
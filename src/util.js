@@ -0,0 +1,8 @@
+// ====== Helpers ======
+export const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
+export const formatMs = (ms) => `${ms.toFixed(0)} ms`;
+export const formatTime = (sec) => {
+  const tenths = Math.round(sec * 10); // round first, so 59.96 carries into the minute
+  return `${Math.floor(tenths / 600)}:${((tenths % 600) / 10).toFixed(1).padStart(4, "0")}`;
+};
+export const shouldHit = (beatIndex, subdivision = 1) => beatIndex % subdivision === 0; // 1=every beat, 2=every 2 beats, etc.
@@ -0,0 +1,100 @@
+// ====== Minimal WebM (Matroska) muxer ======
+// Enough EBML to store WebCodecs output: one VP8/VP9 video track (optionally with alpha as
+// BlockAdditional, the way browsers write it) and one Opus audio track. Chunks are collected
+// and written on finalize() — clusters start at video keyframes, times are in ms.
+
+const ID = {
+  EBML: 0x1a45dfa3, EBMLVersion: 0x4286, EBMLReadVersion: 0x42f7, EBMLMaxIDLength: 0x42f2, EBMLMaxSizeLength: 0x42f3,
+  DocType: 0x4282, DocTypeVersion: 0x4287, DocTypeReadVersion: 0x4285,
+  Segment: 0x18538067, Info: 0x1549a966, TimecodeScale: 0x2ad7b1, Duration: 0x4489, MuxingApp: 0x4d80, WritingApp: 0x5741,
+  Tracks: 0x1654ae6b, TrackEntry: 0xae, TrackNumber: 0xd7, TrackUID: 0x73c5, TrackType: 0x83, CodecID: 0x86, CodecPrivate: 0x63a2,
+  MaxBlockAdditionID: 0x55ee, Video: 0xe0, PixelWidth: 0xb0, PixelHeight: 0xba, AlphaMode: 0x53c0,
+  Audio: 0xe1, SamplingFrequency: 0xb5, Channels: 0x9f,
+  Cluster: 0x1f43b675, Timecode: 0xe7, SimpleBlock: 0xa3, BlockGroup: 0xa0, Block: 0xa1, ReferenceBlock: 0xfb,
+  BlockAdditions: 0x75a1, BlockMore: 0xa6, BlockAddID: 0xee, BlockAdditional: 0xa5,
+};
+
+const bytesBE = (n, len) => { const b = new Uint8Array(len); for (let i = len - 1; i >= 0; i--) { b[i] = n % 256; n = Math.floor(n / 256); } return b; };
+const uintLen = (n) => { let len = 1; while (n >= 256 ** len && len < 8) len++; return len; };
+export const vint = (n) => {
+  for (let len = 1; len <= 8; len++) {
+    if (n < 2 ** (7 * len) - 1) { const b = bytesBE(n, len); b[0] |= 1 << (8 - len); return b; }
+  }
+  throw new Error("EBML size too large");
+};
+const idBytes = (id) => bytesBE(id, uintLen(id));
+
+// Element = { size, parts: Uint8Array[] } so big payloads are never copied into one buffer
+const el = (id, body) => {
+  const kids = body instanceof Uint8Array ? [{ size: body.length, parts: [body] }] : body.filter(Boolean);
+  const size = kids.reduce((n, k) => n + k.size, 0);
+  const head = [idBytes(id), vint(size)];
+  return { size: size + head[0].length + head[1].length, parts: [...head, ...kids.flatMap((k) => k.parts)] };
+};
+const uint = (id, n) => el(id, bytesBE(n, uintLen(n)));
+const int16 = (n) => { const b = new Uint8Array(2); new DataView(b.buffer).setInt16(0, n); return b; };
+const float = (id, x) => { const b = new Uint8Array(8); new DataView(b.buffer).setFloat64(0, x); return el(id, b); };
+const str = (id, s) => el(id, new TextEncoder().encode(s));
+const copy = (chunk) => { const b = new Uint8Array(chunk.byteLength); chunk.copyTo(b); return b; };
+
+// OpusHead (RFC 7845) for encoders that do not hand out a decoder description
+const opusHead = (channels, sampleRate) => {
+  const b = new Uint8Array(19); const v = new DataView(b.buffer);
+  b.set(new TextEncoder().encode("OpusHead")); b[8] = 1; b[9] = channels;
+  v.setUint16(10, 3840, true); v.setUint32(12, sampleRate, true);
+  return b;
+};
+
+// video: { codec: "V_VP9" | "V_VP8", width, height, alpha }, audio: { sampleRate, channels } | null
+export const createWebmMuxer = ({ video, audio = null, app = "Animal Band" }) => {
+  const frames = []; // { track, time (ms), end (ms), key, data, alpha? }
+  let audioPrivate = null;
+  return {
+    addVideoChunk: (chunk, meta) => frames.push({ track: 1, time: chunk.timestamp / 1000, end: (chunk.timestamp + (chunk.duration ?? 0)) / 1000, key: chunk.type === "key", data: copy(chunk), alpha: meta?.alphaSideData ? new Uint8Array(meta.alphaSideData) : null }),
+    addAudioChunk: (chunk, meta) => {
+      if (!audioPrivate && meta?.decoderConfig?.description) audioPrivate = new Uint8Array(meta.decoderConfig.description);
+      frames.push({ track: 2, time: chunk.timestamp / 1000, end: (chunk.timestamp + (chunk.duration ?? 0)) / 1000, key: true, data: copy(chunk) });
+    },
+    finalize: () => {
+      frames.sort((a, b) => a.time - b.time || a.track - b.track);
+      const duration = frames.reduce((d, f) => Math.max(d, f.end), 0); // last block's end, not its start
+      const tracks = [el(ID.TrackEntry, [
+        uint(ID.TrackNumber, 1), uint(ID.TrackUID, 1), uint(ID.TrackType, 1), str(ID.CodecID, video.codec),
+        video.alpha && uint(ID.MaxBlockAdditionID, 1),
+        el(ID.Video, [uint(ID.PixelWidth, video.width), uint(ID.PixelHeight, video.height), video.alpha && uint(ID.AlphaMode, 1)]),
+      ])];
+      if (audio) tracks.push(el(ID.TrackEntry, [
+        uint(ID.TrackNumber, 2), uint(ID.TrackUID, 2), uint(ID.TrackType, 2), str(ID.CodecID, "A_OPUS"),
+        el(ID.CodecPrivate, audioPrivate ?? opusHead(audio.channels, audio.sampleRate)),
+        el(ID.Audio, [float(ID.SamplingFrequency, audio.sampleRate), uint(ID.Channels, audio.channels)]),
+      ]));
+
+      // A cluster per video keyframe (relative block times must fit an int16 of ms)
+      const clusters = []; let cluster = null;
+      const block = (f, base) => {
+        const head = new Uint8Array([0x80 | f.track, ...int16(Math.round(f.time - base)), 0]);
+        if (!f.alpha) { head[3] = f.key ? 0x80 : 0; return el(ID.SimpleBlock, [{ size: head.length, parts: [head] }, { size: f.data.length, parts: [f.data] }]); }
+        return el(ID.BlockGroup, [
+          el(ID.Block, [{ size: head.length, parts: [head] }, { size: f.data.length, parts: [f.data] }]),
+          !f.key && el(ID.ReferenceBlock, int16(-1)),
+          el(ID.BlockAdditions, [el(ID.BlockMore, [uint(ID.BlockAddID, 1), el(ID.BlockAdditional, f.alpha)])]),
+        ]);
+      };
+      for (const f of frames) {
+        if (!cluster || (f.track === 1 && f.key) || f.time - cluster.base > 30000) { cluster = { base: Math.round(f.time), blocks: [] }; clusters.push(cluster); }
+        cluster.blocks.push(block(f, cluster.base));
+      }
+
+      const header = el(ID.EBML, [
+        uint(ID.EBMLVersion, 1), uint(ID.EBMLReadVersion, 1), uint(ID.EBMLMaxIDLength, 4), uint(ID.EBMLMaxSizeLength, 8),
+        str(ID.DocType, "webm"), uint(ID.DocTypeVersion, 4), uint(ID.DocTypeReadVersion, 2),
+      ]);
+      const segment = el(ID.Segment, [
+        el(ID.Info, [uint(ID.TimecodeScale, 1000000), float(ID.Duration, duration), str(ID.MuxingApp, app), str(ID.WritingApp, app)]),
+        el(ID.Tracks, tracks),
+        ...clusters.map((c) => el(ID.Cluster, [uint(ID.Timecode, c.base), ...c.blocks])),
+      ]);
+      return new Blob([...header.parts, ...segment.parts], { type: "video/webm" });
+    },
+  };
+};
@@ -0,0 +1,14 @@
+// ====== Track analysis worker ======
+// Runs the offline analysis (tempo, phase, beat map, bands) off the main thread, so Detect BPM does not stall
+// the UI, the Pixi ticker or the look-ahead scheduler. Receives { channels, sampleRate, beatsPerBar } with the
+// channel data transferred, posts back { track, bands } or { error }.
+import { analyzeTrack } from "../analysis.js";
+import { analyzeBands } from "../bands.js";
+
+self.onmessage = (e) => {
+  const { channels, sampleRate, beatsPerBar } = e.data;
+  const length = channels[0]?.length ?? 0;
+  const buffer = { sampleRate, length, duration: length / sampleRate, numberOfChannels: channels.length, getChannelData: (c) => channels[c] };
+  try { self.postMessage({ track: analyzeTrack(buffer, { beatsPerBar }), bands: analyzeBands(buffer) }); }
+  catch (err) { self.postMessage({ error: err?.message || String(err) }); }
+};
@@ -0,0 +1,132 @@
+// ====== Live beat tracker (AudioWorklet) ======
+// Runs on the audio thread: onset envelope per ~5 ms hop, tempo by autocorrelation over the last
+// few seconds, beat phase by comb matching + a light PLL on onset peaks. Posts to the main thread:
+//   { type: "beat", time, bpm, holding }     time = AudioContext time of the beat
+//   { type: "status", bpm, confidence, level, holding }
+// Self-contained on purpose: worklet modules are copied, not bundled.
+
+const HISTORY_SEC = 6;
+const ANALYZE_EVERY_SEC = 0.5;
+const GATE_DB = -50;        // below this the input counts as "no signal"
+const HOLD_AFTER_SEC = 0.75; // ...for this long → hold the last stable tempo
+
+class BeatTracker extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.hop = Math.max(64, Math.round(sampleRate / 200));
+    this.rate = sampleRate / this.hop;
+    this.size = Math.ceil(HISTORY_SEC * this.rate);
+    this.env = new Float32Array(this.size); this.pos = 0; this.filled = 0;
+    this.acc = 0; this.accHigh = 0; this.n = 0; this.last = 0;
+    this.prevFull = 0; this.prevHigh = 0; this.trend = 0;
+    this.sinceAnalyze = 0; this.quietFor = 0; this.level = -120;
+    this.bpm = null; this.confidence = 0; this.nextBeat = null; this.holding = false;
+    this.minBpm = 60; this.maxBpm = 200;
+    this.port.onmessage = (e) => { const d = e.data || {}; if (d.type === "range") { this.minBpm = d.minBpm ?? 60; this.maxBpm = d.maxBpm ?? 200; } };
+  }
+
+  at(k) { return this.env[((this.pos - 1 - k) % this.size + this.size) % this.size]; } // k hops ago
+
+  // Unroll the ring newest-first so the autocorrelation loop is plain array access
+  linearize() {
+    this.lin = this.lin || new Float32Array(this.size);
+    for (let k = 0; k < this.filled; k++) this.lin[k] = this.at(k);
+  }
+
+  autocorr(lag, count) {
+    const env = this.lin; const l0 = Math.floor(lag), fr = lag - l0; let s = 0;
+    for (let i = 0; i < count - l0 - 1; i++) s += env[i] * (env[i + l0] * (1 - fr) + env[i + l0 + 1] * fr);
+    return s / Math.max(1, count - l0 - 1);
+  }
+
+  estimateTempo() {
+    const count = this.filled; this.linearize(); const minLag = Math.floor(this.rate * 60 / this.maxBpm), maxLag = Math.ceil(this.rate * 60 / this.minBpm);
+    if (count < maxLag * 2) return null;
+    const scores = [];
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let s = 0, w = 0; for (let k = 1; k <= 3 && lag * k < count - 1; k++) { s += this.autocorr(lag * k, count) / k; w += 1 / k; }
+      const bpm = this.rate * 60 / lag;
+      scores.push((w ? s / w : 0) * Math.exp(-0.5 * Math.pow(Math.log2(bpm / 120) / 1.2, 2)));
+    }
+    let bi = 0; for (let i = 1; i < scores.length; i++) if (scores[i] > scores[bi]) bi = i;
+    const a = scores[bi - 1] ?? scores[bi], b = scores[bi], c = scores[bi + 1] ?? scores[bi];
+    const den = a - 2 * b + c; const shift = den ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / den)) : 0;
+    const sorted = [...scores].sort((x, y) => x - y); const median = sorted[Math.floor(sorted.length / 2)];
+    return { bpm: this.rate * 60 / (minLag + bi + shift), confidence: b > 0 ? Math.max(0, (b - median) / b) : 0 };
+  }
+
+  // Hops since the most recent beat, by comb-matching the envelope at the current period
+  estimatePhase(period) {
+    let best = 0, bestScore = -1;
+    for (let p = 0; p < period; p++) {
+      let s = 0; for (let k = p; k < this.filled; k += period) s += this.lin[Math.round(k)] || 0;
+      if (s > bestScore) { bestScore = s; best = p; }
+    }
+    return best;
+  }
+
+  analyze(now) {
+    if (this.holding) return;
+    const est = this.estimateTempo(); if (!est) return;
+    let bpm = est.bpm;
+    // keep octave continuity with the current tempo
+    if (this.bpm) { for (const f of [0.5, 2, 2 / 3, 1.5]) if (Math.abs(bpm * f - this.bpm) < Math.abs(bpm - this.bpm) && Math.abs(bpm * f - this.bpm) / this.bpm < 0.06) bpm *= f; }
+    if (est.confidence < 0.25 && this.bpm) return; // weak estimate: keep the last stable tempo
+    this.bpm = this.bpm ? this.bpm + 0.35 * (bpm - this.bpm) : bpm; this.confidence = est.confidence;
+    const period = this.rate * 60 / this.bpm;
+    const lastBeat = now - this.estimatePhase(period) / this.rate;
+    let predicted = lastBeat + 60 / this.bpm;
+    if (this.nextBeat != null) {
+      // blend the comb estimate into the running prediction (wrap to the nearest beat first)
+      const beatSec = 60 / this.bpm; let d = predicted - this.nextBeat;
+      d -= Math.round(d / beatSec) * beatSec;
+      predicted = this.nextBeat + 0.5 * d;
+    }
+    this.nextBeat = predicted;
+  }
+
+  onHop(now) {
+    const full = Math.log1p(1000 * this.acc / this.hop), high = Math.log1p(1000 * this.accHigh / this.hop);
+    let o = Math.max(0, full - this.prevFull) + Math.max(0, high - this.prevHigh);
+    this.prevFull = full; this.prevHigh = high;
+    this.trend += (o - this.trend) / 16; o = Math.max(0, o - this.trend);
+    this.env[this.pos] = o; this.pos = (this.pos + 1) % this.size; this.filled = Math.min(this.size, this.filled + 1);
+
+    const rms = Math.sqrt(this.acc / this.hop); this.level = 20 * Math.log10(rms + 1e-9);
+    this.quietFor = this.level < GATE_DB ? this.quietFor + this.hop / sampleRate : 0;
+    const holding = this.bpm != null && this.quietFor > HOLD_AFTER_SEC;
+    if (holding !== this.holding) { this.holding = holding; this.status(); }
+
+    // PLL: an onset peak close to the predicted beat pulls the phase toward it
+    if (this.nextBeat != null && !this.holding && o > 3 * this.trend + 0.05) {
+      const beatSec = 60 / this.bpm; const err = now - this.nextBeat;
+      if (Math.abs(err) < beatSec * 0.15) this.nextBeat += 0.2 * err;
+    }
+    while (this.nextBeat != null && now >= this.nextBeat) {
+      this.port.postMessage({ type: "beat", time: this.nextBeat, bpm: this.bpm, holding: this.holding });
+      this.nextBeat += 60 / this.bpm;
+    }
+
+    this.sinceAnalyze += this.hop / sampleRate;
+    if (this.sinceAnalyze >= ANALYZE_EVERY_SEC) { this.sinceAnalyze = 0; this.analyze(now); this.status(); }
+  }
+
+  status() { this.port.postMessage({ type: "status", bpm: this.bpm, confidence: this.confidence, level: this.level, holding: this.holding }); }
+
+  process(inputs) {
+    const ch = inputs[0]; if (!ch || !ch.length) return true;
+    const len = ch[0].length; const nCh = ch.length;
+    for (let i = 0; i < len; i++) {
+      let s = 0; for (let c = 0; c < nCh; c++) s += ch[c][i]; s /= nCh;
+      const d = s - this.last; this.last = s;
+      this.acc += s * s; this.accHigh += d * d;
+      if (++this.n >= this.hop) {
+        this.onHop(currentTime + (i + 1) / sampleRate - this.hop / sampleRate / 2);
+        this.acc = 0; this.accHigh = 0; this.n = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("beat-tracker", BeatTracker);